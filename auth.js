@@ -0,0 +1,101 @@
+/**
+ *  @file Signed request authentication methods
+ *  @author Avana Vana <dear.avana@gmail.com>
+ *  @module auth
+ */
+
+const dotenv = require('dotenv').config();
+const crypto = require('crypto');
+
+/** @constant {Map} signingKeys - Maps key IDs to shared secrets, parsed from the space-separated "id:secret" pairs in SIGNING_KEYS, so that several keys can be valid at once while secrets are rotated */
+const signingKeys = new Map(
+  (process.env.SIGNING_KEYS || '')
+    .split(/\s+/)
+    .filter((pair) => pair.includes(':'))
+    .map((pair) => [ pair.slice(0, pair.indexOf(':')), pair.slice(pair.indexOf(':') + 1) ])
+);
+
+/** @constant {number} signatureTolerance - Maximum age (or clock skew), in seconds, of a signed request's timestamp before the request is rejected (default: 300s = 5m) */
+const signatureTolerance = +process.env.SIGNATURE_TOLERANCE || 60 * 5;
+
+/** @constant {Map} seenSignatures - Maps the normalized (lowercase hex) digests of signatures already used within the last {@link signatureTolerance} seconds to their expiration times in ms, so that the same signed request can't be replayed inside the time window */
+const seenSignatures = new Map();
+
+/**
+ *  Removes signatures from {@link seenSignatures} once their timestamps have fallen outside of the time window, since they would be rejected anyway
+ *
+ *  @function pruneSignatures
+ *  @param {number} now - The current time, in ms
+ */
+
+const pruneSignatures = (now) => {
+  for (const [ signature, expires ] of seenSignatures) {
+    if (expires < now) seenSignatures.delete(signature);
+  }
+};
+
+module.exports = {
+
+  /**
+   *  Computes the signature for a request, which is a hex-encoded HMAC-SHA256 digest of the request's timestamp, method, path, and raw body, joined by periods
+   *
+   *  @method sign
+   *  @requires crypto
+   *  @param {string} secret - The shared secret belonging to the key used to sign the request
+   *  @param {(number|string)} timestamp - The time the request was signed, in integer seconds since the Unix epoch
+   *  @param {string} method - The request's HTTP method (e.g. 'POST')
+   *  @param {string} path - The request's path, including any query string (e.g. '/esovdb/videos/update')
+   *  @param {(string|Buffer)} [body=''] - The request's raw body, exactly as sent
+   *  @returns {string} A hex-encoded HMAC-SHA256 signature
+   *
+   *  @example
+   *  // returns a 64-character hex string
+   *  sign('s3cr3t', 1609459200, 'POST', '/zotero', JSON.stringify(record));
+   */
+
+  sign: (secret, timestamp, method, path, body = '') =>
+    crypto
+      .createHmac('sha256', secret)
+      .update(`${timestamp}.${method.toUpperCase()}.${path}.`)
+      .update(body)
+      .digest('hex'),
+
+  /**
+   *  Verifies a signed request's X-Signature-Key, X-Signature-Timestamp, and X-Signature headers against its raw body and the configured {@link signingKeys}, rejecting unknown keys, timestamps outside of the {@link signatureTolerance} window, and signatures that have already been used
+   *
+   *  @method verify
+   *  @requires crypto
+   *  @param {!express:Request} req - Express.js HTTP request context, with its raw body stored as req.rawBody by the body parser
+   *  @returns {{ valid: boolean, keyId: ?string, error: ?string }} Whether the request's signature is valid, the ID of the key it was signed with, and if invalid, the reason why
+   */
+
+  verify: (req) => {
+    const keyId = req.get('X-Signature-Key'),
+      timestamp = req.get('X-Signature-Timestamp'),
+      signature = req.get('X-Signature'),
+      now = Date.now();
+
+    if (signingKeys.size === 0) return { valid: false, keyId: null, error: 'No signing keys configured.' };
+    if (!keyId || !timestamp || !signature) return { valid: false, keyId: null, error: 'Missing signature headers.' };
+    if (!signingKeys.has(keyId)) return { valid: false, keyId, error: 'Unknown signing key.' };
+
+    if (!/^\d+$/.test(timestamp) || Math.abs(now / 1000 - timestamp) > signatureTolerance) {
+      return { valid: false, keyId, error: 'Request timestamp outside of allowed window.' };
+    }
+
+    if (!/^[0-9a-f]{64}$/i.test(signature)) return { valid: false, keyId, error: 'Invalid signature.' };
+
+    const expected = Buffer.from(module.exports.sign(signingKeys.get(keyId), timestamp, req.method, req.originalUrl, req.rawBody || ''), 'hex');
+    const received = Buffer.from(signature, 'hex');
+
+    if (!crypto.timingSafeEqual(received, expected)) return { valid: false, keyId, error: 'Invalid signature.' };
+
+    const digest = expected.toString('hex');
+    pruneSignatures(now);
+
+    if (seenSignatures.has(digest)) return { valid: false, keyId, error: 'Request has already been used.' };
+    seenSignatures.set(digest, +timestamp * 1000 + signatureTolerance * 1000);
+
+    return { valid: true, keyId, error: null };
+  }
+};
@@ -4,67 +4,775 @@
  *  @module cache
  */
 
-const fs = require('fs');
+const dotenv = require('dotenv').config();
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const net = require('net');
+const path = require('path');
 
-/** @constant {number} cacheInterval - The duration, in seconds after which a cache file is considered stale (default: 300s = 5m) */
-let cacheInterval = 60 * 5;
+/** @constant {number} cacheInterval - The default duration, in seconds, after which a cache entry is considered stale (default: 300s = 5m) */
+let cacheInterval = +process.env.CACHE_TTL || 60 * 5;
+
+/**
+ *  A cache backend, storing JSON-serializable data under string keys, each with its own expiration
+ *
+ *  @typedef {Object} CacheStore
+ *  @property {function(string): Promise<?*>} get - Resolves with the data stored under a key, or null if there is none or it has expired
+ *  @property {function(string, *, number): Promise<void>} set - Stores data under a key for a given number of seconds (0 to never expire)
+ *  @property {function(string): Promise<void>} delete - Removes the data stored under a key
+ *  @property {function(string): Promise<void>} clear - Removes all data stored under keys beginning with a given prefix
+ *  @property {function(string): Promise<string[]>} keys - Resolves with every key beginning with a given prefix
+ */
+
+/**
+ *  Returns the expiration of a cache entry as a timestamp, given its time to live
+ *
+ *  @function expiresIn
+ *  @param {number} ttl - The number of seconds the entry should live for, or 0 to never expire
+ *  @returns {?number} The time the entry expires, in milliseconds since the Unix epoch, or null if it never expires
+ */
+
+const expiresIn = (ttl) => ttl > 0 ? Date.now() + ttl * 1000 : null;
+
+/**
+ *  Creates an in-memory cache store, which evicts its least recently used entries once it holds more than a given number of entries.  Index entries (see {@link indexKeyOf}) don't count towards that number, and are only ever evicted along with the entries they describe, so that an entry can never outlive its index entry and escape invalidation.
+ *
+ *  @function memoryStore
+ *  @param {Object} [options]
+ *  @param {number} [options.max=500] - The maximum number of entries to keep, not counting index entries
+ *  @returns {CacheStore}
+ */
+
+const memoryStore = ({ max = 500 } = {}) => {
+  const entries = new Map();
+  let size = 0;
+
+  const remove = (key) => {
+    if (entries.delete(key) && !isIndexKey(key)) size--;
+  };
+
+  return {
+    get: async (key) => {
+      const entry = entries.get(key);
+      if (!entry) return null;
+
+      if (entry.expires !== null && entry.expires <= Date.now()) {
+        remove(key);
+        return null;
+      }
+
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.data;
+    },
+    set: async (key, data, ttl) => {
+      remove(key);
+      entries.set(key, { data, expires: expiresIn(ttl) });
+      if (!isIndexKey(key)) size++;
+
+      for (const oldest of entries.keys()) {
+        if (size <= max) break;
+        if (isIndexKey(oldest)) continue;
+        remove(oldest);
+        remove(indexKeyOf(oldest));
+      }
+    },
+    delete: async (key) => {
+      remove(key);
+    },
+    clear: async (prefix) => {
+      for (const key of entries.keys()) if (key.startsWith(prefix)) remove(key);
+    },
+    keys: async (prefix) => [ ...entries ]
+      .filter(([ key, entry ]) => key.startsWith(prefix) && (entry.expires === null || entry.expires > Date.now()))
+      .map(([ key ]) => key),
+  };
+};
+
+/**
+ *  Creates a cache store that keeps each entry as a JSON file on the server's file system, named after its key, in a directory named after its route.  Only keys made of a route and a hash (see {@link keyOf}) are accepted, so nothing from a request ever becomes part of a path.  Entries are written to a temporary file first and then renamed into place, so a crash mid-write never leaves a corrupt entry behind, and any error reading or writing an entry is logged and treated as a cache miss, rather than thrown.
+ *
+ *  @function fileStore
+ *  @param {Object} [options]
+ *  @param {string} [options.dir='.cache'] - The directory to keep cache files in
+ *  @returns {CacheStore}
+ */
+
+const fileStore = ({ dir = '.cache' } = {}) => {
+  const fileOf = async (key) => {
+    if (!/^[\w-]+\/[\w-]+$/.test(key)) throw new Error(`Invalid cache key "${key}".`);
+    return path.join(dir, `${key}.json`);
+  };
+
+  let tmpCount = 0;
+
+  return {
+    get: async (key) => {
+      try {
+        const entry = JSON.parse(await fs.readFile(await fileOf(key), 'utf8'));
+        if (entry.expires !== null && entry.expires <= Date.now()) return null;
+        return entry.data;
+      } catch (err) {
+        if (err.code !== 'ENOENT') console.error(`[ERROR] Couldn't read cache file for ${key}: ${err.message}`);
+        return null;
+      }
+    },
+    set: async (key, data, ttl) => {
+      let tmp = null;
+
+      try {
+        const file = await fileOf(key);
+        tmp = `${file}.${process.pid}.${++tmpCount}.tmp`;
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.writeFile(tmp, JSON.stringify({ data, expires: expiresIn(ttl) }));
+        await fs.rename(tmp, file);
+      } catch (err) {
+        console.error(`[ERROR] Couldn't write cache file for ${key}: ${err.message}`);
+        if (tmp) await fs.unlink(tmp).catch(() => {});
+      }
+    },
+    delete: async (key) => {
+      await fs.unlink(await fileOf(key)).catch(() => {});
+    },
+    clear: async (prefix) => {
+      if (!/^[\w-]+\/$/.test(prefix)) return console.error(`[ERROR] Invalid cache prefix "${prefix}".`);
+      await fs.rm(path.join(dir, prefix), { recursive: true, force: true }).catch((err) => {
+        console.error(`[ERROR] Couldn't clear cache files for ${prefix}: ${err.message}`);
+      });
+    },
+    keys: async (prefix) => {
+      if (!/^[\w-]+\/$/.test(prefix)) throw new Error(`Invalid cache prefix "${prefix}".`);
+
+      try {
+        return (await fs.readdir(path.join(dir, prefix)))
+          .filter((name) => /^[\w-]+\.json$/.test(name))
+          .map((name) => prefix + name.slice(0, -5));
+      } catch (err) {
+        if (err.code !== 'ENOENT') console.error(`[ERROR] Couldn't list cache files for ${prefix}: ${err.message}`);
+        return [];
+      }
+    },
+  };
+};
+
+/**
+ *  Parses a single reply from a buffer of data received from a Redis server
+ *
+ *  @function parseReply
+ *  @param {Buffer} buffer - Data received from a Redis server
+ *  @param {number} [start=0] - The position in the buffer at which the reply starts
+ *  @returns {?{ value: *, end: number }} The reply (an Error for error replies), and the position in the buffer just after it, or null if the reply is incomplete
+ */
+
+const parseReply = (buffer, start = 0) => {
+  const eol = buffer.indexOf('\r\n', start);
+  if (eol === -1) return null;
+  const line = buffer.toString('utf8', start + 1, eol);
+
+  switch (String.fromCharCode(buffer[start])) {
+    case '+':
+      return { value: line, end: eol + 2 };
+    case '-':
+      return { value: new Error(line), end: eol + 2 };
+    case ':':
+      return { value: +line, end: eol + 2 };
+    case '$':
+      if (+line === -1) return { value: null, end: eol + 2 };
+      if (buffer.length < eol + 2 + +line + 2) return null;
+      return { value: buffer.toString('utf8', eol + 2, eol + 2 + +line), end: eol + 2 + +line + 2 };
+    case '*':
+      if (+line === -1) return { value: null, end: eol + 2 };
+      const values = [];
+      let end = eol + 2;
+
+      for (let i = 0; i < +line; i++) {
+        const reply = parseReply(buffer, end);
+        if (!reply) return null;
+        values.push(reply.value);
+        end = reply.end;
+      }
+
+      return { value: values, end };
+    default:
+      throw new Error(`[ERROR] Unexpected reply from Redis: "${line}".`);
+  }
+};
+
+/**
+ *  Creates a cache store backed by a Redis server (or anything that speaks the Redis protocol), which can be shared by several instances of this server.  Connects lazily, reconnects whenever needed, and treats a command that fails or takes too long as a cache miss, so the server keeps working, uncached, while Redis is unavailable.  Events from a socket which has already been replaced (e.g. a late 'close' after a timed-out command resets the connection) are ignored, so they can never tear down its replacement.
+ *
+ *  @function redisStore
+ *  @param {Object} [options]
+ *  @param {string} [options.url='redis://localhost:6379'] - The URL of the Redis server, optionally with a password and database number (e.g. 'redis://:password@host:6379/2')
+ *  @param {string} [options.prefix='esovdb:'] - A prefix for all keys written to Redis
+ *  @param {number} [options.timeout=1000] - The number of milliseconds to wait for a reply before giving up on a command
+ *  @returns {CacheStore}
+ */
+
+const redisStore = ({ url = 'redis://localhost:6379', prefix = 'esovdb:', timeout = 1000 } = {}) => {
+  const { hostname, port, password, pathname } = new URL(url);
+  let socket = null, buffer = Buffer.alloc(0), pending = [];
+
+  const fail = (err) => {
+    pending.forEach(({ reject }) => reject(err));
+    pending = [];
+    buffer = Buffer.alloc(0);
+    if (socket) socket.destroy();
+    socket = null;
+  };
+
+  const connect = () => {
+    const sock = socket = net.createConnection({ host: hostname || 'localhost', port: +port || 6379 });
+    sock.setNoDelay(true);
+
+    sock.on('data', (chunk) => {
+      if (sock !== socket) return;
+      buffer = Buffer.concat([ buffer, chunk ]);
+      let reply;
+
+      try {
+        while (pending.length > 0 && (reply = parseReply(buffer))) {
+          buffer = buffer.subarray(reply.end);
+          const { resolve, reject } = pending.shift();
+          reply.value instanceof Error ? reject(reply.value) : resolve(reply.value);
+        }
+      } catch (err) {
+        fail(err);
+      }
+    });
+
+    sock.on('error', (err) => {
+      if (sock === socket) fail(err);
+    });
+
+    sock.on('close', () => {
+      if (sock === socket) fail(new Error('[ERROR] Redis connection closed.'));
+    });
+
+    if (password) send('AUTH', decodeURIComponent(password)).catch(() => {});
+    if (pathname.length > 1) send('SELECT', pathname.slice(1)).catch(() => {});
+  };
+
+  const send = (...args) => new Promise((resolve, reject) => {
+    pending.push({ resolve, reject });
+    socket.write(`*${args.length}\r\n` + args.map((arg) => `$${Buffer.byteLength(String(arg))}\r\n${arg}\r\n`).join(''));
+  });
+
+  const command = (...args) => {
+    if (!socket) connect();
+    let timer;
+
+    return Promise.race([
+      send(...args),
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+          reject(new Error(`[ERROR] Redis command ${args[0]} timed out.`));
+          fail(new Error('[ERROR] Redis connection reset.'));
+        }, timeout);
+      }),
+    ]).finally(() => clearTimeout(timer));
+  };
+
+  return {
+    get: async (key) => {
+      try {
+        const value = await command('GET', prefix + key);
+        return value === null ? null : JSON.parse(value);
+      } catch (err) {
+        console.error(`[ERROR] Couldn't read cache entry ${key} from Redis: ${err.message}`);
+        return null;
+      }
+    },
+    set: async (key, data, ttl) => {
+      try {
+        await command('SET', prefix + key, JSON.stringify(data), ...(ttl > 0 ? [ 'PX', Math.round(ttl * 1000) ] : []));
+      } catch (err) {
+        console.error(`[ERROR] Couldn't write cache entry ${key} to Redis: ${err.message}`);
+      }
+    },
+    delete: async (key) => {
+      await command('DEL', prefix + key).catch((err) => console.error(`[ERROR] Couldn't delete cache entry ${key} from Redis: ${err.message}`));
+    },
+    clear: async (keyPrefix) => {
+      try {
+        let cursor = '0';
+
+        do {
+          const [ next, keys ] = await command('SCAN', cursor, 'MATCH', `${prefix}${keyPrefix.replace(/[*?[\]\\]/g, '\\$&')}*`, 'COUNT', 100);
+          if (keys.length > 0) await command('DEL', ...keys);
+          cursor = next;
+        } while (cursor !== '0');
+      } catch (err) {
+        console.error(`[ERROR] Couldn't clear cache entries for ${keyPrefix} from Redis: ${err.message}`);
+      }
+    },
+    keys: async (keyPrefix) => {
+      const found = [];
+
+      try {
+        let cursor = '0';
+
+        do {
+          const [ next, keys ] = await command('SCAN', cursor, 'MATCH', `${prefix}${keyPrefix.replace(/[*?[\]\\]/g, '\\$&')}*`, 'COUNT', 100);
+          found.push(...keys.map((key) => key.slice(prefix.length)));
+          cursor = next;
+        } while (cursor !== '0');
+      } catch (err) {
+        console.error(`[ERROR] Couldn't list cache entries for ${keyPrefix} from Redis: ${err.message}`);
+      }
+
+      return [ ...new Set(found) ];
+    },
+  };
+};
+
+/** @constant {Map} storeTypes - Maps the name of each type of cache store to a function that creates one, with its options taken from the environment */
+const storeTypes = new Map([
+  ['memory', () => memoryStore({ max: +process.env.CACHE_MAX_ENTRIES || 500 })],
+  ['file', () => fileStore({ dir: process.env.CACHE_DIR || '.cache' })],
+  ['redis', () => redisStore({ url: process.env.REDIS_URL || 'redis://localhost:6379' })],
+]);
+
+/** @constant {Map} stores - Cache stores created so far, by type, so that all routes using the same type share a single store */
+const stores = new Map();
+
+/**
+ *  Parses a space-separated list of per-route cache settings, each given as 'route=type:ttl:stale' (e.g. 'list=redis:300:3600 record=memory'), where the type, ttl, and stale window are all optional
+ *
+ *  @function parseRoutes
+ *  @param {string} [routes=''] - The list of per-route cache settings
+ *  @returns {Map} Maps each route to its settings, with the type of store, ttl in seconds, and stale window in seconds, if given
+ *  @throws {Error} Will throw if a route uses an unknown type of cache store
+ */
+
+const parseRoutes = (routes = '') =>
+  new Map(routes.split(' ').filter((setting) => setting).map((setting) => {
+    const [ route, options = '' ] = setting.split('=');
+    const [ store, ttl, stale ] = options.split(':');
+    if (store && !storeTypes.has(store)) throw new Error(`[ERROR] Unknown cache store "${store}" for route "${route}".`);
+    return [ route, { ...(store && { store }), ...(ttl && { ttl: +ttl }), ...(stale && { stale: +stale }) } ];
+  }));
+
+/** @constant {Map} routes - Maps each cache route (e.g. 'list', 'record') to its own settings, if any, which override the default store, ttl, and stale window */
+const routes = parseRoutes(process.env.CACHE_ROUTES);
+
+/**
+ *  Returns the cache store, default ttl, and stale window for a route
+ *
+ *  @function routeOf
+ *  @param {string} route - The name of a cache route (e.g. 'list', 'record', etc.)
+ *  @returns {{ type: string, store: CacheStore, ttl: number, stale: number }}
+ */
+
+const routeOf = (route) => {
+  const { store: type = process.env.CACHE_STORE || 'file', ttl = cacheInterval, stale = +process.env.CACHE_STALE || 0 } = routes.get(route) || {};
+  if (!stores.has(type)) stores.set(type, storeTypes.get(type)());
+  if (!counters.has(route)) counters.set(route, { hits: 0, staleHits: 0, misses: 0, coalesced: 0, writes: 0, invalidations: 0 });
+  return { type, store: stores.get(type), ttl, stale };
+};
+
+/** @constant {Map} counters - Maps each route used so far to counts of its fresh and stale cache hits, misses, misses coalesced with another in-flight request, writes, and entries invalidated since the server started */
+const counters = new Map();
+
+/** @function escapeParam - Escapes only the characters that would make a param's name or value ambiguous in a cache key's description */
+const escapeParam = (value) => String(value).replace(/[%&=]/g, encodeURIComponent);
+
+/**
+ *  Builds a cache key from a route and a set of params, which have already been validated by the caller.  Params are sorted by name, so their order never matters, and the resulting description is hashed, so keys are always a fixed length and safe to use as file names, whatever the params contain.
+ *
+ *  @function keyOf
+ *  @requires crypto
+ *  @param {string} route - The name of a cache route (e.g. 'list', 'record', etc.)
+ *  @param {Object} [params={}] - The params that identify the entry, each a string, number, boolean, or array of these (params that are undefined or null are left out)
+ *  @returns {{ key: string, description: string }} The key of the entry, as its route and a 32-character hex hash, and a readable description of it
+ *  @throws {Error} Will throw if the route name is invalid, or a param isn't a string, number, boolean, or array of these
+ */
+
+const keyOf = (route, params = {}) => {
+  if (!/^[a-z][\w-]*$/i.test(route)) throw new Error(`[ERROR] Invalid cache route "${route}".`);
+
+  const description = route + '?' + Object.keys(params)
+    .filter((name) => params[name] !== undefined && params[name] !== null)
+    .sort()
+    .map((name) => {
+      const values = [].concat(params[name]);
+      if (values.some((value) => ![ 'string', 'number', 'boolean' ].includes(typeof value))) throw new Error(`[ERROR] Invalid cache param "${name}".`);
+      return values.map((value) => `${escapeParam(name)}=${escapeParam(value)}`).join('&');
+    })
+    .join('&');
+
+  return { key: `${route}/${crypto.createHash('sha256').update(description).digest('hex').slice(0, 32)}`, description };
+};
+
+/**
+ *  Returns the key under which a route's index keeps its entry for a cache entry.  Each cache entry has its own index entry, in a separate '<route>-index' directory of the route's cache store, so that concurrent writes (including those from other instances sharing the store) never overwrite each other's index entries.
+ *
+ *  @function indexKeyOf
+ *  @param {string} key - The key of the entry, as returned by {@link keyOf}
+ *  @returns {string} The key of the entry's index entry
+ */
+
+const indexKeyOf = (key) => key.replace('/', '-index/');
+
+/**
+ *  Checks whether a key belongs to an index entry, as returned by {@link indexKeyOf}, rather than a cache entry
+ *
+ *  @function isIndexKey
+ *  @param {string} key - Any key in a cache store
+ *  @returns {boolean} Whether the key is an index entry's
+ */
+
+const isIndexKey = (key) => key.split('/')[0].endsWith('-index');
+
+/**
+ *  Reads a route's index from the index entries in its cache store, each of which expires along with the cache entry it describes
+ *
+ *  @async
+ *  @function readIndex
+ *  @param {string} route - The name of a cache route (e.g. 'list', 'record', etc.)
+ *  @returns {Promise<Object>} Maps the hash of each entry's key to its description, expiration, and tags
+ */
+
+const readIndex = async (route) => {
+  const { store } = routeOf(route);
+  const index = {};
+
+  for (const indexKey of await store.keys(`${route}-index/`)) {
+    const entry = await store.get(indexKey);
+    if (entry) index[indexKey.split('/')[1]] = entry;
+  }
+
+  return index;
+};
+
+/**
+ *  Writes or removes a cache entry's index entry, which is kept for as long as the cache entry itself
+ *
+ *  @async
+ *  @function updateIndex
+ *  @param {string} key - The key of the entry, as returned by {@link keyOf}
+ *  @param {?{ description: string, expires: ?number, tags: string[] }} entry - The entry's description, expiration, and tags, or null if it was deleted
+ *  @param {number} [keep=0] - The number of seconds to keep the index entry for, or 0 to never expire
+ */
+
+const updateIndex = (key, entry, keep = 0) => {
+  const { store } = routeOf(key.split('/')[0]);
+  return entry === null ? store.delete(indexKeyOf(key)) : store.set(indexKeyOf(key), entry, keep);
+};
+
+/** @constant {Map} inflight - Maps the key of each entry currently being loaded to a promise of its data, and the generation of its route when the load started, so that concurrent misses for the same entry share a single load */
+const inflight = new Map();
+
+/** @constant {Map} generations - Maps each route to the number of times it has been invalidated or cleared, so that loads which were already in flight at the time can be told apart from those started since */
+const generations = new Map();
+
+/**
+ *  Returns the current generation of a route, which changes every time the route is invalidated or cleared
+ *
+ *  @function generationOf
+ *  @param {string} route - The name of a cache route (e.g. 'list', 'record', etc.)
+ *  @returns {number} The route's generation
+ */
+
+const generationOf = (route) => generations.get(route) || 0;
+
+/**
+ *  Finds the in-flight load of an entry, if it started since its route was last invalidated or cleared
+ *
+ *  @function currentLoad
+ *  @param {string} route - The name of a cache route (e.g. 'list', 'record', etc.)
+ *  @param {string} key - The key of the entry, as returned by {@link keyOf}
+ *  @returns {?{ generation: number, loading: Promise<*> }} The entry's in-flight load, or null if there is none, or only an out-of-date one
+ */
+
+const currentLoad = (route, key) => {
+  const flight = inflight.get(key);
+  return flight && flight.generation === generationOf(route) ? flight : null;
+};
+
+/**
+ *  Reads an entry from a route's cache store, whether it is fresh or stale
+ *
+ *  @async
+ *  @function readEntry
+ *  @param {string} route - The name of a cache route (e.g. 'list', 'record', etc.)
+ *  @param {string} key - The key of the entry, as returned by {@link keyOf}
+ *  @returns {Promise<?{ data: *, fresh: boolean }>} The entry's data, and whether it is still fresh, or null if there is no such entry
+ */
+
+const readEntry = async (route, key) => {
+  const entry = await routeOf(route).store.get(key);
+  if (!entry || !('data' in entry)) return null;
+  return { data: entry.data, fresh: entry.expires === null || entry.expires > Date.now() };
+};
+
+/**
+ *  Writes an entry to a route's cache store, and records it in the route's index, along with its tags.  The entry is kept for the route's stale window after it expires, so that it can still be served while being refreshed.
+ *
+ *  @async
+ *  @function writeEntry
+ *  @param {string} route - The name of a cache route (e.g. 'list', 'record', etc.)
+ *  @param {{ key: string, description: string }} entry - The key and description of the entry, as returned by {@link keyOf}
+ *  @param {*} data - The data to cache, which must be JSON-serializable
+ *  @param {Object} [options]
+ *  @param {number} [options.ttl] - The number of seconds the entry is fresh for, or 0 to never expire (default: the route's ttl)
+ *  @param {string[]} [options.tags=[]] - Tags for the data the entry depends on, by which it can later be invalidated
+ */
+
+const writeEntry = (route, { key, description }, data, { ttl, tags = [] } = {}) => {
+  const { store, ttl: routeTtl, stale } = routeOf(route);
+  ttl = ttl === undefined ? routeTtl : ttl;
+  const keep = ttl > 0 ? ttl + stale : 0;
+  console.log(`Cache write: ${description}`);
+  counters.get(route).writes++;
+  return Promise.all([
+    store.set(key, { data, expires: expiresIn(ttl) }, keep),
+    updateIndex(key, { description, expires: expiresIn(keep), tags }, keep),
+  ]);
+};
+
+/**
+ *  Loads an entry's data and writes it to a route's cache, unless the same entry is already being loaded, in which case the data from that load is shared instead.  If the route is invalidated or cleared while the data is loading, the data may already be out of date, so it is only returned to the requests which were waiting for it, and never cached or shared with later requests.
+ *
+ *  @async
+ *  @function loadEntry
+ *  @param {string} route - The name of a cache route (e.g. 'list', 'record', etc.)
+ *  @param {{ key: string, description: string }} entry - The key and description of the entry, as returned by {@link keyOf}
+ *  @param {function(): Promise<*>} load - Loads the entry's data
+ *  @param {Object} [options] - The ttl and tags of the entry (see {@link writeEntry})
+ *  @returns {Promise<*>} The loaded data
+ */
+
+const loadEntry = (route, entry, load, options) => {
+  const current = currentLoad(route, entry.key);
+
+  if (current) {
+    console.log(`Joining in-flight request for ${entry.description}`);
+    counters.get(route).coalesced++;
+    return current.loading;
+  }
+
+  const flight = { generation: generationOf(route) };
+  inflight.set(entry.key, flight);
+
+  flight.loading = (async () => {
+    try {
+      const data = await load();
+
+      if (flight.generation !== generationOf(route)) {
+        console.log(`Cache write skipped: ${entry.description} was invalidated while loading.`);
+      } else {
+        await writeEntry(route, entry, data, options);
+        if (flight.generation !== generationOf(route)) await Promise.all([ routeOf(route).store.delete(entry.key), updateIndex(entry.key, null) ]);
+      }
+
+      return data;
+    } finally {
+      if (inflight.get(entry.key) === flight) inflight.delete(entry.key);
+    }
+  })();
+
+  return flight.loading;
+};
 
 module.exports = {
-  
+
   /**
-   *  Sets the cache interval (in integer seconds)
+   *  Sets the default cache interval (in integer seconds), used by any route without its own ttl
    *
    *  @method setCacheInterval
    *  @param {number} interval - The number of seconds to set the cache interval to
    */
-  
+
   setCacheInterval: (interval) => {
     cacheInterval = interval;
   },
-  
+
   /**
-   *  Uses a request's path to write a response as a file to the cache
+   *  Sets the type of cache store, default ttl, and/or stale window used by a route, overriding the settings given in CACHE_ROUTES
    *
-   *  @method writeCacheWithPath
-   *  @param {string} path - The request's URL, with query params
-   *  @param {Object} data - The response, as a Javascript Object, from the request
+   *  @method configure
+   *  @param {string} route - The name of a cache route (e.g. 'list', 'record', etc.)
+   *  @param {Object} options
+   *  @param {string} [options.store] - The type of cache store to use, one of 'memory', 'file', or 'redis'
+   *  @param {number} [options.ttl] - The number of seconds entries are considered fresh for, unless given their own ttl
+   *  @param {number} [options.stale] - The number of seconds after an entry expires during which it can still be served by {@link fetch}, while it is refreshed in the background (0 to never serve stale entries)
+   *  @throws {Error} Will throw if given an unknown type of cache store
    */
-  
-  writeCacheWithPath: (path, data) => {
-    const queryPath = path.replace('?', '/');
-    
-    `/${queryPath}`
-      .split('/')
-      .splice(0, `/${queryPath}`.split('/').length - 1)
-      .reduce((p, c) => {
-        p += `${c}/`;
-        !fs.existsSync(p) && fs.mkdirSync(p);
-        return p;
-      });
 
-    fs.writeFile(queryPath, JSON.stringify(data), (err) => {
-      if (err) throw new Error(err);
-      else console.log(`Cache write succeeded: ${path}`);
-    });
+  configure: (route, { store, ttl, stale }) => {
+    if (store && !storeTypes.has(store)) throw new Error(`[ERROR] Unknown cache store "${store}" for route "${route}".`);
+    routes.set(route, { ...routes.get(route), ...(store && { store }), ...(ttl !== undefined && { ttl }), ...(stale !== undefined && { stale }) });
+  },
+
+  /**
+   *  Reads an entry from a route's cache, if it exists and is still fresh
+   *
+   *  @async
+   *  @method get
+   *  @param {string} route - The name of a cache route (e.g. 'list', 'record', etc.)
+   *  @param {Object} params - The params that identify the entry (see {@link keyOf})
+   *  @returns {Promise<?Object>} Cached data, if it exists and is still fresh, else null
+   */
+
+  get: async (route, params) => {
+    const entry = await readEntry(route, keyOf(route, params).key);
+    counters.get(route)[entry && entry.fresh ? 'hits' : 'misses']++;
+    return entry && entry.fresh ? entry.data : null;
   },
-  
+
   /**
-   *  Uses a request's path to read a file from the cache if it exists or is still fresh
+   *  Writes an entry to a route's cache, and records it in the route's index, along with its tags
    *
-   *  @method writeCacheWithPath
-   *  @param {string} path - The request's URL, with query params
-   *  @returns {?Object} Returns cache JSON data as an object if it exists and is still fresh, else null
+   *  @async
+   *  @method set
+   *  @param {string} route - The name of a cache route (e.g. 'list', 'record', etc.)
+   *  @param {Object} params - The params that identify the entry (see {@link keyOf})
+   *  @param {Object} data - The data to cache, which must be JSON-serializable
+   *  @param {Object} [options]
+   *  @param {number} [options.ttl] - The number of seconds the entry is fresh for, or 0 to never expire (default: the route's ttl)
+   *  @param {string[]} [options.tags=[]] - Tags for the data the entry depends on (e.g. 'table:Videos', 'record:recXXXXXXXXXXXXXX'), by which it can later be invalidated
    */
-  
-  readCacheWithPath: (path) => {
-    let stale = true;
-    path = path.replace('?', '/');
-    
-    if (fs.existsSync(path)) {
-      const cachedTime = fs.statSync(path).ctime;
-      stale = (new Date().getTime() - cachedTime) / 1000 > cacheInterval ? true : false;
+
+  set: (route, params, data, options) => writeEntry(route, keyOf(route, params), data, options),
+
+  /**
+   *  Reads an entry from a route's cache if it is still fresh, and otherwise loads its data and caches it.  Concurrent misses for the same entry share a single load.  If the route has a stale window, an expired entry is returned right away instead, while it is refreshed in the background.
+   *
+   *  @async
+   *  @method fetch
+   *  @param {string} route - The name of a cache route (e.g. 'list', 'record', etc.)
+   *  @param {Object} params - The params that identify the entry (see {@link keyOf})
+   *  @param {function(): Promise<*>} load - Loads the entry's data, when it isn't cached or has expired
+   *  @param {Object} [options]
+   *  @param {number} [options.ttl] - The number of seconds the entry is fresh for, or 0 to never expire (default: the route's ttl)
+   *  @param {string[]} [options.tags=[]] - Tags for the data the entry depends on, by which it can later be invalidated
+   *  @returns {Promise<*>} The cached or loaded data
+   */
+
+  fetch: async (route, params, load, options) => {
+    const entry = keyOf(route, params);
+    const cached = await readEntry(route, entry.key);
+
+    if (cached && cached.fresh) {
+      console.log(`Cache hit. Returning cached result for ${entry.description}`);
+      counters.get(route).hits++;
+      return cached.data;
     }
 
-    return stale ? null : JSON.parse(fs.readFileSync(path, 'utf8'));
-  }
+    if (cached && routeOf(route).stale > 0) {
+      console.log(`Stale cache hit. Returning cached result for ${entry.description} while refreshing it...`);
+      counters.get(route).staleHits++;
+      if (!currentLoad(route, entry.key)) loadEntry(route, entry, load, options).catch((err) => console.error(`[ERROR] Couldn't refresh ${entry.description}: ${err.message}`));
+      return cached.data;
+    }
+
+    counters.get(route).misses++;
+    return loadEntry(route, entry, load, options);
+  },
+
+  /**
+   *  Loads an entry's data and caches it, whether or not the cached entry has expired yet, sharing the load with any concurrent miss for the same entry
+   *
+   *  @async
+   *  @method refresh
+   *  @param {string} route - The name of a cache route (e.g. 'list', 'record', etc.)
+   *  @param {Object} params - The params that identify the entry (see {@link keyOf})
+   *  @param {function(): Promise<*>} load - Loads the entry's data
+   *  @param {Object} [options] - The ttl and tags of the entry (see {@link fetch})
+   *  @returns {Promise<*>} The loaded data
+   */
+
+  refresh: (route, params, load, options) => loadEntry(route, keyOf(route, params), load, options),
+
+  /**
+   *  Removes an entry from a route's cache
+   *
+   *  @async
+   *  @method delete
+   *  @param {string} route - The name of a cache route (e.g. 'list', 'record', etc.)
+   *  @param {Object} params - The params that identify the entry (see {@link keyOf})
+   */
+
+  delete: async (route, params) => {
+    const { key } = keyOf(route, params);
+    await Promise.all([ routeOf(route).store.delete(key), updateIndex(key, null) ]);
+  },
+
+  /**
+   *  Removes every entry with any of the given tags from the caches of the given routes, using each route's index to find them, and makes sure that no load already in flight for those routes writes its (possibly out-of-date) data to the cache afterwards
+   *
+   *  @async
+   *  @method invalidate
+   *  @param {string[]} tags - The tags of the entries to remove (e.g. 'table:Videos', 'record:recXXXXXXXXXXXXXX')
+   *  @param {string[]} routes - The names of the cache routes to remove them from
+   *  @returns {Promise<number>} The number of entries removed
+   */
+
+  invalidate: async (tags, routes) => {
+    let count = 0;
+
+    for (const route of routes) {
+      const { store } = routeOf(route);
+      generations.set(route, generationOf(route) + 1);
+      const index = await readIndex(route);
+      const hashes = Object.keys(index).filter((hash) => (index[hash].tags || []).some((tag) => tags.includes(tag)));
+      await Promise.all(hashes.map((hash) => Promise.all([ store.delete(`${route}/${hash}`), updateIndex(`${route}/${hash}`, null) ])));
+      counters.get(route).invalidations += hashes.length;
+      count += hashes.length;
+    }
+
+    if (count > 0) console.log(`Invalidated ${count} cache entr${count === 1 ? 'y' : 'ies'} tagged ${tags.join(', ')}.`);
+    return count;
+  },
+
+  /**
+   *  Removes all entries from a route's cache, along with its index, and makes sure that no load already in flight for the route writes its data to the cache afterwards
+   *
+   *  @async
+   *  @method clear
+   *  @param {string} route - The name of a cache route (e.g. 'list', 'record', etc.)
+   */
+
+  clear: async (route) => {
+    const { store } = routeOf(route), name = keyOf(route).key.split('/')[0];
+    generations.set(name, generationOf(name) + 1);
+    await Promise.all([ store.clear(`${name}/`), store.clear(`${name}-index/`) ]);
+  },
+
+  /**
+   *  Returns the index of a route's cache, which maps the hash of each entry's key to a readable description of it, when it expires, and its tags
+   *
+   *  @async
+   *  @method index
+   *  @param {string} route - The name of a cache route (e.g. 'list', 'record', etc.)
+   *  @returns {Promise<Object>} The route's index
+   */
+
+  index: (route) => readIndex(keyOf(route).key.split('/')[0]),
+
+  /**
+   *  Returns statistics for each of the given routes' caches, including its settings, the number of entries in its index, and its fresh and stale hits, misses, coalesced misses, writes, and invalidated entries since the server started
+   *
+   *  @async
+   *  @method stats
+   *  @param {string[]} routes - The names of the cache routes to return statistics for
+   *  @returns {Promise<Object>} Maps each route to its type of cache store, ttl, stale window, and statistics
+   */
+
+  stats: async (routes) => {
+    const stats = {};
+
+    for (const route of routes) {
+      const { type, ttl, stale } = routeOf(route);
+      stats[route] = { store: type, ttl, stale, entries: Object.keys(await readIndex(route)).length, ...counters.get(route) };
+    }
+
+    return stats;
+  },
+
+  keyOf,
+  memoryStore,
+  fileStore,
+  redisStore,
 };
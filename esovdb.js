@@ -6,25 +6,29 @@
  */
 
 const dotenv = require('dotenv').config();
+const crypto = require('crypto');
 const Airtable = require('airtable');
 const Bottleneck = require('bottleneck');
 const cache = require('./cache');
-const { formatDuration, formatDate, packageAuthors } = require('./util');
+const fields = require('./fields');
+const query = require('./query');
+const { sleep } = require('./util');
 
 const base = new Airtable({
   apiKey: process.env.AIRTABLE_API_KEY,
 }).base(process.env.AIRTABLE_BASE_ID);
 
-/** @constant {Map} tables - Maps request table params to their proper names on the ESOVDB */
+/** @constant {Map} tables - Maps request table params to their proper names on the ESOVDB, along with the view and sort order used to list them, and the field holding each record's last modified time, if the table has one, which Last-Modified headers and change feeds depend on (see {@link fields} for each table's fields) */
+// prettier-ignore
 const tables = new Map([
-  ['videos', 'Videos'],
-  ['series', 'Series'],
-  ['topics', 'Topics'],
-  ['tags', 'Tags'],
-  ['organizations', 'Organizations'],
-  ['people', 'People'],
-  ['submissions', 'Submissions'],
-  ['issues', 'Issues']
+  ['videos', { name: 'Videos', view: 'All Online Videos', sort: [{ field: 'Modified', direction: 'desc' }], mergeOn: [ 'URL' ], modified: 'Modified' }],
+  ['series', { name: 'Series', sort: [{ field: 'Name' }], modified: 'Modified' }],
+  ['topics', { name: 'Topics', sort: [{ field: 'Name' }], modified: 'Modified' }],
+  ['tags', { name: 'Tags', sort: [{ field: 'Name' }], modified: 'Modified' }],
+  ['organizations', { name: 'Organizations', sort: [{ field: 'Name' }], modified: 'Modified' }],
+  ['people', { name: 'People', sort: [{ field: 'Last Name' }, { field: 'First Name' }], modified: 'Modified' }],
+  ['submissions', { name: 'Submissions', sort: [{ field: 'Created', direction: 'desc' }], modified: 'Modified' }],
+  ['issues', { name: 'Issues', sort: [{ field: 'Created', direction: 'desc' }], modified: 'Modified' }]
 ]);
 
 /** @constant {number} airtableRateLimit - Minimum time in ms to wait between requests using {@link Bottleneck} (default: 201ms ⋍ just under 5 req/s) */
@@ -32,6 +36,723 @@ const airtableRateLimit = 1005 / 5;
 
 const rateLimiter = new Bottleneck({ minTime: airtableRateLimit });
 
+/** @constant {number} writeRetries - The number of times to retry a batch of writes to Airtable after a transient error, i.e. a 429 or 5xx response, or a dropped connection, waiting twice as long each time (default: 3) */
+const writeRetries = process.env.AIRTABLE_RETRIES !== undefined ? +process.env.AIRTABLE_RETRIES : 3;
+
+/** @constant {string[]} cacheRoutes - The cache routes used by this module, for list responses, the Airtable offsets of list queries, and single records (see {@link cache}) */
+const cacheRoutes = [ 'list', 'offsets', 'record' ];
+
+/** @constant {CacheStore} dataStore - A file store for data which has to outlive the cache, such as each table's change log (see {@link cache.fileStore}) */
+const dataStore = cache.fileStore({ dir: process.env.DATA_DIR || '.data' });
+
+/** @constant {number} changesRetention - The number of changes to keep in each table's change log, after which older checkpoints expire (default: 500) */
+const changesRetention = +process.env.CHANGES_RETENTION || 500;
+
+/** @constant {number} changesInterval - The minimum number of seconds between snapshots of a table, so that frequent requests for changes can't walk through the whole table each time (default: 60s) */
+const changesInterval = +process.env.CHANGES_INTERVAL || 60;
+
+/** @constant {Map} snapshots - Maps each table being snapshotted to a promise of its updated change log, so that concurrent requests share a single snapshot */
+const snapshots = new Map();
+
+/** @constant {string[]} youTubeFields - The video properties sent for syncing with YouTube */
+const youTubeFields = [ 'title', 'videoId', 'topic' ];
+
+/**
+ *  Invalidates every cached list of records from an ESOVDB table, along with the Airtable offsets of those lists, and either any cached copies of the given records, or, if no records are given, every cached record from the table
+ *
+ *  @async
+ *  @function invalidate
+ *  @requires cache
+ *  @param {string} table - The name of a table in the ESOVDB (e.g., 'Videos', 'Series', etc)
+ *  @param {?string[]} [recordIds=null] - The Airtable record IDs of any records which have changed, or null to invalidate every record from the table
+ *  @returns {Promise<number>} The number of cache entries invalidated
+ */
+
+const invalidate = async (table, recordIds = null) =>
+  (await cache.invalidate([ `table:${table}` ], recordIds ? [ 'list', 'offsets' ] : cacheRoutes)) +
+  (recordIds ? await cache.invalidate(recordIds.map((id) => `record:${id}`), [ 'record' ]) : 0);
+
+/**
+ *  Retrieves a single page of records from an ESOVDB table with an Airtable list records API call, starting from a given Airtable offset, using Bottleneck for rate-limiting
+ *
+ *  @async
+ *  @function selectPage
+ *  @requires Airtable
+ *  @requires Bottleneck
+ *  @param {string} table - The name of a table in the ESOVDB (e.g., 'Videos', 'Series', etc)
+ *  @param {Object} options - Options for the Airtable select() API query (e.g. pageSize, view, sort, fields, filterByFormula, etc.)
+ *  @param {?string} [offset=null] - An Airtable offset returned with a previous page of the same query, or null for the first page
+ *  @param {number} [priority=5] - The priority of the API call in Bottleneck's queue, from 0 (highest) to 9 (lowest)
+ *  @returns {Promise<{ records: Object[], offset: ?string }>} The page's Airtable record objects, and the offset of the next page, or null if it was the last page
+ */
+
+const selectPage = (table, options, offset = null, priority = 5) =>
+  rateLimiter.schedule({ priority }, () => new Promise((resolve, reject) => {
+    base.runAction('get', `/${encodeURIComponent(table)}/`, offset ? { ...options, offset } : options, null, (err, response, result) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve({
+          records: result.records.map((json) => new Airtable.Record(base(table), json.id, json)),
+          offset: result.offset || null,
+        });
+      }
+    });
+  }));
+
+/**
+ *  Retrieves every record matching an Airtable select() API query, page by page, using {@link selectPage}
+ *
+ *  @async
+ *  @function selectAll
+ *  @param {string} table - The name of a table in the ESOVDB (e.g., 'Videos', 'Series', etc)
+ *  @param {Object} options - Options for the Airtable select() API query (e.g. pageSize, view, sort, fields, filterByFormula, etc.)
+ *  @returns {Promise<Object[]>} Every Airtable record object matching the query
+ */
+
+const selectAll = async (table, options) => {
+  const records = [];
+  let offset = null;
+
+  do {
+    const page = await selectPage(table, options, offset);
+    records.push(...page.records);
+    offset = page.offset;
+  } while (offset);
+
+  return records;
+};
+
+/**
+ * @typedef {Object} ChangeLog
+ * @property {string} id - A random ID for the change log, which changes if the change log is ever lost, so that old checkpoints can't be mistaken for new ones
+ * @property {number} version - The version of the latest snapshot, incremented each time a snapshot finds changes
+ * @property {?string} time - When the latest snapshot was taken
+ * @property {?Object} snapshot - Maps the ID of each record in the table (or its view) to its modified time, as of the latest snapshot
+ * @property {Object[]} entries - The changes found by each snapshot, as its version, time, and the IDs of records created, updated, and deleted since the last snapshot, oldest first
+ */
+
+/**
+ *  Takes a snapshot of the ID and modified time of every record in an ESOVDB table (in its view, if it has one), using the table's modified field in {@link tables}, compares it with the table's last snapshot, and records any records created, updated, or deleted since then in the table's {@link ChangeLog}. Snapshots are only taken once every {@link changesInterval} seconds, and concurrent requests share a single snapshot.
+ *
+ *  @async
+ *  @function updateChangeLog
+ *  @requires crypto
+ *  @param {string} key - The key of a table in {@link tables} (e.g. 'videos', 'series', etc.)
+ *  @returns {Promise<ChangeLog>} The table's updated change log
+ *  @throws {Error} If the table has no modified field, since its updates can't be detected
+ */
+
+const updateChangeLog = (key) => {
+  if (snapshots.has(key)) return snapshots.get(key);
+  
+  const snapshotting = (async () => {
+    const log = (await dataStore.get(`changes/${key}`)) || { id: crypto.randomBytes(8).toString('hex'), version: 0, time: null, snapshot: null, entries: [] };
+    if (log.time && Date.now() - Date.parse(log.time) < changesInterval * 1000) return log;
+    
+    const { name, view, modified } = tables.get(key);
+    if (!modified) throw new Error(`Table "${key}" has no modified field, so its changes can't be tracked.`);
+    
+    const options = { pageSize: 100, fields: [ modified ] };
+    const current = {};
+    let offset = null;
+    
+    if (view) options.view = view;
+    console.log(`Taking snapshot of ${name}...`);
+    
+    do {
+      const page = await selectPage(name, options, offset);
+      page.records.forEach((record) => current[record.id] = record.get(modified) || null);
+      offset = page.offset;
+    } while (offset);
+    
+    if (log.snapshot) {
+      const created = Object.keys(current).filter((id) => !(id in log.snapshot));
+      const updated = Object.keys(current).filter((id) => id in log.snapshot && log.snapshot[id] !== current[id]);
+      const deleted = Object.keys(log.snapshot).filter((id) => !(id in current));
+      
+      if (created.length + updated.length + deleted.length > 0) {
+        log.entries.push({ version: ++log.version, time: new Date().toISOString(), created, updated, deleted });
+        log.entries = log.entries.slice(-changesRetention);
+      }
+      
+      console.log(`[DONE] ${created.length} created, ${updated.length} updated, and ${deleted.length} deleted in ${name} since the last snapshot.`);
+    } else {
+      console.log(`[DONE] Took first snapshot of ${Object.keys(current).length} records in ${name}.`);
+    }
+    
+    log.time = new Date().toISOString();
+    log.snapshot = current;
+    await dataStore.set(`changes/${key}`, log, 0);
+    return log;
+  })().finally(() => snapshots.delete(key));
+  
+  snapshots.set(key, snapshotting);
+  return snapshotting;
+};
+
+/**
+ * @typedef {Object} WriteResult
+ * @property {number} index - The position of the record in the request body
+ * @property {?string} id - The Airtable record ID of the record written, if it was written
+ * @property {string} status - What happened to the record, one of 'created', 'updated', 'deleted', or 'failed'
+ * @property {?Object} [error] - If the record failed, the type and message of the error, and the status code of Airtable's response, if there was one
+ */
+
+/**
+ *  Extracts the type, message, and status code from an error thrown by Airtable, or by this module, for sending back in a {@link WriteResult}
+ *
+ *  @function errorOf
+ *  @param {Error} err - An AirtableError, or any other error
+ *  @returns {Object} The type, message, and status code (if any) of the error
+ */
+
+const errorOf = (err) => ({ type: err.error || err.code || 'ERROR', message: err.message, statusCode: err.statusCode || null });
+
+/**
+ *  Checks whether an error thrown while writing to Airtable is transient, i.e. a 429 or 5xx response, or a dropped or timed out connection, and so worth retrying
+ *
+ *  @function isTransient
+ *  @param {Error} err - An AirtableError, or any other error
+ *  @returns {boolean} Whether the write which threw the error should be retried
+ */
+
+const isTransient = (err) => err.statusCode ? err.statusCode === 429 || err.statusCode >= 500 : [ 'ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN' ].includes(err.code);
+
+/**
+ *  Writes records to an Airtable table in batches of a given size, each scheduled with Bottleneck for rate-limiting and retried up to {@link writeRetries} times after transient errors, and collects a {@link WriteResult} for each record, so that one failed batch doesn't hide the results of the others. Items which fail validation before being sent are passed in as errors, and reported in place.
+ *
+ *  @async
+ *  @function writeBatches
+ *  @requires Bottleneck
+ *  @param {string} table - The name of a table in the ESOVDB (e.g., 'Videos', 'Series', etc)
+ *  @param {Array<(*|Error)>} items - The items to write, or an error in place of each item which can't be written
+ *  @param {Function} write - Writes a batch of items to the table, resolving with an array of [ recordId, status ] pairs in the same order as the batch
+ *  @param {number} [size=10] - The maximum number of records per batch (Airtable allows 10 per request)
+ *  @returns {Promise<WriteResult[]>} A result for every item, in the same order as the items
+ */
+
+const writeBatches = async (table, items, write, size = 10) => {
+  const results = items.map((item, index) => item instanceof Error ? { index, id: null, status: 'failed', error: { type: 'INVALID_RECORD', message: item.message, statusCode: null } } : null);
+  const pending = items.map((item, index) => index).filter((index) => !results[index]);
+  const batches = [];
+  
+  for (let i = 0; i < pending.length; i += size) {
+    const indices = pending.slice(i, i + size);
+    console.log(`Writing record${indices.length === 1 ? '' : 's'} ${i + 1}${indices.length > 1 ? '-' + (i + indices.length) : ''} of ${pending.length} total to ${table}...`);
+    
+    const attempt = async (retries = 0) => {
+      try {
+        return await rateLimiter.schedule(() => write(indices.map((index) => items[index])));
+      } catch (err) {
+        if (retries >= writeRetries || !isTransient(err)) throw err;
+        console.error(`[ERROR] ${err.statusCode || err.code} while writing to ${table}, retrying in ${2 ** retries}s...`);
+        await sleep(2 ** retries);
+        return attempt(retries + 1);
+      }
+    };
+    
+    batches.push(attempt().then(
+      (written) => indices.forEach((index, j) => results[index] = { index, id: written[j][0], status: written[j][1] }),
+      (err) => {
+        console.error(`[ERROR] Couldn't write record${indices.length === 1 ? '' : 's'} to ${table}: ${err.message}`);
+        indices.forEach((index) => results[index] = { index, id: typeof items[index] === 'string' ? items[index] : items[index].id || null, status: 'failed', error: errorOf(err) });
+      }
+    ));
+  }
+  
+  await Promise.all(batches);
+  return results;
+};
+
+/** @constant {Map} writes - Maps each kind of write request to a function which checks each record in the [request body]{@link req.body}, and a function which writes a batch of checked records to Airtable */
+const writes = new Map([
+  [
+    'create',
+    {
+      check: (item) => item && typeof item.fields === 'object' && !Array.isArray(item.fields) ? { fields: item.fields } : new Error('Record must have an object of fields.'),
+      write: (table) => async (batch) => (await base(table).create(batch)).map((record) => [ record.id, 'created' ])
+    }
+  ],
+  [
+    'update',
+    {
+      check: (item) => {
+        if (!item || !/^rec[A-Za-z0-9]{14}$/.test(item.id)) return new Error('Record must have an Airtable record ID.');
+        return typeof item.fields === 'object' && !Array.isArray(item.fields) ? { id: item.id, fields: item.fields } : new Error('Record must have an object of fields.');
+      },
+      write: (table) => async (batch) => (await base(table).update(batch)).map((record) => [ record.id, 'updated' ])
+    }
+  ],
+  [
+    'upsert',
+    {
+      check: (item, { mergeOn }) => {
+        if (!item || typeof item.fields !== 'object' || Array.isArray(item.fields)) return new Error('Record must have an object of fields.');
+        const missing = mergeOn.find((field) => item.fields[field] === undefined || item.fields[field] === null || item.fields[field] === '');
+        return missing ? new Error(`Record is missing merge field "${missing}".`) : { fields: item.fields };
+      },
+      write: (table, { mergeOn }) => (batch) => new Promise((resolve, reject) => {
+        base.runAction('patch', `/${encodeURIComponent(table)}/`, {}, { performUpsert: { fieldsToMergeOn: mergeOn }, records: batch }, (err, response, result) => {
+          if (err) {
+            reject(err);
+          } else {
+            const created = new Set(result.createdRecords || []);
+            resolve(result.records.map((record) => [ record.id, created.has(record.id) ? 'created' : 'updated' ]));
+          }
+        });
+      })
+    }
+  ],
+  [
+    'delete',
+    {
+      check: (item) => {
+        const id = typeof item === 'string' ? item : item && item.id;
+        return /^rec[A-Za-z0-9]{14}$/.test(id) ? id : new Error('Record must be an Airtable record ID.');
+      },
+      write: (table) => async (batch) => (await base(table).destroy(batch)).map((record) => [ record.id, 'deleted' ])
+    }
+  ]
+]);
+
+/**
+ * @typedef {Object} WriteReport
+ * @property {number} written - The number of records written
+ * @property {number} failed - The number of records which failed
+ * @property {WriteResult[]} results - A result for each record, in the same order as the records given
+ */
+
+/**
+ *  Checks each record of a write, writes them to an ESOVDB table in batches of 10 with {@link writeBatches}, and then invalidates any cached lists from the table and cached copies of the records written
+ *
+ *  @async
+ *  @function writeRecords
+ *  @requires cache
+ *  @param {string} table - The name of a table in the ESOVDB (e.g., 'Videos', 'Series', etc)
+ *  @param {Array} items - The records to write, formatted for the kind of write
+ *  @param {string} kind - The kind of write, one of the keys of {@link writes}
+ *  @param {Object} [options={}] - Options for the kind of write, i.e. the fields to merge upserts on, as mergeOn
+ *  @returns {Promise<WriteReport>} Which records were written and which failed
+ */
+
+const writeRecords = async (table, items, kind, options = {}) => {
+  const { check, write } = writes.get(kind);
+  const results = await writeBatches(table, items.map((item) => check(item, options)), write(table, options));
+  const failed = results.filter((result) => result.status === 'failed');
+  const written = results.filter((result) => result.status !== 'failed').map((result) => result.id);
+  
+  if (written.length > 0) await invalidate(table, written);
+  console.log(`[DONE] ${written.length} record${written.length === 1 ? '' : 's'} written to ${table}, ${failed.length} failed.`);
+  return { written: written.length, failed: failed.length, results };
+};
+
+/**
+ *  Checks the records in the body of a write request, writes them to an ESOVDB table with {@link writeRecords}, and sends a response with a {@link WriteReport}: 200 if every record was written, 207 if only some were, or Airtable's error status if none were, or a 500 if the write itself throws (e.g. the cache can't be invalidated).
+ *
+ *  @async
+ *  @function sendWrites
+ *  @param {!express:Request} req - Express.js HTTP request context, an enhanced version of Node's http.IncomingMessage class
+ *  @param {!express:Response} res - Express.js HTTP response context, an enhanced version of Node's http.ServerResponse class
+ *  @param {string} kind - The kind of write request, one of the keys of {@link writes}
+ */
+
+const sendWrites = async (req, res, kind) => {
+  if (!tables.has(req.params.table)) {
+    return res.status(404).send(JSON.stringify({ Error: `Table "${req.params.table}" not found.` }));
+  }
+  
+  if (!Array.isArray(req.body) || req.body.length === 0) {
+    return res.status(400).send(JSON.stringify({ Error: 'Request body must be a non-empty array of records.' }));
+  }
+  
+  const { name, mergeOn = [] } = tables.get(req.params.table);
+  const options = { mergeOn: req.query.mergeOn ? String(req.query.mergeOn).split(',').map((field) => field.trim()).filter((field) => field) : mergeOn };
+  
+  if (kind === 'upsert' && (options.mergeOn.length < 1 || options.mergeOn.length > 3)) {
+    return res.status(400).send(JSON.stringify({ Error: 'Upserts must be merged on 1-3 fields, given by the "mergeOn" param.' }));
+  }
+  
+  console.log(`Performing ${req.params.table}/${kind} API request for ${req.body.length} record${req.body.length === 1 ? '' : 's'}...`);
+  
+  try {
+    const report = await writeRecords(name, req.body, kind, options);
+    
+    res
+      .status(report.failed === 0 ? 200 : report.written > 0 ? 207 : report.results[0].error.statusCode || 400)
+      .send(JSON.stringify(report));
+  } catch (err) {
+    console.error(`[ERROR] ${req.params.table}/${kind} API request failed: ${err.message}`);
+    res.status(500).send(JSON.stringify({ Error: `Unable to ${kind} records in ${req.params.table}.` }));
+  }
+};
+
+/**
+ *  Builds the URL of another page of the same list request, for use in Link headers
+ *
+ *  @function pageUrl
+ *  @param {!express:Request} req - Express.js HTTP request context, an enhanced version of Node's http.IncomingMessage class
+ *  @param {string} basePath - The path of the list endpoint, without any page param (e.g. '/esovdb/videos/list')
+ *  @param {string} cursor - The cursor token of the page
+ *  @returns {string} The page's URL, with all of the request's original query params and the given cursor
+ */
+
+const pageUrl = (req, basePath, cursor) => {
+  const params = new URLSearchParams(req.originalUrl.split('?')[1] || '');
+  params.set('cursor', cursor);
+  return `${basePath}?${params.toString()}`;
+};
+
+/**
+ * @typedef {Object} CachedResponse
+ * @property {Object} response - The response, as a Javascript Object
+ * @property {string} etag - A strong ETag, computed from the response's JSON payload
+ * @property {?string} lastModified - The newest Modified time of the records in the response, as an HTTP date, or null if unknown
+ */
+
+/**
+ *  Prepares a response for caching and sending, along with a strong ETag computed from its payload, and the time it was last modified
+ *
+ *  @function cacheable
+ *  @requires crypto
+ *  @param {Object} response - The response, as a Javascript Object
+ *  @param {number} [modified=0] - The newest Modified time, in milliseconds since the Unix epoch, of the records in the response, or 0 if unknown
+ *  @returns {CachedResponse}
+ */
+
+const cacheable = (response, modified = 0) => ({
+  response,
+  etag: `"${crypto.createHash('sha256').update(JSON.stringify(response)).digest('base64url')}"`,
+  lastModified: modified > 0 ? new Date(modified).toUTCString() : null,
+});
+
+/**
+ *  Sends a cached response as JSON with its ETag and Last-Modified headers, or an empty 304 response if the request's If-None-Match or If-Modified-Since headers show that the client already has it
+ *
+ *  @function sendCacheable
+ *  @param {!express:Request} req - Express.js HTTP request context, an enhanced version of Node's http.IncomingMessage class
+ *  @param {!express:Response} res - Express.js HTTP response context, an enhanced version of Node's http.ServerResponse class
+ *  @param {CachedResponse} cached - The response to send, as returned by {@link cacheable}
+ */
+
+const sendCacheable = (req, res, { response, etag, lastModified }) => {
+  res.set({ 'Cache-Control': 'public, no-cache', ETag: etag });
+  if (lastModified) res.set('Last-Modified', lastModified);
+  
+  if (req.fresh) {
+    console.log(`Not modified. Returning 304 for ${req.url}`);
+    return res.status(304).end();
+  }
+  
+  res.status(200).send(JSON.stringify(response));
+};
+
+/**
+ * @typedef {Object} ListResponse
+ * @property {Object[]} records - The requested records, formatted for the response
+ * @property {{ next: ?string, prev: ?string }} cursor - Opaque cursor tokens for the next and previous pages, passed back as the cursor query param, or null where there is no such page (or, for prev, it isn't known)
+ * @property {?number} total - The total number of records matching the query, or null if not yet known
+ */
+
+/**
+ *  Retrieves a {@link ListResponse} of records from an ESOVDB table by performing an Airtable select() API query, page by page, using Bottleneck for rate-limiting. If a starting page is given, only that page and as many pages as requested after it are retrieved. Airtable offsets for each page of a query are cached, so that following a cursor only ever costs as many Airtable API calls as pages requested, and pages are only skipped one by one when jumping to a page whose offset isn't known yet.
+ *
+ *  @async
+ *  @function selectRecords
+ *  @requires Airtable
+ *  @requires Bottleneck
+ *  @requires cache
+ *  @requires query
+ *  @param {string} table - The name of a table in the ESOVDB (e.g., 'Videos', 'Series', etc)
+ *  @param {Object} options - Options for the Airtable select() API query (e.g. pageSize, view, sort, fields, filterByFormula, etc.)
+ *  @param {function(Object): Object} format - Formats each Airtable record as an object for the response
+ *  @param {Object} pages - Which pages of results to retrieve
+ *  @param {string} pages.q - The {@link query.fingerprint} of the query
+ *  @param {?number} pages.pg - The zero-indexed page to start from, or null to retrieve all pages
+ *  @param {?string} [pages.offset] - The Airtable offset of the starting page, if known from a cursor
+ *  @param {number} pages.count - The number of pages to retrieve, starting from {@link pages.pg}
+ *  @param {number} [pages.priority=5] - The priority of each Airtable API call in Bottleneck's queue (see {@link selectPage})
+ *  @param {?string} [modifiedField=null] - The table's modified field (see {@link tables}), used for the response's Last-Modified time, or null if the table has none
+ *  @returns {Promise<CachedResponse>} A {@link ListResponse}, prepared with {@link cacheable}
+ */
+
+const selectRecords = async (table, options, format, { q, pg, offset, count, priority = 5 }, modifiedField = null) => {
+  const ps = options.pageSize || 100;
+  const known = (await cache.get('offsets', { q })) || { offsets: [ null ], total: null };
+  const data = [];
+  let modified = 0;
+  
+  if (pg !== null && offset === undefined) {
+    let i = Math.min(pg, known.offsets.length - 1);
+    while (known.offsets[i] === undefined) i--;
+    offset = known.offsets[i];
+    
+    if (i < pg) console.log(`Skipping to page ${pg + 1} from page ${i + 1}...`);
+    
+    while (i < pg && (i === 0 || offset)) {
+      const page = await selectPage(table, options, offset, priority);
+      offset = known.offsets[i + 1] = page.offset;
+      if (!offset) known.total = i * ps + page.records.length;
+      i++;
+    }
+    
+    if (pg > 0 && !offset) {
+      console.log(`[DONE] Page ${pg + 1} is past the last page.`);
+      await cache.set('offsets', { q }, known, { tags: [ `table:${table}` ] });
+      return cacheable({ records: [], cursor: { next: null, prev: null }, total: known.total });
+    }
+  }
+  
+  let i = pg === null ? 0 : pg;
+  offset = offset || null;
+  
+  do {
+    const page = await selectPage(table, options, offset, priority);
+    console.log(`Retrieving records ${i * ps + 1}-${i * ps + page.records.length}...`);
+    data.push(...page.records.map(format));
+    if (modifiedField) modified = page.records.reduce((newest, record) => Math.max(newest, Date.parse(record.get(modifiedField)) || 0), modified);
+    console.log(`Successfully retrieved ${page.records.length} records.`);
+    known.offsets[i] = offset;
+    offset = known.offsets[i + 1] = page.offset;
+    i++;
+  } while (offset && (pg === null || i < pg + count));
+  
+  if (!offset) known.total = (pg === null ? 0 : pg * ps) + data.length;
+  
+  const prev = pg > 0 ? Math.max(pg - count, 0) : null;
+  
+  console.log(`[DONE] Retrieved ${data.length} records.`);
+  await cache.set('offsets', { q }, known, { tags: [ `table:${table}` ] });
+  
+  return cacheable({
+    records: data,
+    cursor: {
+      next: pg !== null && offset ? query.encodeCursor({ q, p: i, o: offset }) : null,
+      prev: prev !== null && known.offsets[prev] !== undefined ? query.encodeCursor({ q, p: prev, o: known.offsets[prev] }) : null,
+    },
+    total: known.total,
+  }, modified);
+};
+
+/**
+ *  An Airtable select() API query for a list endpoint, along with how to format and page its results
+ *
+ *  @typedef {Object} ListQuery
+ *  @property {string} table - The name of a table in the ESOVDB (e.g., 'Videos', 'Series', etc)
+ *  @property {?string} modified - The table's modified field (see {@link tables}), or null if it has none
+ *  @property {Object} options - Options for the Airtable select() API query (e.g. pageSize, view, sort, fields, filterByFormula, etc.), always including the table's modified field, if it has one
+ *  @property {string} q - The {@link query.fingerprint} of the query
+ *  @property {function(Object): Object} format - Formats each Airtable record as an object for the response
+ *  @property {Object} pages - Which pages of results to retrieve
+ *  @property {string} pages.basePath - The path of the list endpoint, without any page param (e.g. '/esovdb/videos/list'), used for Link headers
+ *  @property {?number} pages.start - The zero-indexed page to start from, or null to retrieve all pages
+ *  @property {number} pages.count - The number of pages to retrieve, starting from {@link pages.start}
+ *  @property {string} summary - A description of the request, for logging
+ */
+
+/**
+ *  Completes a {@link ListQuery}, making sure the table's modified field, if it has one, is always retrieved (for Last-Modified headers), and fingerprinting the query
+ *
+ *  @function listQuery
+ *  @requires query
+ *  @param {Object} config - The table's entry in {@link tables}
+ *  @param {Object} options - Options for the Airtable select() API query
+ *  @param {function(Object): Object} format - Formats each Airtable record as an object for the response
+ *  @param {Object} pages - Which pages of results to retrieve
+ *  @param {string} pages.basePath - The path of the list endpoint, without any page param
+ *  @param {?number} [pages.start=null] - The zero-indexed page to start from, or null to retrieve all pages
+ *  @param {number} [pages.count=1] - The number of pages to retrieve
+ *  @param {string} summary - A description of the request, for logging
+ *  @returns {ListQuery}
+ */
+
+const listQuery = ({ name, modified = null }, options, format, { basePath, start = null, count = 1 }, summary) => {
+  if (modified && options.fields && !options.fields.includes(modified)) options = { ...options, fields: [ ...options.fields, modified ] };
+  return { table: name, modified, options, q: query.fingerprint(name, options), format, pages: { basePath, start, count }, summary };
+};
+
+/**
+ *  Normalizes the page param of a list endpoint, which is one-indexed, to a zero-indexed page, or null if no valid page is given
+ *
+ *  @function pageOf
+ *  @param {*} pg - The page route param
+ *  @returns {?number} The zero-indexed page, or null
+ */
+
+const pageOf = (pg) => !pg || !Number(pg) || +pg < 0 ? null : +pg - 1;
+
+/** @constant {Map} listQueries - Maps each list endpoint to a function that builds its {@link ListQuery} from a request's route params and URL query params, or returns an error and a status code if they are invalid */
+const listQueries = new Map([
+  ['videos', (params, reqQuery) => {
+    const pg = pageOf(params.pg);
+    
+    if (!Number(reqQuery.pageSize) || +reqQuery.pageSize > 100) {
+      reqQuery.pageSize = 100;
+    }
+    
+    if (!Number(reqQuery.maxRecords)) {
+      reqQuery.maxRecords = null;
+    }
+    
+    if (reqQuery.maxRecords && +reqQuery.maxRecords < +reqQuery.pageSize) {
+      reqQuery.pageSize = reqQuery.maxRecords;
+    }
+    
+    const { formula, description, sort, props, error } = query.parse('videos', reqQuery);
+    if (error) return { status: 400, error };
+    
+    let queryText = pg !== null
+      ? `for page ${pg + 1} (${reqQuery.pageSize} results per page)`
+      : `(${reqQuery.pageSize} results per page, ${reqQuery.maxRecords ? 'up to ' + reqQuery.maxRecords : 'for all'} results)`;
+    
+    queryText += description.map((filter) => ', ' + filter).join('');
+
+    const config = tables.get('videos');
+    const options = {
+      pageSize: +reqQuery.pageSize,
+      view: config.view,
+      sort: sort || config.sort,
+      fields: fields.airtableFields('videos', props),
+    };
+
+    if (reqQuery.maxRecords && pg === null) options.maxRecords = +reqQuery.maxRecords;
+    if (formula) options.filterByFormula = formula;
+
+    return listQuery(config, options, (record) => fields.fromRecord('videos', record, props), { basePath: '/esovdb/videos/list', start: pg }, `videos/list API request ${queryText}`);
+  }],
+  ['youtube', (params) => {
+    const pg = pageOf(params.pg);
+    
+    let queryText = pg !== null
+      ? `for pages ${pg + 1}-${pg + 2}, 100 records per page`
+      : 'for all records, 100 at a time';
+
+    const config = tables.get('videos');
+    const options = {
+      pageSize: 100,
+      view: config.view,
+      sort: [{ field: 'Created' }],
+      filterByFormula: `{${fields.airtableField('videos', 'provider')}} = 'YouTube'`,
+      fields: fields.airtableFields('videos', youTubeFields),
+    };
+
+    return listQuery(config, options, (record) => {
+      const { recordId, ...row } = fields.fromRecord('videos', record, youTubeFields);
+      return row;
+    }, { basePath: '/esovdb/videos/youtube', start: pg, count: 2 }, `videos/youtube API request ${queryText}`);
+  }],
+  ['table', (params, reqQuery) => {
+    if (!tables.has(params.table)) return { status: 404, error: `Table "${params.table}" not found.` };
+    
+    const pg = pageOf(params.pg);
+    
+    if (!Number(reqQuery.pageSize) || +reqQuery.pageSize > 100) reqQuery.pageSize = 100;
+    if (!Number(reqQuery.maxRecords)) reqQuery.maxRecords = null;
+    
+    const { formula, description, sort, props, error } = query.parse(params.table, reqQuery);
+    if (error) return { status: 400, error };
+    
+    const config = tables.get(params.table);
+    const options = {
+      pageSize: +reqQuery.pageSize,
+      sort: sort || config.sort,
+      fields: fields.airtableFields(params.table, props),
+    };
+    
+    if (config.view) options.view = config.view;
+    if (formula) options.filterByFormula = formula;
+    if (reqQuery.maxRecords && pg === null) options.maxRecords = +reqQuery.maxRecords;
+    
+    return listQuery(config, options, (record) => fields.fromRecord(params.table, record, props), { basePath: `/esovdb/${params.table}/list`, start: pg }, `${params.table}/list API request ${pg !== null ? 'for page ' + (pg + 1) : 'for all results'} (${reqQuery.pageSize} results per page)${description.map((filter) => ', ' + filter).join('')}`);
+  }],
+]);
+
+/**
+ *  Sends a {@link ListResponse} of records from an ESOVDB table, either from the cache, if a fresh result for the same request exists, or from Airtable with {@link selectRecords}, and then caches the result. Concurrent requests for the same records share a single Airtable query, and if the list route allows stale entries, an expired result is sent right away while it is refreshed in the background. Responses carry an ETag and Last-Modified header, so clients which already have the same result get an empty 304 response instead.
+ *
+ *  @async
+ *  @function sendRecords
+ *  @requires cache
+ *  @requires query
+ *  @param {!express:Request} req - Express.js HTTP request context, an enhanced version of Node's http.IncomingMessage class
+ *  @param {?string} [req.query.cursor] - An [http request]{@link req} URL query param, a cursor token from a previous response, which takes precedence over the query's starting page
+ *  @param {!express:Response} res - Express.js HTTP response context, an enhanced version of Node's http.ServerResponse class
+ *  @param {string} kind - The kind of list endpoint, one of the keys of {@link listQueries}
+ */
+
+const sendRecords = async (req, res, kind) => {
+  const list = listQueries.get(kind)(req.params, req.query);
+  
+  if (list.error) {
+    console.error(`[ERROR] ${list.error}`);
+    return res.status(list.status).send(JSON.stringify({ Error: list.error }));
+  }
+  
+  console.log(`Performing ${list.summary}...`);
+  
+  const { table, modified, options, q, format, pages: { basePath, start, count } } = list;
+  let pg = start, offset;
+  
+  if (req.query.cursor !== undefined) {
+    const cursor = query.decodeCursor(req.query.cursor);
+    
+    if (!cursor || cursor.q !== q) {
+      console.error('[ERROR] Invalid cursor.');
+      return res.status(400).send(JSON.stringify({ Error: 'Invalid cursor.' }));
+    }
+    
+    pg = cursor.p, offset = cursor.o;
+  }
+  
+  try {
+    const cached = await cache.fetch('list', { path: basePath, q, pg, count }, () => {
+      console.log('Cache miss. Loading from Airtable for ' + req.url);
+      return selectRecords(table, options, format, { q, pg, offset, count }, modified);
+    }, { tags: [ `table:${table}` ] });
+    
+    const { cursor } = cached.response;
+    const links = {};
+    if (cursor.next) links.next = pageUrl(req, basePath, cursor.next);
+    if (cursor.prev) links.prev = pageUrl(req, basePath, cursor.prev);
+    if (Object.keys(links).length > 0) res.links(links);
+    sendCacheable(req, res, cached);
+  } catch (err) {
+    console.error(err);
+    
+    if (err.error === 'LIST_RECORDS_ITERATOR_NOT_AVAILABLE') {
+      res.status(410).send(JSON.stringify({ Error: 'Cursor has expired.' }));
+    } else {
+      res.status(err.statusCode || 400).end(JSON.stringify(err));
+    }
+  }
+};
+
+/**
+ *  Parses the path of a list endpoint, with any URL query params (e.g. '/esovdb/videos/list?topic=Geo-Archaeology'), into the kind of list endpoint, its route params, and its URL query params, as Express.js would
+ *
+ *  @function parseListPath
+ *  @param {string} path - The path of a list endpoint, with any URL query params
+ *  @returns {?{ kind: string, params: Object, query: Object }} The kind of list endpoint (one of the keys of {@link listQueries}), route params, and URL query params, or null if the path isn't a list endpoint
+ */
+
+const parseListPath = (path) => {
+  const url = new URL(path, 'http://localhost');
+  const reqQuery = {};
+  let match;
+  
+  url.searchParams.forEach((value, name) => {
+    reqQuery[name] = reqQuery[name] === undefined ? value : [].concat(reqQuery[name], value);
+  });
+  
+  if ((match = url.pathname.match(/^\/esovdb\/videos\/list(?:\/([^/]+))?\/?$/))) return { kind: 'videos', params: { pg: match[1] }, query: reqQuery };
+  if ((match = url.pathname.match(/^\/esovdb\/videos\/youtube(?:\/([^/]+))?\/?$/))) return { kind: 'youtube', params: { pg: match[1] }, query: reqQuery };
+  if ((match = url.pathname.match(/^\/esovdb\/([^/]+)\/list(?:\/([^/]+))?\/?$/))) return { kind: 'table', params: { table: match[1], pg: match[2] }, query: reqQuery };
+  return null;
+};
+
+/** @constant {Map} warmups - Maps the path of each list endpoint warmed by {@link warmCache} to the results of its last warm-up */
+const warmups = new Map();
+
 module.exports = {
   
   /**
@@ -41,328 +762,394 @@ module.exports = {
    *  @requires Airtable
    *  @requires Bottleneck
    *  @requires cache
-   *  @requires util
+   *  @requires query
    *  @param {!express:Request} req - Express.js HTTP request context, an enhanced version of Node's http.IncomingMessage class
    *  @param {?number} [req.params.pg] - An Express.js route param optionally passed after videos/list, which specifies which page (one-indexed) of a given {@link pageSize} number records should be sent in the [server response]{@link res}
    *  @param {number} [req.query.pageSize=100] - An [http request]{@link req} URL query param that specifies how many Airtable records to return in each API call
    *  @param {?number} [req.query.maxRecords] - An [http request]{@link req} URL query param that specifies the maximum number of Airtable records that should be sent in the [server response]{@link res}
    *  @param {?string} [req.query.createdAfter] - An [http request]{@link req} URL query param, in the format of a date string, parseable by Date.parse(), used to create a filterByFormula in an Airtable API call that returns only records created after the date in the given string
    *  @param {?string} [req.query.modifiedAfter] - An [http request]{@link req} URL query param, in the format of a date string, parseable by Date.parse(), used to create a filterByFormula in an Airtable API call that returns only records modified after the date in the given string
+   *  @param {?(string|string[])} [req.query.topic] - An [http request]{@link req} URL query param, which may be repeated, that returns only videos in any of the given topics
+   *  @param {?(string|string[])} [req.query.provider] - An [http request]{@link req} URL query param, which may be repeated, that returns only videos from any of the given video providers (e.g. 'YouTube')
+   *  @param {?(string|string[])} [req.query.language] - An [http request]{@link req} URL query param, which may be repeated, that returns only videos in any of the given languages, by language code (e.g. 'en')
+   *  @param {?(string|string[])} [req.query.format] - An [http request]{@link req} URL query param, which may be repeated, that returns only videos in any of the given formats (e.g. 'Lecture')
+   *  @param {?(string|string[])} [req.query.series] - An [http request]{@link req} URL query param, which may be repeated, that returns only videos in any of the given series
+   *  @param {?string} [req.query.presenter] - An [http request]{@link req} URL query param that returns only videos with presenters whose names contain every word of the given string
+   *  @param {?number} [req.query.yearFrom] - An [http request]{@link req} URL query param that returns only videos from the given year or later
+   *  @param {?number} [req.query.yearTo] - An [http request]{@link req} URL query param that returns only videos from the given year or earlier
+   *  @param {?(number|string)} [req.query.minRunningTime] - An [http request]{@link req} URL query param, in integer seconds, m:ss, or h:mm:ss, that returns only videos at least as long as the given running time
+   *  @param {?(number|string)} [req.query.maxRunningTime] - An [http request]{@link req} URL query param, in integer seconds, m:ss, or h:mm:ss, that returns only videos at most as long as the given running time
+   *  @param {?string} [req.query.q] - An [http request]{@link req} URL query param that returns only videos whose title or description contains the given text (case-insensitive)
+   *  @param {?string} [req.query.sort] - An [http request]{@link req} URL query param, a comma-separated list of properties to sort by, each with an optional direction (e.g. 'year:desc,title:asc'), which replaces the table's default sort order
+   *  @param {?string} [req.query.fields] - An [http request]{@link req} URL query param, a comma-separated list of properties to retrieve (e.g. 'title,url,topic'), which replaces the table's default field projection
    *  @param {!express:Response} res - Express.js HTTP response context, an enhanced version of Node's http.ServerResponse class
    */
   
   listVideos: (req, res) => {
-    req.params.pg = !req.params.pg || !Number(req.params.pg) || +req.params.pg < 0 ? null : +req.params.pg - 1;
-    
-    if (!req.query.pageSize || !Number(req.query.pageSize || req.query.pageSize > 100)) {
-      req.query.pageSize = 100;
+    sendRecords(req, res, 'videos');
+  },
+  
+  /**
+   *  Retrieves a list of YouTube videos by first checking the cache for a matching, fresh request, and otherwise performs an Airtable select() API query for 200 videos (the maximum that can be uploaded to a YouTube playlist in a day), 100 videos at a time, sorted by oldest first, using Botleneck for rate-limiting.  
+   *
+   *  @method listYouTubeVideos
+   *  @requires Airtable
+   *  @requires Bottleneck
+   *  @requires cache
+   *  @param {!express:Request} req - Express.js HTTP request context, an enhanced version of Node's http.IncomingMessage class
+   *  @param {?number} [req.params.pg] - An Express.js route param optionally passed after videos/youtube, which specifies which page (one-based) the [server response]{@link res} should start from—every response sends two pages of 100 records each, for a maximum of 200 (based on YouTube's quota for adding to playlists)
+   *  @param {!express:Response} res - Express.js HTTP response context, an enhanced version of Node's http.ServerResponse class
+   */
+  
+  listYouTubeVideos: (req, res) => {
+    sendRecords(req, res, 'youtube');
+  },
+  
+  /**
+   *  Retrieves a list of records from any table in {@link tables}, with that table's field projection (see {@link fields}), view, and sort order, by first checking the cache for a matching, fresh request, and otherwise performs an Airtable select() API query, page by page {@link req.query.pageSize} records at a time (default=100), until all or {@link req.query.maxRecords}, if specified, using Bottleneck for rate-limiting.
+   *
+   *  @method listTable
+   *  @requires Airtable
+   *  @requires Bottleneck
+   *  @requires cache
+   *  @param {!express:Request} req - Express.js HTTP request context, an enhanced version of Node's http.IncomingMessage class
+   *  @param {string} req.params.table - An Express.js route param specifying which table to list, one of the keys of {@link tables} (e.g. 'series', 'people', etc.)
+   *  @param {?number} [req.params.pg] - An Express.js route param optionally passed after :table/list, which specifies which page (one-indexed) of a given {@link pageSize} number records should be sent in the [server response]{@link res}
+   *  @param {number} [req.query.pageSize=100] - An [http request]{@link req} URL query param that specifies how many Airtable records to return in each API call
+   *  @param {?number} [req.query.maxRecords] - An [http request]{@link req} URL query param that specifies the maximum number of Airtable records that should be sent in the [server response]{@link res}
+   *  @param {?string} [req.query.createdAfter] - An [http request]{@link req} URL query param, in the format of a date string, parseable by Date.parse(), that returns only records created after the given date
+   *  @param {?string} [req.query.modifiedAfter] - An [http request]{@link req} URL query param, in the format of a date string, parseable by Date.parse(), that returns only records modified after the given date
+   *  @param {?string} [req.query.sort] - An [http request]{@link req} URL query param, a comma-separated list of properties to sort by, each with an optional direction (e.g. 'year:desc,title:asc'), which replaces the table's default sort order
+   *  @param {?string} [req.query.fields] - An [http request]{@link req} URL query param, a comma-separated list of properties to retrieve (e.g. 'title,url,topic'), which replaces the table's default field projection
+   *  @param {!express:Response} res - Express.js HTTP response context, an enhanced version of Node's http.ServerResponse class
+   */
+  
+  listTable: (req, res) => {
+    sendRecords(req, res, 'table');
+  },
+  
+  /**
+   *  Refreshes the cached responses of a list of list endpoints, one after another, before they expire, so that requests for them never have to wait for Airtable. Uses the same Bottleneck rate limiter as every other request, but at the lowest priority, so that requests from clients always go first. The results of each warm-up are kept for {@link warmupStatus}.
+   *
+   *  @async
+   *  @method warmCache
+   *  @requires cache
+   *  @param {string[]} paths - The paths of list endpoints to warm, with any URL query params, exactly as they would be requested (e.g. '/esovdb/videos/list?topic=Geo-Archaeology')
+   */
+  
+  warmCache: async (paths) => {
+    for (const path of paths) {
+      const started = Date.now();
+      const parsed = parseListPath(path);
+      const list = parsed ? listQueries.get(parsed.kind)(parsed.params, parsed.query) : { error: 'Not a list endpoint.' };
+      let records = null, error = list.error || null;
+      
+      if (!error) {
+        console.log(`Warming cache for ${path}...`);
+        const { table, modified, options, q, format, pages: { basePath, start, count } } = list;
+        
+        try {
+          const cached = await cache.refresh('list', { path: basePath, q, pg: start, count }, () =>
+            selectRecords(table, options, format, { q, pg: start, count, priority: 9 }, modified), { tags: [ `table:${table}` ] });
+          records = cached.response.records.length;
+        } catch (err) {
+          error = err.message || String(err);
+        }
+      }
+      
+      if (error) console.error(`[ERROR] Couldn't warm cache for ${path}: ${error}`);
+      warmups.set(path, { path, lastRun: new Date(started).toISOString(), duration: Date.now() - started, records, error });
     }
-    
-    if (!Number(req.query.maxRecords || req.query.maxRecords == 0)) {
-      req.query.maxRecords = null;
+  },
+  
+  /**
+   *  Sends a 200 server response with the results of the last warm-up of each list endpoint warmed by {@link warmCache}, including when it ran, how long it took, how many records it retrieved, and any error
+   *
+   *  @method warmupStatus
+   *  @param {!express:Request} req - Express.js HTTP request context, an enhanced version of Node's http.IncomingMessage class
+   *  @param {!express:Response} res - Express.js HTTP response context, an enhanced version of Node's http.ServerResponse class
+   */
+  
+  warmupStatus: (req, res) => {
+    res.status(200).send(JSON.stringify([ ...warmups.values() ]));
+  },
+  
+  /**
+   *  Sends the IDs of all records created, updated, and deleted in an ESOVDB table since a given checkpoint, along with a new checkpoint to pass the next time, after first updating the table's {@link ChangeLog} with {@link updateChangeLog}. Without a checkpoint, the IDs of all current records are sent as created, so that a downstream sync can start from scratch.
+   *
+   *  @async
+   *  @method listChanges
+   *  @requires cache
+   *  @param {!express:Request} req - Express.js HTTP request context, an enhanced version of Node's http.IncomingMessage class
+   *  @param {string} req.params.table - An Express.js route param specifying which table to list changes for, one of the keys of {@link tables} (e.g. 'videos', 'series', etc.)
+   *  @param {?string} [req.query.since] - An [http request]{@link req} URL query param, the checkpoint token sent with a previous response
+   *  @param {!express:Response} res - Express.js HTTP response context, an enhanced version of Node's http.ServerResponse class
+   */
+  
+  listChanges: async (req, res) => {
+    if (!tables.has(req.params.table)) {
+      return res.status(404).send(JSON.stringify({ Error: `Table "${req.params.table}" not found.` }));
     }
     
-    if (req.query.maxRecords && +req.query.maxRecords < +req.query.pageSize) {
-      req.query.pageSize = req.query.maxRecords;
+    if (!tables.get(req.params.table).modified) {
+      return res.status(400).send(JSON.stringify({ Error: `Table "${req.params.table}" has no modified field, so its changes can't be tracked.` }));
     }
     
-    let modifiedAfter,
-        modifiedAfterDate,
-        createdAfter,
-        createdAfterDate;
-    
-    if (
-      req.query.modifiedAfter &&
-      typeof Date.parse(decodeURIComponent(req.query.modifiedAfter)) === 'number' &&
-      Date.parse(decodeURIComponent(req.query.modifiedAfter)) > 0
-    ) {
-      modifiedAfter = Date.parse(decodeURIComponent(req.query.modifiedAfter));
-      modifiedAfterDate = new Date(modifiedAfter);
-    }
-
-    if (
-      req.query.createdAfter &&
-      typeof Date.parse(decodeURIComponent(req.query.createdAfter)) === 'number' &&
-      Date.parse(decodeURIComponent(req.query.createdAfter)) > 0
-    ) {
-      createdAfter = Date.parse(decodeURIComponent(req.query.createdAfter));
-      createdAfterDate = new Date(createdAfter);
-    }
+    let since = null;
     
-    let queryText = req.params.pg !== null
-      ? `for page ${req.params.pg + 1} (${req.query.pageSize} results per page)`
-      : `(${req.query.pageSize} results per page, ${req.query.maxRecords ? 'up to ' + req.query.maxRecords : 'for all'} results)`;
+    if (req.query.since !== undefined) {
+      try {
+        since = JSON.parse(Buffer.from(String(req.query.since), 'base64url').toString('utf8'));
+        if (!since || since.t !== req.params.table || typeof since.id !== 'string' || !Number.isInteger(since.v)) throw new Error();
+      } catch (err) {
+        console.error('[ERROR] Invalid checkpoint.');
+        return res.status(400).send(JSON.stringify({ Error: 'Invalid checkpoint.' }));
+      }
+    }
     
-    queryText += modifiedAfterDate ? ', modified after ' + modifiedAfterDate.toLocaleString() : '';
-    queryText += createdAfterDate ? ', created after ' + createdAfterDate.toLocaleString() : '';
+    console.log(`Performing ${req.params.table}/changes API request${since ? ' since version ' + since.v : ''}...`);
     
-    console.log(`Performing videos/list API request ${queryText}...`);
-
-    const cachePath = `.cache${req.url}.json`;
-    const cachedResult = cache.readCacheWithPath(cachePath);
-
-    if (cachedResult !== null) {
-      console.log('Cache hit. Returning cached result for ' + req.url);
-      res.status(200).send(JSON.stringify(cachedResult));
-    } else {
-      console.log('Cache miss. Loading from Airtable for ' + req.url);
-
-      let pg = 0;
-      const ps = +req.query.pageSize;
-      let options = {
-        pageSize: ps,
-        view: 'All Online Videos',
-        sort: [{ field: 'Modified', direction: 'desc' }],
-        fields: [
-          'Zotero Key',
-          'Zotero Version',
-          'Series Zotero Key',
-          'Title',
-          'URL',
-          'Year',
-          'Description',
-          'Running Time',
-          'Format',
-          'Topic',
-          'Learn More',
-          'Series Text',
-          'Series Count Text',
-          'Vol.',
-          'No.',
-          'Publisher Text',
-          'Presenter First Name',
-          'Presenter Last Name',
-          'Language Code',
-          'Location',
-          'Plus Code',
-          'Video Provider',
-          'ESOVDBID',
-          'Record ID',
-          'ISO Added',
-          'Created',
-          'Modified'
-        ],
-      };
-
-      if (req.query.maxRecords && !req.params.pg) options.maxRecords = +req.query.maxRecords;
-      if (modifiedAfter) options.filterByFormula = `IS_AFTER({Modified}, DATETIME_PARSE(${modifiedAfter}))`;
-      if (createdAfter) options.filterByFormula = `IS_AFTER(CREATED_TIME(), DATETIME_PARSE(${createdAfter}))`;
+    try {
+      const log = await updateChangeLog(req.params.table);
+      const checkpoint = Buffer.from(JSON.stringify({ t: req.params.table, id: log.id, v: log.version })).toString('base64url');
+      const changes = new Map();
       
-      let data = [];
-
-      rateLimiter.wrap(
-        base('Videos')
-          .select(options)
-          .eachPage(
-            function page(records, fetchNextPage) {
-              if (!req.params.pg || pg == req.params.pg) {
-                console.log(`Retrieving records ${pg * ps + 1}-${(pg + 1) * ps}...`);
-                
-                records.forEach((record) => {
-                  let row = {
-                    zoteroKey: record.get('Zotero Key') || '',
-                    zoteroVersion: record.get('Zotero Version') || '',
-                    zoteroSeries: record.get('Series Zotero Key') || '',
-                    title: record.get('Title') || '',
-                    url: record.get('URL') || '',
-                    year: record.get('Year') || '',
-                    desc: record.get('Description') || '',
-                    runningTime: formatDuration(record.get('Running Time')) || '',
-                    format: record.get('Format') || '',
-                    topic: record.get('Topic'),
-                    learnMore: record.get('Learn More'),
-                    series: record.get('Series Text') || '',
-                    seriesCount: record.get('Series Count Text') || '',
-                    vol: record.get('Vol.') || '',
-                    no: record.get('No.') || '',
-                    publisher: record.get('Publisher Text') || '',
-                    presenters: packageAuthors(
-                      record.get('Presenter First Name'),
-                      record.get('Presenter Last Name')
-                    ),
-                    language: record.get('Language Code') || '',
-                    location: record.get('Location') || '',
-                    plusCode: record.get('Plus Code') || '',
-                    provider: record.get('Video Provider') || '',
-                    esovdbId: record.get('ESOVDBID') || '',
-                    recordId: record.get('Record ID') || '',
-                    accessDate: formatDate(record.get('ISO Added')) || '',
-                    created: record.get('Created'),
-                    modified: record.get('Modified'),
-                  };
-
-                  data.push(row);
-                });
-
-                if (pg == req.params.pg) {
-                  console.log(`[DONE] Retrieved ${data.length} records.`);
-                  cache.writeCacheWithPath(cachePath, data);
-                  res.status(200).send(JSON.stringify(data));
-                } else {
-                  console.log(`Successfully retrieved ${records.length} records.`);
-                }
-
-                pg++;
-                fetchNextPage();
-              } else {
-                pg++;
-                fetchNextPage();
-              }
-            },
-            function done(err) {
-              if (err) {
-                console.error(err);
-                res.status(400).end(JSON.stringify(err));
-              } else {
-                console.log(`[DONE] Retrieved ${data.length} records.`);
-                cache.writeCacheWithPath(cachePath, data);
-                res.status(200).send(JSON.stringify(data));
-              }
-            }
-          )
-      );
+      if (!since) {
+        Object.keys(log.snapshot).forEach((id) => changes.set(id, 'created'));
+      } else if (since.id !== log.id || since.v > log.version || (log.entries.length > 0 && since.v < log.entries[0].version - 1)) {
+        console.error('[ERROR] Checkpoint has expired.');
+        return res.status(410).send(JSON.stringify({ Error: 'Checkpoint has expired.' }));
+      } else {
+        log.entries.filter((entry) => entry.version > since.v).forEach((entry) => {
+          entry.created.forEach((id) => changes.set(id, 'created'));
+          entry.updated.forEach((id) => changes.set(id, changes.get(id) === 'created' ? 'created' : 'updated'));
+          entry.deleted.forEach((id) => changes.get(id) === 'created' ? changes.delete(id) : changes.set(id, 'deleted'));
+        });
+      }
+      
+      const ids = (type) => [ ...changes.keys() ].filter((id) => changes.get(id) === type);
+      const data = { created: ids('created'), updated: ids('updated'), deleted: ids('deleted'), checkpoint, time: log.time };
+      
+      console.log(`[DONE] ${data.created.length} created, ${data.updated.length} updated, and ${data.deleted.length} deleted.`);
+      res.status(200).send(JSON.stringify(data));
+    } catch (err) {
+      console.error(err);
+      res.status(err.statusCode || 400).end(JSON.stringify(err));
     }
   },
   
   /**
-   *  Retrieves a list of YouTube videos by first checking the cache for a matching, fresh request, and otherwise performs an Airtable select() API query for 200 videos (the maximum that can be uploaded to a YouTube playlist in a day), 100 videos at a time, sorted by oldest first, using Botleneck for rate-limiting.  
+   *  Retrieves a single record by its ID from any table in {@link tables}, with that table's field projection, by first checking the cache for a matching, fresh request, and otherwise performs an Airtable find() API query, using Bottleneck for rate-limiting.
    *
-   *  @method listYouTubeVideos
+   *  @async
+   *  @method getRecord
    *  @requires Airtable
    *  @requires Bottleneck
    *  @requires cache
    *  @param {!express:Request} req - Express.js HTTP request context, an enhanced version of Node's http.IncomingMessage class
-   *  @param {?number} [req.params.pg] - An Express.js route param optionally passed after videos/youtube, which specifies which page (one-based) the [server response]{@link res} should start from—every response sends two pages of 100 records each, for a maximum of 200 (based on YouTube's quota for adding to playlists)
+   *  @param {string} req.params.table - An Express.js route param specifying which table the record belongs to, one of the keys of {@link tables} (e.g. 'series', 'people', etc.)
+   *  @param {string} req.params.recordId - An Express.js route param specifying the Airtable record ID of the record to retrieve
    *  @param {!express:Response} res - Express.js HTTP response context, an enhanced version of Node's http.ServerResponse class
    */
   
-  listYouTubeVideos: (req, res) => {
-    req.params.pg = !req.params.pg || !Number(req.params.pg) || +req.params.pg < 0 ? null : +req.params.pg - 1;
+  getRecord: async (req, res) => {
+    if (!tables.has(req.params.table)) {
+      return res.status(404).send(JSON.stringify({ Error: `Table "${req.params.table}" not found.` }));
+    }
     
-    let queryText = req.params.pg !== null
-      ? `for pages ${req.params.pg + 1}-${req.params.pg + 2}, 100 records per page`
-      : 'for all records, 100 at a time';
+    console.log(`Performing ${req.params.table}/${req.params.recordId} API request...`);
     
-    console.log(`Performing videos/youtube API request ${queryText}...`);
-
-    const cachePath = `.cache${req.url}.json`;
-    const cachedResult = cache.readCacheWithPath(cachePath);
-
-    if (cachedResult !== null) {
-      console.log('Cache hit. Returning cached result for ' + req.url);
-      res.status(200).send(JSON.stringify(cachedResult));
-    } else {
-      console.log('Cache miss. Loading from Airtable for ' + req.url);
-
-      let pg = 0;
-      const ps = +req.query.pageSize;
-      const options = {
-        pageSize: 100,
-        view: 'All Online Videos',
-        sort: [{ field: 'Created' }],
-        filterByFormula: `{Video Provider} = 'YouTube'`,
-        fields: [
-          'Title',
-          'YouTube Video ID',
-          'Topic'
-        ],
-      };
-      
-      if (Number(req.params.pg) && req.params.pg > 0) options.maxRecords = 200;
-      
-      let data = [];
+    const config = tables.get(req.params.table);
+    
+    try {
+      const cached = await cache.fetch('record', { table: req.params.table, recordId: req.params.recordId }, async () => {
+        console.log('Cache miss. Loading from Airtable for ' + req.url);
+        const record = await rateLimiter.schedule(() => base(config.name).find(req.params.recordId));
+        console.log(`[DONE] Retrieved record ${req.params.recordId}.`);
+        return cacheable(fields.fromRecord(req.params.table, record), config.modified ? Date.parse(record.get(config.modified)) || 0 : 0);
+      }, { tags: [ `table:${config.name}`, `record:${req.params.recordId}` ] });
       
-      rateLimiter.wrap(
-        base('Videos')
-          .select(options)
-          .eachPage(
-            function page(records, fetchNextPage) {
-              if (!req.params.pg || pg == req.params.pg) {
-                console.log(`Retrieving records ${pg * 100 + 1}-${(pg + 1) * 100}...`);
-
-                records.forEach((record) => {
-                  let row = {
-                    title: record.get('Title') || '',
-                    videoId: record.get('YouTube Video ID') || '',
-                    topic: record.get('Topic') || ''
-                  };
-
-                  data.push(row);
-                });
-
-                console.log(`Successfully retrieved ${records.length} records.`);
-
-                pg++;
-                fetchNextPage();
-              } else {
-                pg++;
-                fetchNextPage();
-              }
-            },
-            function done(err) {
-              if (err) {
-                console.error(err);
-                res.status(400).end(JSON.stringify(err));
-              } else {
-                console.log(`[DONE] Retrieved ${data.length} records.`);
-                cache.writeCacheWithPath(cachePath, data);
-                res.status(200).send(JSON.stringify(data));
-              }
-            }
-          )
-      );
+      sendCacheable(req, res, cached);
+    } catch (err) {
+      console.error(err);
+      res.status(err.statusCode || 400).end(JSON.stringify(err));
     }
   },
   
   /**
-   *  Updates one or more Airtable records using the non-destructive Airtable update() method, at most 50 at a time, until all provided records have been updated, using Bottleneck for rate-limiting.
+   *  Creates one or more records in an ESOVDB table, 10 at a time (see {@link sendWrites}).
    *
-   *  @method processUpdates
+   *  @async
+   *  @method createRecords
+   *  @param {!express:Request} req - Express.js HTTP request context, an enhanced version of Node's http.IncomingMessage class
+   *  @param {string} req.params.table - An Express.js route param specifying which table to create records in, one of the keys of {@link tables} (e.g. 'videos', 'series', etc.)
+   *  @param {Object[]} req.body - An array of objects formatted as new records for Airtable (i.e. [ { fields: { 'Airtable Field': 'value', ... } }, ... ]) passed as the body of the [server request]{@link req}
+   *  @param {!express:Response} res - Express.js HTTP response context, an enhanced version of Node's http.ServerResponse class
+   */
+  
+  createRecords: async (req, res) => {
+    await sendWrites(req, res, 'create');
+  },
+  
+  /**
+   *  Creates or updates one or more records in an ESOVDB table, 10 at a time, matching existing records on one to three merge fields, such as 'URL' (see {@link sendWrites}).
+   *
+   *  @async
+   *  @method upsertRecords
+   *  @param {!express:Request} req - Express.js HTTP request context, an enhanced version of Node's http.IncomingMessage class
+   *  @param {string} req.params.table - An Express.js route param specifying which table to upsert records in, one of the keys of {@link tables} (e.g. 'videos', 'series', etc.)
+   *  @param {string} [req.query.mergeOn] - An [http request]{@link req} URL query param, a comma-separated list of the fields to match existing records on, which defaults to the table's mergeOn fields in {@link tables}, if it has any
+   *  @param {Object[]} req.body - An array of objects formatted as new records for Airtable, each including a value for every merge field (i.e. [ { fields: { 'URL': 'value', ... } }, ... ]) passed as the body of the [server request]{@link req}
+   *  @param {!express:Response} res - Express.js HTTP response context, an enhanced version of Node's http.ServerResponse class
+   */
+  
+  upsertRecords: async (req, res) => {
+    await sendWrites(req, res, 'upsert');
+  },
+  
+  /**
+   *  Deletes one or more records from an ESOVDB table, 10 at a time (see {@link sendWrites}).
+   *
+   *  @async
+   *  @method deleteRecords
+   *  @param {!express:Request} req - Express.js HTTP request context, an enhanced version of Node's http.IncomingMessage class
+   *  @param {string} req.params.table - An Express.js route param specifying which table to delete records from, one of the keys of {@link tables} (e.g. 'videos', 'series', etc.)
+   *  @param {Array<(string|Object)>} req.body - An array of Airtable record IDs, or objects with an id (i.e. [ 'recordId', ... ] or [ { id: 'recordId' }, ... ]) passed as the body of the [server request]{@link req}
+   *  @param {!express:Response} res - Express.js HTTP response context, an enhanced version of Node's http.ServerResponse class
+   */
+  
+  deleteRecords: async (req, res) => {
+    await sendWrites(req, res, 'delete');
+  },
+  
+  /**
+   *  Retrieves records from an ESOVDB table by their Airtable record IDs, or by the values of another field, 50 at a time, using Bottleneck for rate-limiting
+   *
+   *  @async
+   *  @method findRecords
    *  @requires Airtable
    *  @requires Bottleneck
-   *  @param {Object[]} items - An array of objects formatted as updates for Airtable (i.e. [ { id: 'recordId', fields: { 'Airtable Field': 'value', ... } }, ... ])
    *  @param {string} table - The name of a table in the ESOVDB (e.g., 'Videos', 'Series', etc)
-   *  @returns {Object[]} The original array of video update objects, {@link videos}, passed to {@link processUpdates}
+   *  @param {string[]} values - The Airtable record IDs of the records to retrieve, or the values of {@link field} to match
+   *  @param {string[]} [fieldNames] - The names of the fields on Airtable to retrieve (default: every field)
+   *  @param {string} [field] - The name of a field on Airtable to match the values against, instead of record IDs (e.g. 'Zotero Key')
+   *  @returns {Promise<Object[]>} The Airtable records found, in no particular order, leaving out any values which don't match a record
    */
   
-  processUpdates: (items, table) => {
-    let i = 0, updates = [ ...items ], queue = items.length;
-
-    while (updates.length) {
-      console.log(
-        `Updating record${updates.length === 1 ? '' : 's'} ${
-          i * 50 + 1
-        }${updates.length > 1 ? '-' : ''}${
-          updates.length > 1
-            ? i * 50 +
-              (updates.length < 50
-                ? updates.length
-                : 50)
-            : ''
-        } of ${queue} total...`
-      );
-
-      i++, rateLimiter.wrap(base(table).update(updates.splice(0, 50)));
+  findRecords: async (table, values, fieldNames, field) => {
+    const matches = field
+      ? values.filter((value) => value !== undefined && value !== null && value !== '').map((value) => `{${field}} = ${query.literal(value)}`)
+      : values.filter((id) => /^rec[A-Za-z0-9]{14}$/.test(id)).map((id) => `RECORD_ID() = '${id}'`);
+    const records = [];
+    
+    for (let i = 0; i < matches.length; i += 50) {
+      const options = { pageSize: 100, filterByFormula: `OR(${matches.slice(i, i + 50).join(', ')})` };
+      if (fieldNames) options.fields = fieldNames;
+      records.push(...(await selectAll(table, options)));
     }
     
-    return items;
+    return records;
   },
   
   /**
-   *  Passes the body of an HTTP POST request to this server on to {@link processUpdates} for updating records on Airtable and sends a 200 server response with the array of objects originally passed to it in the [request body]{@link req.body}.
+   *  Retrieves every record from an ESOVDB table, 100 at a time, using Bottleneck for rate-limiting, for small tables which are read in full, such as Topics and Series
+   *
+   *  @async
+   *  @method listRecords
+   *  @requires Airtable
+   *  @requires Bottleneck
+   *  @param {string} table - The name of a table in the ESOVDB (e.g., 'Topics', 'Series', etc)
+   *  @param {string[]} [fieldNames] - The names of the fields on Airtable to retrieve (default: every field)
+   *  @returns {Promise<Object[]>} Every Airtable record in the table, in no particular order
+   */
+  
+  listRecords: (table, fieldNames) => selectAll(table, fieldNames ? { pageSize: 100, fields: fieldNames } : { pageSize: 100 }),
+  
+  /**
+   *  Updates one or more Airtable records using the non-destructive Airtable update() method, 10 at a time, using Bottleneck for rate-limiting and retrying after transient errors, and then invalidates any cached lists from the same table and cached copies of the updated records (see {@link writeRecords}).
    *
    *  @async
-   *  @method updateVideos
+   *  @method processUpdates
+   *  @requires Airtable
+   *  @requires Bottleneck
+   *  @requires cache
+   *  @param {Object[]} items - An array of objects formatted as updates for Airtable (i.e. [ { id: 'recordId', fields: { 'Airtable Field': 'value', ... } }, ... ])
+   *  @param {string} table - The name of a table in the ESOVDB (e.g., 'Videos', 'Series', etc)
+   *  @returns {Promise<WriteReport>} Which records were updated and which failed, with Airtable's error for each failure
+   */
+  
+  processUpdates: (items, table) => writeRecords(table, items, 'update'),
+  
+  /**
+   *  Passes the body of an HTTP POST request to this server on to {@link processUpdates} for updating records on Airtable and sends a server response with a {@link WriteReport}: 200 if every record was updated, 207 if only some were, or Airtable's error status if none were (see {@link sendWrites}).
+   *
+   *  @async
+   *  @method updateTable
    *  @param {!express:Request} req - Express.js HTTP request context, an enhanced version of Node's http.IncomingMessage class
+   *  @param {string} req.params.table - An Express.js route param specifying which table to update records in, one of the keys of {@link tables} (e.g. 'videos', 'series', etc.)
    *  @param {Object[]} req.body - An array of objects formatted as updates for Airtable (i.e. [ { id: 'recordId', fields: { 'Airtable Field': 'value', ... } }, ... ]) passed as the body of the [server request]{@link req}
    *  @param {!express:Response} res - Express.js HTTP response context, an enhanced version of Node's http.ServerResponse class
    */
   
   updateTable: async (req, res) => {
-    if (req.body.length > 0) {
-      console.log(`Performing ${req.params.table}/update API request for ${req.body.length} record${req.body.length === 1 ? '' : 's'}...`);
-      const data = await module.exports.processUpdates(req.body, tables.get(req.params.table));
-      res.status(200).send(JSON.stringify(data));
+    await sendWrites(req, res, 'update');
+  },
+  
+  /**
+   *  Purges cached responses, including cached lists and single records, either for a single table, if one is given, or for every table, and sends a 200 server response with the number of cache entries removed, or a 500 if the cache can't be purged
+   *
+   *  @async
+   *  @method purgeCache
+   *  @requires cache
+   *  @param {!express:Request} req - Express.js HTTP request context, an enhanced version of Node's http.IncomingMessage class
+   *  @param {string} [req.query.table] - An optional URL query param specifying which table to purge cached responses for, one of the keys of {@link tables} (e.g. 'videos', 'series', etc.)
+   *  @param {!express:Response} res - Express.js HTTP response context, an enhanced version of Node's http.ServerResponse class
+   */
+  
+  purgeCache: async (req, res) => {
+    if (req.query.table !== undefined && !tables.has(req.query.table)) {
+      return res.status(404).send(JSON.stringify({ Error: `Table "${req.query.table}" not found.` }));
+    }
+    
+    let purged = 0;
+    
+    try {
+      if (req.query.table) {
+        console.log(`Purging cache for ${req.query.table}...`);
+        purged = await invalidate(tables.get(req.query.table).name);
+      } else {
+        console.log('Purging cache...');
+        
+        for (const route of cacheRoutes) {
+          purged += Object.keys(await cache.index(route)).length;
+          await cache.clear(route);
+        }
+      }
+      
+      console.log(`[DONE] Purged ${purged} cache entr${purged === 1 ? 'y' : 'ies'}.`);
+      res.status(200).send(JSON.stringify({ table: req.query.table || null, purged }));
+    } catch (err) {
+      console.error(`[ERROR] Couldn't purge cache: ${err.message}`);
+      res.status(500).send(JSON.stringify({ Error: 'Unable to purge cache.' }));
+    }
+  },
+  
+  /**
+   *  Sends a 200 server response with statistics for each cache route used by this module, including its type of cache store, ttl, number of entries, and hits, misses, writes, and invalidated entries since the server started, or a 500 if they can't be read from the cache
+   *
+   *  @async
+   *  @method cacheStats
+   *  @requires cache
+   *  @param {!express:Request} req - Express.js HTTP request context, an enhanced version of Node's http.IncomingMessage class
+   *  @param {!express:Response} res - Express.js HTTP response context, an enhanced version of Node's http.ServerResponse class
+   */
+  
+  cacheStats: async (req, res) => {
+    try {
+      res.status(200).send(JSON.stringify(await cache.stats(cacheRoutes)));
+    } catch (err) {
+      console.error(`[ERROR] Couldn't retrieve cache statistics: ${err.message}`);
+      res.status(500).send(JSON.stringify({ Error: 'Unable to retrieve cache statistics.' }));
     }
   }
 };
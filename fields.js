@@ -0,0 +1,513 @@
+/**
+ *  @file Declarative field mappings between the ESOVDB on Airtable, this server's API, and Zotero
+ *  @author Avana Vana <dear.avana@gmail.com>
+ *  @module fields
+ */
+
+const { formatDuration, formatDate, packageAuthors } = require('./util');
+
+/**
+ *  @typedef {Object} FieldDefinition
+ *  @property {string} prop - The property used for the field in API responses and in requests from Airtable automations (e.g. 'desc')
+ *  @property {?(string|string[])} airtable - The field's name on Airtable (e.g. 'Description'), or an array of names for fields combined into a single property, or null if the property is never read from Airtable
+ *  @property {string} type - The field's type, one of 'string', 'number', 'url', 'date', 'duration', 'select', 'list', 'links', or 'creators'
+ *  @property {function} [transform] - Transforms the field's raw Airtable value(s) into the value used in API responses, and must return values already transformed unchanged
+ *  @property {string[]} [aliases] - Properties used for each of the field's raw Airtable values in requests from Airtable automations (e.g. 'presentersFirstName' and 'presentersLastName'), which are combined with {@link transform}
+ *  @property {boolean} [default=true] - Whether or not the field is included in the table's default field projection
+ *  @property {boolean} [computed=false] - Whether or not the field is computed on Airtable (e.g. a lookup, rollup, or formula field), and so can't be written
+ *  @property {(string|Object)} [zotero] - The Zotero item field the property maps to (e.g. 'abstractNote'), or an object describing the mapping
+ *  @property {string} [zotero.field] - The Zotero item field the property maps to
+ *  @property {number} [zotero.tag] - The type of Zotero tag the property is written as, instead of a field (0 for manual tags, or 1 for automatic tags), with a tag for each value of a list
+ *  @property {function(*, Object): *} [zotero.transform] - Transforms the property's value, given the whole API object as a second argument, into the Zotero field's value
+ *  @property {function(*, Object): *} [zotero.parse] - The inverse of {@link zotero.transform}, transforms the Zotero field's value, given the whole Zotero item as a second argument, back into the property's value
+ *  @property {boolean} [zotero.readOnly=false] - Whether or not the property is only parsed from the Zotero field, because another property writes to it
+ *  @property {Object} [child] - How the property is written to the Zotero item's child items, in addition to any Zotero field it maps to
+ *  @property {string} [child.link] - The title of a linked URL attachment added for each URL in the property
+ *  @property {string} [child.note] - The label of the property's row in the item's child note
+ *  @property {boolean} [child.block=false] - Whether the property is written to the child note as paragraphs, before its table of rows, instead of as a row
+ *  @property {function(*, Object): string} [child.format] - Formats the property's value, given the whole API object as a second argument, as the text of its row in the child note
+ *  @property {function(*): string} [child.href] - Turns the property's value into a URL, which its row in the child note links to
+ */
+
+/** @constant {string} archiveUrl - The base URL of the ESOVDB videos table, to which a record ID is appended to link to a video's record on Airtable */
+const archiveUrl = 'https://airtable.com/tbl3WP689vHdmg7P2/viwD9Tpr6JAAr97CW/';
+
+/**
+ *  Formats a video's series, along with its volume and number, and the number of videos in the series, as the text of the series' row in the video's child note
+ *
+ *  @function formatSeries
+ *  @param {string} series - The name of the video's series
+ *  @param {Object} video - A normalized ESOVDB video object (see {@link normalize})
+ *  @returns {string} The formatted series (e.g. 'Earth Science Week, Vol. 2:3 (12 videos)')
+ */
+
+const formatSeries = (series, video) => {
+  const volume = [ video.vol, video.no ].filter((part) => part).join(':');
+  const count = video.seriesCount > 1 ? ` (${video.seriesCount} videos)` : '';
+  return series + (volume ? `, Vol. ${volume}` : '') + count;
+};
+
+/**
+ *  Combines a video's volume and number into the value of a Zotero item's volume field, as 'vol:no', or just the number if the video has no volume
+ *
+ *  @function toVolume
+ *  @param {number} vol - The video's volume in its series
+ *  @param {Object} video - A normalized ESOVDB video object (see {@link normalize})
+ *  @returns {(string|number)} The value of the Zotero item's volume field
+ */
+
+const toVolume = (vol, video) => vol ? `${vol}:${video.no || ''}` : video.no || '';
+
+/**
+ *  Parses the volume out of a Zotero item's volume field (see {@link toVolume})
+ *
+ *  @function parseVolume
+ *  @param {(string|number)} volume - The value of the Zotero item's volume field
+ *  @returns {string} The video's volume, or an empty string if it has none
+ */
+
+const parseVolume = (volume) => String(volume).includes(':') ? String(volume).split(':')[0] : '';
+
+/**
+ *  Parses the number out of a Zotero item's volume field (see {@link toVolume})
+ *
+ *  @function parseNumber
+ *  @param {(string|number)} volume - The value of the Zotero item's volume field
+ *  @returns {(string|number)} The video's number in its series
+ */
+
+const parseNumber = (volume) => String(volume).includes(':') ? String(volume).split(':')[1] : volume;
+
+/**
+ *  Maps a video's presenters onto Zotero creators, using a single name field for presenters with only a first or last name, and a single 'Unknown' creator for videos without any presenters
+ *
+ *  @function toCreators
+ *  @param {Object[]} presenters - The video's presenters, each with a firstName and lastName
+ *  @returns {Object[]} The Zotero item's creators
+ */
+
+const toCreators = (presenters) => {
+  if (presenters.length === 0) return [{ creatorType: 'contributor', name: 'Unknown' }];
+
+  return presenters.map((presenter) => !presenter.firstName || !presenter.lastName
+    ? { creatorType: 'contributor', name: (presenter.firstName || '') + (presenter.lastName || '') }
+    : { creatorType: 'contributor', firstName: presenter.firstName, lastName: presenter.lastName });
+};
+
+/**
+ *  Maps a Zotero item's creators back onto a video's presenters (see {@link toCreators})
+ *
+ *  @function fromCreators
+ *  @param {Object[]} creators - The Zotero item's creators
+ *  @returns {Object[]} The video's presenters, each with a firstName and lastName
+ */
+
+const fromCreators = (creators) => creators
+  .filter((creator) => creator.name !== 'Unknown')
+  .map((creator) => ({ firstName: creator.firstName || '', lastName: creator.lastName || creator.name || '' }));
+
+/**
+ *  Formats a video's presenters, each followed by their affiliation, if any, as the text of the presenters' row in the video's child note
+ *
+ *  @function formatPresenters
+ *  @param {Object[]} presenters - The video's presenters, each with a firstName and lastName
+ *  @param {Object} video - A normalized ESOVDB video object (see {@link normalize}), with its presenters' affiliations, in the same order as its presenters
+ *  @returns {string} The formatted presenters (e.g. 'Jane Doe (USGS), John Smith')
+ */
+
+const formatPresenters = (presenters, video) => {
+  const affiliations = [].concat(video.affiliations || []);
+
+  return presenters
+    .map((presenter, i) => {
+      const name = [ presenter.firstName, presenter.lastName ].filter((part) => part).join(' ');
+      return affiliations[i] ? `${name} (${affiliations[i]})` : name;
+    })
+    .join(', ');
+};
+
+/** @constant {Object.<string, FieldDefinition[]>} mappings - Maps each ESOVDB table param to the definitions of its fields */
+// prettier-ignore
+const mappings = {
+  videos: [
+    { prop: 'zoteroKey', airtable: 'Zotero Key', type: 'string' },
+    { prop: 'zoteroVersion', airtable: 'Zotero Version', type: 'number' },
+    { prop: 'zoteroSeries', airtable: 'Series Zotero Key', type: 'string', computed: true },
+    { prop: 'title', airtable: 'Title', type: 'string', zotero: 'title' },
+    { prop: 'url', airtable: 'URL', type: 'url', zotero: 'url', child: { link: 'Watch Video' } },
+    { prop: 'year', airtable: 'Year', type: 'number', zotero: { field: 'date', parse: (date) => +(String(date).match(/\d{4}/) || [])[0] || '' } },
+    { prop: 'desc', airtable: 'Description', type: 'string', zotero: 'abstractNote', child: { note: 'Description', block: true } },
+    { prop: 'runningTime', airtable: 'Running Time', type: 'duration', transform: (seconds) => typeof seconds === 'number' ? formatDuration(seconds) : seconds, zotero: 'runningTime' },
+    { prop: 'format', airtable: 'Format', type: 'select', zotero: 'videoRecordingFormat' },
+    { prop: 'topic', airtable: 'Topic', type: 'select', zotero: { tag: 1 } },
+    { prop: 'tagsList', airtable: null, type: 'list', zotero: { tag: 0 } },
+    { prop: 'learnMore', airtable: 'Learn More', type: 'url', child: { link: 'Learn More' } },
+    {
+      prop: 'series',
+      airtable: 'Series Text',
+      type: 'string',
+      computed: true,
+      zotero: 'seriesTitle',
+      child: { note: 'Series', format: formatSeries }
+    },
+    { prop: 'seriesCount', airtable: 'Series Count Text', type: 'number', computed: true, zotero: { field: 'numberOfVolumes', transform: (count) => count > 1 ? count : '' } },
+    { prop: 'vol', airtable: 'Vol.', type: 'number', zotero: { field: 'volume', transform: toVolume, parse: parseVolume } },
+    { prop: 'no', airtable: 'No.', type: 'number', zotero: { field: 'volume', parse: parseNumber, readOnly: true } },
+    { prop: 'publisher', airtable: 'Publisher Text', type: 'string', computed: true, zotero: 'studio' },
+    {
+      prop: 'presenters',
+      airtable: [ 'Presenter First Name', 'Presenter Last Name' ],
+      aliases: [ 'presentersFirstName', 'presentersLastName' ],
+      type: 'creators',
+      transform: (first = [], last) => last === undefined ? first : packageAuthors(first, last || []),
+      zotero: { field: 'creators', transform: toCreators, parse: fromCreators },
+      child: { note: 'Presenters', format: formatPresenters }
+    },
+    { prop: 'affiliations', airtable: 'Presenter Affiliation', type: 'list', computed: true, default: false },
+    { prop: 'language', airtable: 'Language Code', type: 'select', zotero: 'language' },
+    { prop: 'location', airtable: 'Location', type: 'string', child: { note: 'Location' } },
+    { prop: 'plusCode', airtable: 'Plus Code', type: 'string', child: { note: 'Plus Code', href: (code) => 'https://plus.codes/' + encodeURIComponent(code) } },
+    { prop: 'provider', airtable: 'Video Provider', type: 'select', zotero: 'place' },
+    { prop: 'videoId', airtable: 'YouTube Video ID', type: 'string', computed: true, default: false },
+    { prop: 'esovdbId', airtable: 'ESOVDBID', type: 'string', computed: true, zotero: 'callNumber' },
+    { prop: 'recordId', airtable: null, type: 'string', zotero: { field: 'archiveLocation', transform: (id) => archiveUrl + id, parse: (url) => (String(url).match(/rec[\w]{14}$/) || [ '' ])[0] } },
+    { prop: 'accessDate', airtable: 'ISO Added', type: 'date', computed: true, transform: formatDate, zotero: 'accessDate' },
+    { prop: 'created', airtable: 'Created', type: 'date', computed: true },
+    { prop: 'modified', airtable: 'Modified', type: 'date', computed: true }
+  ],
+  series: [
+    { prop: 'name', airtable: 'Name', type: 'string' },
+    { prop: 'description', airtable: 'Description', type: 'string' },
+    { prop: 'zoteroKey', airtable: 'Zotero Key', type: 'string' },
+    { prop: 'publisher', airtable: 'Publisher Text', type: 'string' },
+    { prop: 'videos', airtable: 'Videos', type: 'links' },
+    { prop: 'created', airtable: 'Created', type: 'date' },
+    { prop: 'modified', airtable: 'Modified', type: 'date' }
+  ],
+  topics: [
+    { prop: 'name', airtable: 'Name', type: 'string' },
+    { prop: 'description', airtable: 'Description', type: 'string' },
+    { prop: 'zoteroKey', airtable: 'Zotero Key', type: 'string', default: false },
+    { prop: 'color', airtable: 'Color', type: 'string', default: false },
+    { prop: 'channel', airtable: 'Discord Channel', type: 'string', default: false },
+    { prop: 'channelId', airtable: 'Discord Channel ID', type: 'string', default: false },
+    { prop: 'videos', airtable: 'Videos', type: 'links' },
+    { prop: 'created', airtable: 'Created', type: 'date' },
+    { prop: 'modified', airtable: 'Modified', type: 'date' }
+  ],
+  tags: [
+    { prop: 'name', airtable: 'Name', type: 'string' },
+    { prop: 'videos', airtable: 'Videos', type: 'links' },
+    { prop: 'created', airtable: 'Created', type: 'date' },
+    { prop: 'modified', airtable: 'Modified', type: 'date' }
+  ],
+  organizations: [
+    { prop: 'name', airtable: 'Name', type: 'string' },
+    { prop: 'url', airtable: 'URL', type: 'url' },
+    { prop: 'videos', airtable: 'Videos', type: 'links' },
+    { prop: 'created', airtable: 'Created', type: 'date' },
+    { prop: 'modified', airtable: 'Modified', type: 'date' }
+  ],
+  people: [
+    { prop: 'firstName', airtable: 'First Name', type: 'string' },
+    { prop: 'lastName', airtable: 'Last Name', type: 'string' },
+    { prop: 'affiliation', airtable: 'Affiliation', type: 'string' },
+    { prop: 'url', airtable: 'URL', type: 'url' },
+    { prop: 'videos', airtable: 'Videos', type: 'links' },
+    { prop: 'created', airtable: 'Created', type: 'date' },
+    { prop: 'modified', airtable: 'Modified', type: 'date' }
+  ],
+  submissions: [
+    { prop: 'title', airtable: 'Title', type: 'string' },
+    { prop: 'url', airtable: 'URL', type: 'url' },
+    { prop: 'status', airtable: 'Status', type: 'select' },
+    { prop: 'created', airtable: 'Created', type: 'date' },
+    { prop: 'modified', airtable: 'Modified', type: 'date' }
+  ],
+  issues: [
+    { prop: 'title', airtable: 'Title', type: 'string' },
+    { prop: 'description', airtable: 'Description', type: 'string' },
+    { prop: 'status', airtable: 'Status', type: 'select' },
+    { prop: 'videos', airtable: 'Videos', type: 'links' },
+    { prop: 'created', airtable: 'Created', type: 'date' },
+    { prop: 'modified', airtable: 'Modified', type: 'date' }
+  ]
+};
+
+/**
+ *  Normalizes a field definition's Zotero mapping into object form
+ *
+ *  @function zoteroMapping
+ *  @param {FieldDefinition} definition - A field definition from {@link mappings}
+ *  @returns {?Object} The field's Zotero mapping as an object, or null if the field doesn't map to Zotero
+ */
+
+const zoteroMapping = (definition) =>
+  !definition.zotero ? null : typeof definition.zotero === 'string' ? { field: definition.zotero } : definition.zotero;
+
+/**
+ *  Replaces missing values (i.e. undefined or null) with empty strings, as expected by API clients and Zotero
+ *
+ *  @function orEmpty
+ *  @param {*} value - Any value
+ *  @returns {*} The original {@link value}, or an empty string if it was undefined or null
+ */
+
+const orEmpty = (value) => value === undefined || value === null ? '' : value;
+
+/**
+ *  Splits a property's value into a list of values, for properties written as a tag or child item for each value: lists on commas, URLs on whitespace, and anything else not at all
+ *
+ *  @function valuesOf
+ *  @param {FieldDefinition} definition - A field definition from {@link mappings}
+ *  @param {*} value - The property's value, or an array of values
+ *  @returns {string[]} The property's values, without any empty ones
+ */
+
+const valuesOf = (definition, value) => {
+  const separator = { list: ',', url: /\s+/ }[definition.type];
+  const parts = Array.isArray(value) ? value : separator ? String(orEmpty(value)).split(separator) : [ orEmpty(value) ];
+  return parts.map((part) => String(part).trim()).filter((part) => part);
+};
+
+/**
+ *  Escapes text for use in the HTML of a Zotero note
+ *
+ *  @function escapeHtml
+ *  @param {string} text - Any text
+ *  @returns {string} The text, with HTML special characters escaped
+ */
+
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' })[char]);
+
+/** @constant {Object.<string, function>} toAirtableValue - Maps each type of field which can be written back to Airtable to a function which converts an API property's value back into the field's raw Airtable value */
+const toAirtableValue = {
+  string: (value) => String(orEmpty(value)),
+  url: (value) => String(orEmpty(value)),
+  select: (value) => value === '' || value === undefined || value === null ? null : String(value),
+  number: (value) => value === '' || value === undefined || value === null || isNaN(+value) ? null : +value,
+  duration: (value) => typeof value === 'number' ? value : String(value).includes(':') ? String(value).split(':').reduce((seconds, part) => seconds * 60 + (+part || 0), 0) : null
+};
+
+module.exports = {
+
+  /**
+   *  Returns the field definitions for an ESOVDB table, optionally limited to a list of properties
+   *
+   *  @method definitions
+   *  @param {string} table - An ESOVDB table param, one of the keys of {@link mappings} (e.g. 'videos')
+   *  @param {string[]} [props] - A list of properties to limit the definitions to, in which case fields excluded from the table's default projection are also returned
+   *  @returns {FieldDefinition[]} An array of field definitions
+   */
+
+  definitions: (table, props) =>
+    (mappings[table] || []).filter((definition) => props ? props.includes(definition.prop) : definition.default !== false),
+
+  /**
+   *  Returns the names of the fields on Airtable needed for a list of properties from an ESOVDB table, for use as the fields option of an Airtable select() API query
+   *
+   *  @method airtableFields
+   *  @param {string} table - An ESOVDB table param, one of the keys of {@link mappings} (e.g. 'videos')
+   *  @param {string[]} [props] - A list of properties to retrieve (default: the table's default projection)
+   *  @returns {string[]} An array of Airtable field names
+   */
+
+  airtableFields: (table, props) =>
+    module.exports.definitions(table, props)
+      .filter((definition) => definition.airtable)
+      .flatMap((definition) => definition.airtable),
+
+  /**
+   *  Returns the name of the field on Airtable for a single property from an ESOVDB table
+   *
+   *  @method airtableField
+   *  @param {string} table - An ESOVDB table param, one of the keys of {@link mappings} (e.g. 'videos')
+   *  @param {string} prop - A property of the table (e.g. 'desc')
+   *  @returns {?(string|string[])} The property's Airtable field name, or null if it isn't read from Airtable
+   */
+
+  airtableField: (table, prop) => {
+    const [ definition ] = module.exports.definitions(table, [ prop ]);
+    return definition ? definition.airtable : null;
+  },
+
+  /**
+   *  Formats an Airtable record as an object with a property for each of the given properties from its table, using each field's transform
+   *
+   *  @method fromRecord
+   *  @param {string} table - An ESOVDB table param, one of the keys of {@link mappings} (e.g. 'videos')
+   *  @param {Object} record - An Airtable record object
+   *  @param {string[]} [props] - A list of properties to include (default: the table's default projection)
+   *  @returns {Object} An object of API properties, always including the record's Airtable ID as recordId
+   */
+
+  fromRecord: (table, record, props) =>
+    module.exports.definitions(table, props)
+      .filter((definition) => definition.airtable)
+      .reduce((row, definition) => {
+        const raw = [].concat(definition.airtable).map((field) => record.get(field));
+        row[definition.prop] = orEmpty(definition.transform ? definition.transform(...raw) : raw[0]);
+        return row;
+      }, { recordId: record.id }),
+
+  /**
+   *  Maps API properties back onto the fields of an ESOVDB table on Airtable—the inverse of {@link fromRecord}—for properties stored in a single field of Airtable which can be written (i.e. not combined, computed, or linked fields), for use in an Airtable update() API query
+   *
+   *  @method toAirtable
+   *  @param {string} table - An ESOVDB table param, one of the keys of {@link mappings} (e.g. 'videos')
+   *  @param {Object} props - An object of API properties (e.g. { title: '...', desc: '...' })
+   *  @returns {Object} An object of Airtable field names and values, leaving out any properties which can't be written
+   */
+
+  toAirtable: (table, props) =>
+    module.exports.definitions(table, Object.keys(props))
+      .filter((definition) => module.exports.writable(definition))
+      .reduce((record, definition) => {
+        record[definition.airtable] = toAirtableValue[definition.type](props[definition.prop]);
+        return record;
+      }, {}),
+
+  /**
+   *  Checks whether a field can be written back to Airtable with {@link toAirtable}
+   *
+   *  @method writable
+   *  @param {FieldDefinition} definition - A field definition from {@link mappings}
+   *  @returns {boolean} Whether the field is stored in a single, non-computed Airtable field of a type which can be written
+   */
+
+  writable: (definition) =>
+    typeof definition.airtable === 'string' && !definition.computed && toAirtableValue[definition.type] !== undefined,
+
+  /**
+   *  Normalizes an object sent by an Airtable automation (or retrieved from this server's API) into API properties, combining aliased raw values and applying each field's transform
+   *
+   *  @method normalize
+   *  @param {string} table - An ESOVDB table param, one of the keys of {@link mappings} (e.g. 'videos')
+   *  @param {Object} input - An object with API properties and/or their aliases (e.g. { presentersFirstName: [...], presentersLastName: [...] })
+   *  @returns {Object} A copy of {@link input}, with every mapped property normalized
+   */
+
+  normalize: (table, input) =>
+    (mappings[table] || []).reduce((output, definition) => {
+      const raw = input[definition.prop] !== undefined
+        ? [ input[definition.prop] ]
+        : definition.aliases && definition.aliases.some((alias) => input[alias] !== undefined)
+          ? definition.aliases.map((alias) => input[alias])
+          : null;
+
+      if (raw) output[definition.prop] = definition.transform ? definition.transform(...raw) : raw[0];
+      return output;
+    }, { ...input }),
+
+  /**
+   *  Maps an ESOVDB video's API properties onto the fields and tags of a Zotero item, leaving out any properties written as child items (see {@link toZoteroChildren})
+   *
+   *  @method toZotero
+   *  @param {Object} video - A normalized ESOVDB video object (see {@link normalize})
+   *  @returns {Object} A partial Zotero item, with only the fields and tags mapped from the ESOVDB
+   */
+
+  toZotero: (video) => {
+    const item = { tags: [] };
+
+    mappings.videos.forEach((definition) => {
+      const mapping = zoteroMapping(definition);
+      if (!mapping || mapping.readOnly) return;
+
+      if (mapping.tag !== undefined) {
+        item.tags.push(...valuesOf(definition, video[definition.prop]).map((tag) => ({ tag, type: mapping.tag })));
+      } else {
+        item[mapping.field] = orEmpty(mapping.transform ? mapping.transform(orEmpty(video[definition.prop]), video) : video[definition.prop]);
+      }
+    });
+
+    return item;
+  },
+
+  /**
+   *  Maps an ESOVDB video's API properties onto new Zotero child items: a linked URL attachment for each link (i.e. to watch the video, and to learn more), and a single HTML note with the video's description, presenters and their affiliations, series, and location, which links back to the video's record on the ESOVDB
+   *
+   *  @method toZoteroChildren
+   *  @param {Object} video - A normalized ESOVDB video object (see {@link normalize})
+   *  @returns {Object[]} An array of Zotero child items, without a parentItem, or an empty array if the video has none
+   *
+   *  @see [Zotero Web API 3.0 › Write Requests › Creating an Item]{@link https://www.zotero.org/support/dev/web_api/v3/write_requests#creating_an_item}
+   */
+
+  toZoteroChildren: (video) => {
+    const children = [], blocks = [], rows = [];
+
+    mappings.videos.filter((definition) => definition.child).forEach((definition) => {
+      const { prop, child } = definition;
+
+      if (child.link) {
+        valuesOf(definition, video[prop]).forEach((url) => {
+          children.push({ itemType: 'attachment', linkMode: 'linked_url', title: child.link, url, accessDate: '', note: '', contentType: '', charset: '', tags: [], relations: {} });
+        });
+      } else if (child.note) {
+        const value = Array.isArray(video[prop]) && video[prop].length === 0 ? '' : orEmpty(video[prop]);
+        if (value === '') return;
+
+        const text = escapeHtml(child.format ? child.format(value, video) : value);
+        if (child.block) blocks.push(...String(text).split(/\n+/).filter((line) => line.trim()).map((line) => `<p>${line}</p>`));
+        else rows.push(`<tr><th>${escapeHtml(child.note)}</th><td>${child.href ? `<a href="${escapeHtml(child.href(value))}">${text}</a>` : text}</td></tr>`);
+      }
+    });
+
+    if (video.recordId) {
+      children.push({
+        itemType: 'note',
+        note: [
+          `<h1>${escapeHtml(video.title || 'Untitled')}</h1>`,
+          ...blocks,
+          ...(rows.length > 0 ? [ '<table>', ...rows, '</table>' ] : []),
+          `<p><a href="${archiveUrl + video.recordId}">View this video on the Earth Science Online Video Database</a></p>`
+        ].join('\n'),
+        tags: [],
+        relations: {}
+      });
+    }
+
+    return children;
+  },
+
+  /**
+   *  Checks whether a Zotero child item was written by {@link toZoteroChildren}, rather than added on Zotero by hand, i.e. a linked URL attachment with one of the titles of {@link FieldDefinition|child.link}, or a note linking back to a record on the ESOVDB
+   *
+   *  @method isOwnChild
+   *  @param {Object} child - A Zotero child item's data
+   *  @returns {boolean} Whether the child item was written by this server, and so can be updated or replaced
+   */
+
+  isOwnChild: (child) =>
+    child.itemType === 'note'
+      ? String(child.note || '').includes(`<a href="${archiveUrl}`)
+      : child.itemType === 'attachment' && child.linkMode === 'linked_url' && mappings.videos.some((definition) => definition.child && definition.child.link === child.title),
+
+  /**
+   *  Maps a Zotero item's fields and tags, and the links of its child items, if given, back onto an ESOVDB video's API properties—the inverse of {@link toZotero}, and of the links written by {@link toZoteroChildren} for properties which aren't mapped to a Zotero field
+   *
+   *  @method fromZotero
+   *  @param {Object} item - A Zotero item's data
+   *  @param {Object[]} [children=[]] - The data of the item's child items
+   *  @returns {Object} A partial ESOVDB video object, with only the properties mapped to Zotero
+   */
+
+  fromZotero: (item, children = []) =>
+    mappings.videos.reduce((video, definition) => {
+      const mapping = zoteroMapping(definition);
+
+      if (!mapping && definition.child && definition.child.link) {
+        video[definition.prop] = children.filter((child) => child.linkMode === 'linked_url' && child.title === definition.child.link).map((child) => child.url).join(' ');
+      } else if (!mapping) {
+        return video;
+      } else if (mapping.tag !== undefined) {
+        const tags = (item.tags || []).filter((tag) => (tag.type || 0) === mapping.tag).map((tag) => tag.tag);
+        video[definition.prop] = definition.type === 'list' ? tags.join(', ') : tags[0] || '';
+      } else {
+        video[definition.prop] = orEmpty(mapping.parse ? mapping.parse(orEmpty(item[mapping.field]), item) : item[mapping.field]);
+      }
+
+      return video;
+    }, {})
+};
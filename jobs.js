@@ -0,0 +1,262 @@
+/**
+ *  @file Durable background job queue, persisted to files so that queued work survives restarts
+ *  @author Avana Vana <dear.avana@gmail.com>
+ *  @module jobs
+ */
+
+const dotenv = require('dotenv').config();
+const crypto = require('crypto');
+const cache = require('./cache');
+
+/** @constant {CacheStore} store - A file store for each job, and for the queue of unfinished job IDs (see {@link cache.fileStore}) */
+const store = cache.fileStore({ dir: process.env.DATA_DIR || '.data' });
+
+/** @constant {number} jobRetries - The number of times to retry a job after it throws an error, waiting twice as long each time (default: 5) */
+const jobRetries = process.env.JOB_RETRIES !== undefined ? +process.env.JOB_RETRIES : 5;
+
+/** @constant {number} jobBackoff - The number of seconds to wait before retrying a job the first time (default: 30s) */
+const jobBackoff = +process.env.JOB_BACKOFF || 30;
+
+/** @constant {number} jobRetention - The number of seconds to keep finished jobs for, so that their results can still be retrieved (default: 7 days) */
+const jobRetention = +process.env.JOB_RETENTION || 60 * 60 * 24 * 7;
+
+/** @constant {Map} handlers - Maps each type of job to the async function which performs it */
+const handlers = new Map();
+
+/**
+ * @typedef {Object} Job
+ * @property {string} id - A random ID for the job
+ * @property {string} type - The type of job, one of the keys of {@link handlers}
+ * @property {string} status - The job's status, one of 'queued', 'running', 'done', or 'failed'
+ * @property {*} payload - The data the job was queued with
+ * @property {?Object} state - Anything the job's handler has saved so far, so that a retried job can pick up where it left off
+ * @property {?Object} progress - How far along the job is, as last reported by its handler
+ * @property {*} result - Whatever the job's handler returned, once the job is done
+ * @property {?string} error - The message of the last error the job threw, if any
+ * @property {number} attempts - The number of times the job has been started
+ * @property {string} created - When the job was queued
+ * @property {string} updated - When the job was last saved
+ * @property {string} runAt - The earliest time the job can next be started
+ */
+
+let queue = null, running = false, rerun = false, timer = null, saving = Promise.resolve();
+
+/**
+ *  Saves a job to its file, keeping it for {@link jobRetention} seconds once it's finished
+ *
+ *  @async
+ *  @function saveJob
+ *  @param {Job} job - The job to save
+ */
+
+const saveJob = async (job) => {
+  job.updated = new Date().toISOString();
+  await store.set(`jobs/${job.id}`, job, job.status === 'done' || job.status === 'failed' ? jobRetention : 0);
+};
+
+/**
+ *  Saves the queue of unfinished job IDs, one save at a time, so that an older copy of the queue can never overwrite a newer one
+ *
+ *  @function saveQueue
+ *  @returns {Promise} Resolves once the queue has been saved
+ */
+
+const saveQueue = () => (saving = saving.then(() => store.set('jobs/queue', queue, 0)));
+
+/**
+ *  Loads the queue of unfinished job IDs, the first time it's needed, putting any jobs which were interrupted by a restart back in the queue
+ *
+ *  @async
+ *  @function loadQueue
+ *  @returns {Promise<string[]>} The queue of unfinished job IDs, oldest first
+ */
+
+const loadQueue = async () => {
+  if (queue) return queue;
+  queue = (await store.get('jobs/queue')) || [];
+
+  for (const id of queue) {
+    const job = await store.get(`jobs/${id}`);
+
+    if (job && job.status === 'running') {
+      console.log(`Requeuing job ${id}, which was interrupted...`);
+      job.status = 'queued';
+      await saveJob(job);
+    }
+  }
+
+  return queue;
+};
+
+/**
+ *  Schedules the worker to run after a given number of milliseconds, replacing any run already scheduled
+ *
+ *  @function schedule
+ *  @param {number} [delay=0] - The number of milliseconds to wait
+ */
+
+const schedule = (delay = 0) => {
+  clearTimeout(timer);
+  timer = setTimeout(work, Math.max(0, delay));
+  timer.unref();
+};
+
+/**
+ *  Runs the oldest queued job which is due, one job at a time, retrying a job which throws an error after {@link jobBackoff} seconds, then twice as long each time, up to {@link jobRetries} times, and then schedules itself again for the next job which is due.  If the worker is woken up while it's already running (e.g. by a job queued in the meantime), it runs again as soon as it's done, rather than waiting for whichever job was next due when it started.
+ *
+ *  @async
+ *  @function work
+ */
+
+const work = async () => {
+  if (running) {
+    rerun = true;
+    return;
+  }
+
+  running = true, rerun = false;
+
+  try {
+    await loadQueue();
+    let next = null;
+
+    for (const id of [ ...queue ]) {
+      const job = await store.get(`jobs/${id}`);
+
+      if (!job || job.status === 'done' || job.status === 'failed') {
+        queue = queue.filter((queued) => queued !== id);
+        await saveQueue();
+        continue;
+      }
+
+      if (!handlers.has(job.type)) {
+        console.error(`[ERROR] No handler for job ${id} of type "${job.type}".`);
+        continue;
+      }
+
+      if (Date.parse(job.runAt) > Date.now()) {
+        next = next === null ? Date.parse(job.runAt) : Math.min(next, Date.parse(job.runAt));
+        continue;
+      }
+
+      console.log(`Running ${job.type} job ${job.id} (attempt ${job.attempts + 1})...`);
+      job.status = 'running', job.attempts++;
+      await saveJob(job);
+
+      const context = {
+        id: job.id,
+        state: job.state,
+        save: async ({ progress, state } = {}) => {
+          if (progress !== undefined) job.progress = progress;
+          if (state !== undefined) job.state = state;
+          await saveJob(job);
+        }
+      };
+
+      try {
+        job.result = await handlers.get(job.type)(job.payload, context);
+        job.status = 'done', job.error = null;
+        console.log(`[DONE] Finished ${job.type} job ${job.id}.`);
+      } catch (err) {
+        job.error = err.message;
+
+        if (job.attempts > jobRetries) {
+          job.status = 'failed';
+          console.error(`[ERROR] ${job.type} job ${job.id} failed after ${job.attempts} attempts: ${err.message}`);
+        } else {
+          const delay = jobBackoff * 2 ** (job.attempts - 1);
+          job.status = 'queued', job.runAt = new Date(Date.now() + delay * 1000).toISOString();
+          console.error(`[ERROR] ${job.type} job ${job.id} threw an error, retrying in ${delay}s: ${err.message}`);
+        }
+      }
+
+      await saveJob(job);
+
+      if (job.status === 'done' || job.status === 'failed') {
+        queue = queue.filter((queued) => queued !== job.id);
+        await saveQueue();
+      }
+
+      next = Date.now();
+      break;
+    }
+
+    if (next !== null) schedule(next - Date.now());
+  } catch (err) {
+    console.error(`[ERROR] Job queue stopped: ${err.message}`);
+    schedule(jobBackoff * 1000);
+  } finally {
+    running = false;
+    if (rerun) schedule();
+  }
+};
+
+module.exports = {
+
+  /**
+   *  Registers the async function which performs a type of job.  The function is passed the job's payload, and a context with the job's ID, the state it last saved, if the job is being retried, and a save() method for saving its progress and state, and whatever it returns is kept as the job's result.  Throwing an error retries the job later.
+   *
+   *  @method register
+   *  @param {string} type - The type of job (e.g. 'zotero')
+   *  @param {Function} handler - An async function (payload, { id, state, save }) which performs a job of this type
+   */
+
+  register: (type, handler) => {
+    handlers.set(type, handler);
+  },
+
+  /**
+   *  Adds a job to the end of the queue, saving it before it's run, and wakes up the worker
+   *
+   *  @async
+   *  @method enqueue
+   *  @requires crypto
+   *  @param {string} type - The type of job, which must have been registered with {@link register}
+   *  @param {*} payload - The data to run the job with, which must be serializable as JSON
+   *  @returns {Promise<Job>} The queued job
+   */
+
+  enqueue: async (type, payload) => {
+    const now = new Date().toISOString();
+    const job = { id: crypto.randomBytes(8).toString('hex'), type, status: 'queued', payload, state: null, progress: null, result: null, error: null, attempts: 0, created: now, updated: now, runAt: now };
+
+    await loadQueue();
+    await saveJob(job);
+    queue.push(job.id);
+    await saveQueue();
+    console.log(`Queued ${type} job ${job.id}.`);
+    schedule();
+    return job;
+  },
+
+  /**
+   *  Starts the worker, which first resumes any jobs left in the queue when the server last stopped
+   *
+   *  @method start
+   */
+
+  start: () => {
+    schedule();
+  },
+
+  /**
+   *  Sends a job's status, progress, and result, if it has finished, or a 404 response if the job doesn't exist or has expired
+   *
+   *  @async
+   *  @method getJob
+   *  @param {!express:Request} req - Express.js HTTP request context, an enhanced version of Node's http.IncomingMessage class
+   *  @param {string} req.params.id - An Express.js route param, the ID of the job
+   *  @param {!express:Response} res - Express.js HTTP response context, an enhanced version of Node's http.ServerResponse class
+   */
+
+  getJob: async (req, res) => {
+    const job = /^[0-9a-f]{16}$/.test(req.params.id) ? await store.get(`jobs/${req.params.id}`) : null;
+
+    if (!job) {
+      return res.status(404).send(JSON.stringify({ Error: `Job "${req.params.id}" not found.` }));
+    }
+
+    const { payload, state, ...data } = job;
+    res.status(200).send(JSON.stringify(data));
+  }
+};
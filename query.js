@@ -0,0 +1,329 @@
+/**
+ *  @file Methods for validating API request query params and compiling them into Airtable select() options
+ *  @author Avana Vana <dear.avana@gmail.com>
+ *  @module query
+ */
+
+const crypto = require('crypto');
+const fields = require('./fields');
+
+/**
+ * @typedef {Object} FilterDefinition
+ * @property {(string|string[])} prop - The property, or properties, from {@link fields} that the filter applies to
+ * @property {string} op - How the filter is compiled, one of 'in' (equals any of the given values), 'search' (contains the given text in any of the properties), 'words' (contains every word of the given text), 'gte', 'lte' (greater or less than or equal to a number), or 'after' (after a date)
+ * @property {string} [type='string'] - How the filter's value is parsed, one of 'string', 'number', 'duration', or 'date'
+ * @property {string} description - A description of the filter, used for logging
+ */
+
+/** @constant {Object.<string, FilterDefinition>} commonFilters - Filters available for every ESOVDB table, keyed by query param */
+const commonFilters = {
+  modifiedAfter: { prop: 'modified', op: 'after', type: 'date', description: 'modified after' },
+  createdAfter: { prop: 'created', op: 'after', type: 'date', description: 'created after' },
+};
+
+/** @constant {Object.<string, Object.<string, FilterDefinition>>} filters - Maps ESOVDB table params to the filters available for that table, in addition to {@link commonFilters}, keyed by query param */
+// prettier-ignore
+const filters = {
+  videos: {
+    topic: { prop: 'topic', op: 'in', description: 'in topic' },
+    provider: { prop: 'provider', op: 'in', description: 'from provider' },
+    language: { prop: 'language', op: 'in', description: 'in language' },
+    format: { prop: 'format', op: 'in', description: 'in format' },
+    series: { prop: 'series', op: 'in', description: 'in series' },
+    presenter: { prop: 'presenters', op: 'words', description: 'presented by' },
+    yearFrom: { prop: 'year', op: 'gte', type: 'number', description: 'from year' },
+    yearTo: { prop: 'year', op: 'lte', type: 'number', description: 'up to year' },
+    minRunningTime: { prop: 'runningTime', op: 'gte', type: 'duration', description: 'running at least' },
+    maxRunningTime: { prop: 'runningTime', op: 'lte', type: 'duration', description: 'running at most' },
+    q: { prop: [ 'title', 'desc' ], op: 'search', description: 'matching' },
+  },
+};
+
+/**
+ *  Escapes any value as a double-quoted Airtable formula string literal, so that user input can never break out of the string
+ *
+ *  @function literal
+ *  @param {*} value - Any value, which is converted to a string
+ *  @returns {string} A double-quoted, escaped Airtable formula string literal
+ *
+ *  @example
+ *  // returns '"Say \"hi\""'
+ *  literal('Say "hi"');
+ */
+
+const literal = (value) =>
+  `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n').replace(/\r/g, '\\r')}"`;
+
+/**
+ *  Returns a formula expression for the text value of a property, coercing arrays (e.g. lookups) to text and joining the values of properties made up of several Airtable fields
+ *
+ *  @function textOf
+ *  @requires fields.airtableField
+ *  @param {string} table - An ESOVDB table param (e.g. 'videos')
+ *  @param {string} prop - A property of the table (e.g. 'presenters')
+ *  @returns {string} An Airtable formula expression evaluating to text
+ */
+
+const textOf = (table, prop) =>
+  [].concat(fields.airtableField(table, prop))
+    .map((field) => `({${field}} & "")`)
+    .join(' & " " & ');
+
+/**
+ *  Parses a query param's value according to a filter's type
+ *
+ *  @function parseValue
+ *  @param {string} value - The raw value of the query param
+ *  @param {string} [type='string'] - The filter's type, one of 'string', 'number', 'duration' (either integer seconds, m:ss, or h:mm:ss), or 'date' (any string parseable by Date.parse())
+ *  @returns {?(string|number|Date)} The parsed value, or null if it isn't valid for the given {@link type}
+ */
+
+const parseValue = (value, type = 'string') => {
+  switch (type) {
+    case 'number':
+      return value !== '' && Number.isFinite(+value) ? +value : null;
+    case 'duration':
+      return /^\d+$/.test(value)
+        ? +value
+        : /^(?:\d+:)?[0-5]?\d:[0-5]\d$/.test(value)
+          ? value.split(':').reduce((seconds, part) => seconds * 60 + +part, 0)
+          : null;
+    case 'date':
+      return Date.parse(value) > 0 ? new Date(Date.parse(value)) : null;
+    default:
+      return value.trim() ? value.trim() : null;
+  }
+};
+
+/**
+ *  Compiles a single filter and its parsed values into an Airtable formula expression
+ *
+ *  @function compileFilter
+ *  @param {string} table - An ESOVDB table param (e.g. 'videos')
+ *  @param {FilterDefinition} filter - The filter's definition
+ *  @param {Array} values - The filter's parsed values
+ *  @returns {string} An Airtable formula expression
+ */
+
+const compileFilter = (table, filter, values) => {
+  const field = (prop) => fields.airtableField(table, prop);
+  const or = (expressions) => expressions.length > 1 ? `OR(${expressions.join(', ')})` : expressions[0];
+
+  switch (filter.op) {
+    case 'in':
+      return or(values.map((value) => `{${field(filter.prop)}} = ${literal(value)}`));
+    case 'search':
+      return or(values.flatMap((value) => [].concat(filter.prop).map((prop) => `SEARCH(LOWER(${literal(value)}), LOWER(${textOf(table, prop)}))`)));
+    case 'words':
+      return or(values.map((value) => `AND(${value.split(/\s+/).map((word) => `SEARCH(LOWER(${literal(word)}), LOWER(${textOf(table, filter.prop)}))`).join(', ')})`));
+    case 'gte':
+      return `{${field(filter.prop)}} >= ${Math.max(...values)}`;
+    case 'lte':
+      return `{${field(filter.prop)}} <= ${Math.min(...values)}`;
+    case 'after':
+      const after = new Date(Math.max(...values)).toISOString();
+      return filter.prop === 'created'
+        ? `IS_AFTER(CREATED_TIME(), DATETIME_PARSE(${literal(after)}))`
+        : `IS_AFTER({${field(filter.prop)}}, DATETIME_PARSE(${literal(after)}))`;
+  }
+};
+
+/**
+ *  Splits a comma-separated query param into a list of trimmed, non-empty values
+ *
+ *  @function splitList
+ *  @param {(string|string[])} param - The raw value of the query param, possibly repeated
+ *  @returns {?string[]} An array of values, or null if {@link param} isn't a string or array of strings
+ */
+
+const splitList = (param) =>
+  [].concat(param).some((value) => typeof value !== 'string')
+    ? null
+    : [].concat(param).flatMap((value) => value.split(',')).map((value) => value.trim()).filter((value) => value);
+
+module.exports = {
+
+  /**
+   *  Returns the query params that can be used to filter a given ESOVDB table
+   *
+   *  @method filterParams
+   *  @param {string} table - An ESOVDB table param (e.g. 'videos')
+   *  @returns {string[]} An array of query param names
+   */
+
+  filterParams: (table) => Object.keys({ ...commonFilters, ...filters[table] }),
+
+  /**
+   *  Escapes any value as a double-quoted Airtable formula string literal, so that it can be matched in a formula built elsewhere (see {@link literal})
+   *
+   *  @method literal
+   *  @param {*} value - Any value, which is converted to a string
+   *  @returns {string} A double-quoted, escaped Airtable formula string literal
+   */
+
+  literal,
+
+  /**
+   *  Validates the filter query params of a request for an ESOVDB table and compiles them into a single Airtable filterByFormula, combining all filters with AND, and multiple values for the same filter (i.e. a repeated query param, e.g. ?topic=a&topic=b) with OR
+   *
+   *  @method filterByFormula
+   *  @param {string} table - An ESOVDB table param (e.g. 'videos')
+   *  @param {Object} params - The request's query params (i.e. req.query)
+   *  @returns {{ formula: ?string, description: string[], error: ?string }} The compiled formula, or null if no filters were given, a description of each filter for logging, and an error message if any filter's value was invalid
+   *
+   *  @example
+   *  // returns { formula: 'AND({Topic} = "The Anthropocene", {Year} >= 2010)', description: ['in topic The Anthropocene', 'from year 2010'], error: null }
+   *  filterByFormula('videos', { topic: 'The Anthropocene', yearFrom: '2010' });
+   */
+
+  filterByFormula: (table, params) => {
+    const available = { ...commonFilters, ...filters[table] };
+    const expressions = [], description = [];
+
+    for (const [ param, filter ] of Object.entries(available)) {
+      if (params[param] === undefined) continue;
+
+      const raw = [].concat(params[param]);
+
+      if (raw.some((value) => typeof value !== 'string')) {
+        return { formula: null, description, error: `Invalid value for "${param}".` };
+      }
+
+      const values = raw.map((value) => parseValue(value, filter.type));
+
+      if (values.some((value) => value === null)) {
+        return { formula: null, description, error: `Invalid value for "${param}".` };
+      }
+
+      expressions.push(compileFilter(table, filter, values));
+      description.push(`${filter.description} ${values.map((value) => value instanceof Date ? value.toLocaleString() : value).join(' or ')}`);
+    }
+
+    return {
+      formula: expressions.length > 1 ? `AND(${expressions.join(', ')})` : expressions[0] || null,
+      description,
+      error: null,
+    };
+  },
+
+  /**
+   *  Validates a sort query param against the properties of an ESOVDB table that map to a single Airtable field, and compiles it into the sort option of an Airtable select() API query
+   *
+   *  @method parseSort
+   *  @requires fields.definitions
+   *  @param {string} table - An ESOVDB table param (e.g. 'videos')
+   *  @param {(string|string[])} [param] - A comma-separated list of properties, each with an optional direction, in the format 'prop:asc' or 'prop:desc' (default direction: asc)
+   *  @returns {{ sort: ?Object[], error: ?string }} The compiled sort option, or null if no sort was given, and an error message if any property or direction was invalid
+   *
+   *  @example
+   *  // returns { sort: [{ field: 'Year', direction: 'desc' }, { field: 'Title', direction: 'asc' }], error: null }
+   *  parseSort('videos', 'year:desc,title');
+   */
+
+  parseSort: (table, param) => {
+    if (param === undefined) return { sort: null, error: null };
+
+    const list = splitList(param);
+    if (!list || list.length === 0) return { sort: null, error: 'Invalid value for "sort".' };
+
+    const sort = [];
+
+    for (const item of list) {
+      const [ prop, direction = 'asc', ...rest ] = item.split(':');
+      const [ definition ] = fields.definitions(table, [ prop ]);
+
+      if (!definition || typeof definition.airtable !== 'string') return { sort: null, error: `Can't sort by "${prop}".` };
+      if (rest.length || ![ 'asc', 'desc' ].includes(direction.toLowerCase())) return { sort: null, error: `Invalid sort direction for "${prop}".` };
+
+      sort.push({ field: definition.airtable, direction: direction.toLowerCase() });
+    }
+
+    return { sort, error: null };
+  },
+
+  /**
+   *  Validates a fields query param against the properties of an ESOVDB table that are read from Airtable
+   *
+   *  @method parseFields
+   *  @requires fields.definitions
+   *  @param {string} table - An ESOVDB table param (e.g. 'videos')
+   *  @param {(string|string[])} [param] - A comma-separated list of properties (e.g. 'title,url,topic')
+   *  @returns {{ props: ?string[], error: ?string }} The requested properties, or null if none were given (i.e. the table's default projection should be used), and an error message if any property was invalid
+   */
+
+  parseFields: (table, param) => {
+    if (param === undefined) return { props: null, error: null };
+
+    const props = splitList(param);
+    if (!props || props.length === 0) return { props: null, error: 'Invalid value for "fields".' };
+
+    const unknown = props.find((prop) => !fields.definitions(table, [ prop ]).some((definition) => definition.airtable));
+    if (unknown) return { props: null, error: `Unknown field "${unknown}".` };
+
+    return { props: [ ...new Set(props) ], error: null };
+  },
+
+  /**
+   *  Validates and compiles all filter, sort, and fields query params of a request for an ESOVDB table at once, using {@link filterByFormula}, {@link parseSort}, and {@link parseFields}
+   *
+   *  @method parse
+   *  @param {string} table - An ESOVDB table param (e.g. 'videos')
+   *  @param {Object} params - The request's query params (i.e. req.query)
+   *  @returns {{ formula: ?string, description: string[], sort: ?Object[], props: ?string[], error: ?string }} The compiled filterByFormula, a description of each filter for logging, the compiled sort option, the requested properties, and the first error message encountered, if any
+   */
+
+  parse: (table, params) => {
+    const { formula, description, error: filterError } = module.exports.filterByFormula(table, params);
+    const { sort, error: sortError } = module.exports.parseSort(table, params.sort);
+    const { props, error: fieldsError } = module.exports.parseFields(table, params.fields);
+
+    return { formula, description, sort, props, error: filterError || sortError || fieldsError };
+  },
+
+  /**
+   *  Computes a short, stable fingerprint of an Airtable select() query, which identifies the query that an Airtable offset (and so a cursor) belongs to
+   *
+   *  @method fingerprint
+   *  @requires crypto
+   *  @param {string} table - The name of a table in the ESOVDB (e.g. 'Videos')
+   *  @param {Object} options - Options for the Airtable select() API query, without an offset
+   *  @returns {string} A 16-character hex fingerprint
+   */
+
+  fingerprint: (table, options) =>
+    crypto.createHash('sha256').update(JSON.stringify([ table, options ])).digest('hex').slice(0, 16),
+
+  /**
+   * @typedef {Object} Cursor
+   * @property {string} q - The {@link fingerprint} of the query the cursor belongs to
+   * @property {number} p - The zero-indexed page of results the cursor points to
+   * @property {?string} o - The Airtable offset from which the page can be retrieved, or null for the first page
+   */
+
+  /**
+   *  Encodes a cursor as an opaque, URL-safe token
+   *
+   *  @method encodeCursor
+   *  @param {Cursor} cursor - The cursor to encode
+   *  @returns {string} A base64url-encoded token
+   */
+
+  encodeCursor: ({ q, p, o }) => Buffer.from(JSON.stringify({ q, p, o })).toString('base64url'),
+
+  /**
+   *  Decodes and validates an opaque cursor token created by {@link encodeCursor}
+   *
+   *  @method decodeCursor
+   *  @param {*} token - The cursor query param of a request
+   *  @returns {?Cursor} The decoded cursor, or null if the token is invalid
+   */
+
+  decodeCursor: (token) => {
+    try {
+      const { q, p, o } = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+      return typeof q === 'string' && Number.isInteger(p) && p >= 0 && (o === null || typeof o === 'string') ? { q, p, o } : null;
+    } catch (err) {
+      return null;
+    }
+  },
+};
@@ -0,0 +1,307 @@
+/**
+ *  @file Registry of ESOVDB topics and series, with their Zotero collections and Discord channels, loaded from Airtable or a config file
+ *  @author Avana Vana <dear.avana@gmail.com>
+ *  @module registry
+ */
+
+const dotenv = require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const cache = require('./cache');
+const fields = require('./fields');
+const { listRecords } = require('./esovdb');
+
+/** @constant {string} registryFile - The path of the config file with the parent collections, and the default topics and series, from REGISTRY_FILE (default: registry.json) */
+const registryFile = path.resolve(__dirname, process.env.REGISTRY_FILE || 'registry.json');
+
+/** @constant {string} registrySource - Where topics and series are loaded from, from REGISTRY_SOURCE: 'airtable', for the Topics and Series tables, with any topic fields missing on Airtable filled in from the config file, or 'file', for the config file alone (default: 'airtable') */
+const registrySource = process.env.REGISTRY_SOURCE === 'file' ? 'file' : 'airtable';
+
+/** @constant {CacheStore} dataStore - A file store for the last registry loaded, which is used if Airtable can't be reached after a restart (see {@link cache.fileStore}) */
+const dataStore = cache.fileStore({ dir: process.env.DATA_DIR || '.data' });
+
+/**
+ * @typedef {Object} RegistryEntry
+ * @property {string} name - The topic or series' name on the ESOVDB
+ * @property {?string} zoteroKey - The key of its collection on Zotero, or null if it doesn't have one yet
+ * @property {?string} recordId - Its Airtable record ID, or null if it was loaded from the config file
+ * @property {string} [color] - For topics, the topic's ESOVDB hex color
+ * @property {string} [channel] - For topics, the name of the topic's Discord channel
+ * @property {string} [channelId] - For topics, the ID of the topic's Discord channel
+ */
+
+/**
+ * @typedef {Object} Registry
+ * @property {string} source - Where the registry was loaded from, one of 'airtable', 'file', or 'saved' (i.e. the last registry loaded, because Airtable couldn't be reached)
+ * @property {?string} time - When the registry was loaded
+ * @property {Map<string, string>} parents - Maps 'topics' and 'series' to the keys of their parent collections on Zotero
+ * @property {Map<string, RegistryEntry>} topics - Maps topic names to their entries
+ * @property {Map<string, RegistryEntry>} series - Maps series names to their entries
+ */
+
+/** @constant {Function[]} handlers - Async functions run after the registry is loaded, such as syncing collections with Zotero (see {@link onRefresh}) */
+const handlers = [];
+
+let registry = null, refreshing = null, refreshingSync = false;
+
+/**
+ *  Reads the config file, synchronously, so that the registry can be used as soon as this module is loaded
+ *
+ *  @function readConfig
+ *  @requires fs
+ *  @returns {Object} The config file's parents, topics, and series, or empty ones if the file can't be read
+ */
+
+const readConfig = () => {
+  try {
+    const { parents = {}, topics = [], series = [] } = JSON.parse(fs.readFileSync(registryFile, 'utf8'));
+    return { parents, topics, series };
+  } catch (err) {
+    console.error(`[ERROR] Couldn't read registry config file ${registryFile}: ${err.message}`);
+    return { parents: {}, topics: [], series: [] };
+  }
+};
+
+/**
+ *  Builds a {@link Registry} from plain objects, as found in the config file or the saved registry
+ *
+ *  @function build
+ *  @param {string} source - Where the registry was loaded from
+ *  @param {Object} data - The registry's parents, as an object, and its topics and series, as arrays of entries
+ *  @returns {Registry} The registry
+ */
+
+const build = (source, { parents, topics, series, time = null }) => ({
+  source,
+  time,
+  parents: new Map(Object.entries(parents)),
+  topics: new Map(topics.map((topic) => [ topic.name, { zoteroKey: null, recordId: null, ...topic } ])),
+  series: new Map(series.map((entry) => [ entry.name, { zoteroKey: null, recordId: null, ...entry } ]))
+});
+
+/**
+ *  Converts a {@link Registry} back into plain objects, for saving or sending as JSON
+ *
+ *  @function serialize
+ *  @param {Registry} current - The registry
+ *  @returns {Object} The registry's source, time, parents, topics, and series
+ */
+
+const serialize = (current) => ({
+  source: current.source,
+  time: current.time,
+  parents: Object.fromEntries(current.parents),
+  topics: [ ...current.topics.values() ],
+  series: [ ...current.series.values() ]
+});
+
+/**
+ *  Loads topics and series from the Topics and Series tables on Airtable, filling in any topic fields missing on Airtable (e.g. Discord channels) from the config file
+ *
+ *  @async
+ *  @function loadAirtable
+ *  @requires esovdb.listRecords
+ *  @param {Object} config - The config file's parents, topics, and series (see {@link readConfig})
+ *  @returns {Promise<Registry>} The registry
+ */
+
+const loadAirtable = async (config) => {
+  const defaults = new Map(config.topics.map((topic) => [ topic.name, topic ]));
+  const topicRecords = await listRecords('Topics');
+  const seriesRecords = await listRecords('Series', [ 'Name', 'Zotero Key' ]);
+
+  const topics = topicRecords
+    .map((record) => fields.fromRecord('topics', record, [ 'name', 'zoteroKey', 'color', 'channel', 'channelId' ]))
+    .filter((topic) => topic.name)
+    .map(({ recordId, ...topic }) => ({
+      ...defaults.get(topic.name),
+      ...Object.fromEntries(Object.entries(topic).filter(([ , value ]) => value !== '' && value !== null)),
+      recordId
+    }));
+
+  const series = seriesRecords
+    .map((record) => fields.fromRecord('series', record, [ 'name', 'zoteroKey' ]))
+    .filter((entry) => entry.name)
+    .map((entry) => ({ ...entry, zoteroKey: entry.zoteroKey || null }));
+
+  return build('airtable', { parents: config.parents, topics, series });
+};
+
+/**
+ *  Loads the registry from {@link registrySource}, falling back to the last registry loaded if Airtable can't be reached, optionally runs each handler registered with {@link onRefresh}, and saves the result.  Concurrent refreshes share a single load, unless a sync is asked for while a load without one is running, in which case the sync runs once that load is done.
+ *
+ *  @function load
+ *  @param {boolean} [sync=true] - Whether to run the handlers registered with {@link onRefresh} (e.g. syncing collections with Zotero)
+ *  @returns {Promise<Object>} The registry's source, when it was loaded, the number of topics and series, and the summary returned by each handler, if they were run
+ */
+
+const load = (sync = true) => {
+  if (refreshing && (refreshingSync || !sync)) return refreshing;
+  if (refreshing) return refreshing.catch(() => {}).then(() => load(sync));
+
+  refreshingSync = sync;
+  refreshing = (async () => {
+    const config = readConfig();
+    let loaded;
+
+    try {
+      loaded = registrySource === 'airtable' ? await loadAirtable(config) : build('file', config);
+    } catch (err) {
+      console.error(`[ERROR] Couldn't load topics and series from Airtable: ${err.message}`);
+      const saved = await dataStore.get('registry/current');
+      loaded = saved ? build('saved', saved) : build('file', config);
+    }
+
+    loaded.time = new Date().toISOString();
+    registry = loaded;
+
+    const synced = [];
+
+    for (const handler of sync ? handlers : []) {
+      try {
+        synced.push(await handler(registry));
+      } catch (err) {
+        console.error(`[ERROR] Couldn't sync the registry: ${err.message}`);
+        synced.push({ Error: err.message });
+      }
+    }
+
+    await save();
+    console.log(`[DONE] Loaded ${registry.topics.size} topic${registry.topics.size === 1 ? '' : 's'} and ${registry.series.size} series from ${registry.source}.`);
+    return { source: registry.source, time: registry.time, topics: registry.topics.size, series: registry.series.size, synced };
+  })().finally(() => {
+    refreshing = null;
+  });
+
+  return refreshing;
+};
+
+/**
+ *  Saves the current registry, so that it can be used if Airtable can't be reached after a restart
+ *
+ *  @async
+ *  @function save
+ */
+
+const save = async () => {
+  try {
+    await dataStore.set('registry/current', serialize(registry), 0);
+  } catch (err) {
+    console.error(`[ERROR] Couldn't save the registry: ${err.message}`);
+  }
+};
+
+registry = build('file', readConfig());
+
+module.exports = {
+
+  /**
+   *  Looks up a topic by name
+   *
+   *  @method topic
+   *  @param {string} name - The topic's name on the ESOVDB
+   *  @returns {?RegistryEntry} The topic's entry, or undefined if there's no such topic
+   */
+
+  topic: (name) => registry.topics.get(name),
+
+  /**
+   *  Looks up a series by name
+   *
+   *  @method series
+   *  @param {string} name - The series' name on the ESOVDB
+   *  @returns {?RegistryEntry} The series' entry, or undefined if there's no such series
+   */
+
+  series: (name) => registry.series.get(name),
+
+  /**
+   *  Looks up the key of a parent collection on Zotero
+   *
+   *  @method parent
+   *  @param {('series'|'topics')} name - The parent collection
+   *  @returns {?string} The parent collection's key, or undefined if it isn't configured
+   */
+
+  parent: (name) => registry.parents.get(name),
+
+  /**
+   *  Lists every topic or series in the registry
+   *
+   *  @method entries
+   *  @param {('topics'|'series')} kind - Whether to list topics or series
+   *  @returns {RegistryEntry[]} Every topic or series
+   */
+
+  entries: (kind) => [ ...registry[kind].values() ],
+
+  /**
+   *  Sets the Zotero collection key of a topic or series, adding a series to the registry if it isn't there yet (e.g. one created since the last refresh), and saves the registry
+   *
+   *  @async
+   *  @method setKey
+   *  @param {('topics'|'series')} kind - Whether the entry is a topic or a series
+   *  @param {string} name - The topic or series' name on the ESOVDB
+   *  @param {?string} zoteroKey - The key of its collection on Zotero, or null if its collection was removed
+   *  @param {?string} [recordId] - Its Airtable record ID, if known
+   */
+
+  setKey: async (kind, name, zoteroKey, recordId) => {
+    const entry = registry[kind].get(name) || { name, zoteroKey: null, recordId: null };
+    registry[kind].set(name, { ...entry, zoteroKey, recordId: recordId || entry.recordId });
+    await save();
+  },
+
+  /**
+   *  Finds a topic or series by the key of its collection on Zotero
+   *
+   *  @method byKey
+   *  @param {('topics'|'series')} kind - Whether to look for a topic or a series
+   *  @param {string} zoteroKey - The key of its collection on Zotero
+   *  @returns {?RegistryEntry} The entry, or undefined if no topic or series has that collection
+   */
+
+  byKey: (kind, zoteroKey) => [ ...registry[kind].values() ].find((entry) => entry.zoteroKey === zoteroKey),
+
+  /**
+   *  Registers an async function to run each time the registry is loaded, which is passed the newly loaded {@link Registry}, may update its entries, and returns a summary of what it did
+   *
+   *  @method onRefresh
+   *  @param {Function} handler - An async function (registry) which syncs the registry with another service
+   */
+
+  onRefresh: (handler) => {
+    handlers.push(handler);
+  },
+
+  /**
+   *  Loads the registry from Airtable or the config file (see {@link load})
+   *
+   *  @method refresh
+   *  @param {Object} [options]
+   *  @param {boolean} [options.sync=true] - Whether to sync the registry with other services, such as Zotero, once it's loaded
+   *  @returns {Promise<Object>} A summary of the registry loaded
+   */
+
+  refresh: ({ sync = true } = {}) => load(sync),
+
+  /**
+   *  Reloads the registry, syncing it with Zotero, and sends a summary of the registry loaded along with its topics and series
+   *
+   *  @async
+   *  @method refreshRegistry
+   *  @param {!express:Request} req - Express.js HTTP request context, an enhanced version of Node's http.IncomingMessage class
+   *  @param {!express:Response} res - Express.js HTTP response context, an enhanced version of Node's http.ServerResponse class
+   */
+
+  refreshRegistry: async (req, res) => {
+    try {
+      const { source, time, synced } = await load();
+      const { topics, series } = serialize(registry);
+      res.status(200).send(JSON.stringify({ source, time, synced, topics, series }));
+    } catch (err) {
+      console.error(err.message);
+      res.status(500).send(JSON.stringify({ Error: 'Unable to refresh the registry.' }));
+    }
+  }
+};
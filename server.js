@@ -1,5 +1,5 @@
 /**
- *  @file Express server with IP validation middleware and graceful cleanup
+ *  @file Express server with IP access policy middleware and graceful cleanup
  *  @author Avana Vana <dear.avana@gmail.com>
  *  @version 1.7.0
  */
@@ -7,28 +7,71 @@
 const dotenv = require('dotenv').config();
 const express = require('express');
 const cleanUp = require('node-cleanup');
-const { patternsToRegEx } = require('./util');
+const { ipMatcher } = require('./util');
+const auth = require('./auth');
 const esovdb = require('./esovdb');
 const zotero = require('./zotero');
+const jobs = require('./jobs');
+const registry = require('./registry');
 
 const app = express();
 
+/**
+ *  Only honors the x-forwarded-for header when a request arrives through one of the proxies listed in TRUSTED_PROXIES, so that req.ip can't be spoofed by clients connecting directly
+ *  @requires util.ipMatcher
+ */
+
+app.set('trust proxy', ipMatcher(process.env.TRUSTED_PROXIES));
+
+/**
+ *  Every endpoint responds with JSON, so responses default to a Content-Type of application/json
+ */
+
+app.use((req, res, next) => {
+  res.type('json');
+  next();
+});
+
+/** @constant {Object} policies - Maps access policy names to IP matchers for an optional allow list (if set, only matching IPs may pass, so an empty or unset IP_WHITELIST denies every IP) and a deny list (matching IPs may never pass) */
+const policies = {
+  read: {
+    allow: null,
+    deny: ipMatcher(process.env.IP_BLACKLIST),
+  },
+  write: {
+    allow: ipMatcher(process.env.IP_WHITELIST),
+    deny: ipMatcher(process.env.IP_BLACKLIST),
+  },
+};
+
+/**
+ *  Keeps a copy of the raw request body as req.rawBody while it's parsed, so that signed requests can be verified against exactly what was sent
+ *
+ *  @function keepRawBody
+ *  @param {!express:Request} req - Express.js HTTP request context, an enhanced version of Node's http.IncomingMessage class
+ *  @param {!express:Response} res - Express.js HTTP response context, an enhanced version of Node's http.ServerResponse class
+ *  @param {Buffer} buf - The raw request body
+ */
+
+const keepRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+
 const middleware = {
   
   /**
-   *  Middleware for blacklisting or whitelisting IP addresses and/or IP address ranges, which can be passed to specific endpoints
+   *  Returns middleware for blacklisting and/or whitelisting IP addresses and/or IP address ranges according to a named access policy, which can be passed to specific endpoints
    *
    *  @method validateReq
-   *  @requires util.patternsToRegEx
-   *  @param {!express:Request} req - Express.js HTTP request context, an enhanced version of Node's http.IncomingMessage class
-   *  @param {!express:Response} res - Express.js HTTP response context, an enhanced version of Node's http.ServerResponse class
-   *  @param {!express:NextFunction} next - The next middleware function in the stack
+   *  @requires util.ipMatcher
+   *  @param {('read'|'write')} policy - The name of an access policy in {@link policies}—'read' denies blacklisted IPs only, 'write' additionally denies any IP not on the whitelist
+   *  @returns {function(express:Request, express:Response, express:NextFunction)} Express.js middleware that sends a 401 response for denied IPs and otherwise passes the request to the next middleware function in the stack
    */
   
-  validateReq: (req, res, next) => {
-    const d = new Date(), ip = (req.headers['x-forwarded-for'] || req.connection.remoteAddress || '').split(',')[0].trim();
+  validateReq: (policy) => (req, res, next) => {
+    const d = new Date(), ip = req.ip || '', { allow, deny } = policies[policy];
 
-    if (patternsToRegEx(process.env.IP_BLACKLIST).test(ip)) {
+    if (deny(ip) || (allow && !allow(ip))) {
       const err = {
         Error: 'Access denied.',
       };
@@ -39,6 +82,44 @@ const middleware = {
       console.log(`[${d.toLocaleString()}] (${ip})\nAccess granted.`);
       next();
     }
+  },
+  
+  /**
+   *  Body parsers for JSON and URL-encoded requests, which also keep the raw body for {@link middleware.verifySignature}
+   *
+   *  @member {Array} parseBody
+   *  @requires express
+   */
+  
+  parseBody: [
+    express.urlencoded({ extended: true, verify: keepRawBody }),
+    express.json({ verify: keepRawBody })
+  ],
+  
+  /**
+   *  Middleware for authenticating requests signed with one of the shared secrets in SIGNING_KEYS, which must come after {@link middleware.parseBody}
+   *
+   *  @method verifySignature
+   *  @requires auth.verify
+   *  @param {!express:Request} req - Express.js HTTP request context, an enhanced version of Node's http.IncomingMessage class
+   *  @param {!express:Response} res - Express.js HTTP response context, an enhanced version of Node's http.ServerResponse class
+   *  @param {!express:NextFunction} next - The next middleware function in the stack
+   */
+  
+  verifySignature: (req, res, next) => {
+    const d = new Date(), { valid, keyId, error } = auth.verify(req);
+
+    if (!valid) {
+      const err = {
+        Error: error,
+      };
+
+      console.error(`[${d.toLocaleString()}] (${req.ip})${keyId ? ' [' + keyId + ']' : ''}\nSignature rejected: ${err.Error}`);
+      res.status(401).send(JSON.stringify(err));
+    } else {
+      console.log(`[${d.toLocaleString()}] (${req.ip}) [${keyId}]\nSignature verified.`);
+      next();
+    }
   }
 }
 
@@ -48,7 +129,7 @@ const middleware = {
  *  @callback esovdb.listVideos
  */
 
-app.get('/esovdb/videos/list/:pg?', middleware.validateReq, (req, res) => {
+app.get('/esovdb/videos/list/:pg?', middleware.validateReq('read'), (req, res) => {
   esovdb.listVideos(req, res);
 });
 
@@ -58,27 +139,87 @@ app.get('/esovdb/videos/list/:pg?', middleware.validateReq, (req, res) => {
  *  @callback esovdb.listYouTubeVideos
  */
 
-app.get('/esovdb/videos/youtube/:pg?', middleware.validateReq, (req, res) => {
+app.get('/esovdb/videos/youtube/:pg?', middleware.validateReq('read'), (req, res) => {
   esovdb.listYouTubeVideos(req, res);
 });
 
+/**
+ *  API endpoint for querying any table in the ESOVDB, returns JSON. All request params and request query params documented in [esovdb.listTable]{@link esovdb.listTable}.
+ *  @requires esovdb
+ *  @callback esovdb.listTable
+ */
+
+app.get('/esovdb/:table/list/:pg?', middleware.validateReq('read'), (req, res) => {
+  esovdb.listTable(req, res);
+});
+
+/**
+ *  API endpoint for listing the IDs of records created, updated, and deleted in any table in the ESOVDB since a checkpoint, returns JSON. All request params and request query params documented in [esovdb.listChanges]{@link esovdb.listChanges}.
+ *  @requires esovdb
+ *  @callback esovdb.listChanges
+ */
+
+app.get('/esovdb/:table/changes', middleware.validateReq('read'), (req, res) => {
+  esovdb.listChanges(req, res);
+});
+
+/**
+ *  API endpoint for retrieving a single record by its Airtable record ID from any table in the ESOVDB, returns JSON. All request params documented in [esovdb.getRecord]{@link esovdb.getRecord}.
+ *  @requires esovdb
+ *  @callback esovdb.getRecord
+ */
+
+app.get('/esovdb/:table/:recordId(rec[A-Za-z0-9]{14})', middleware.validateReq('read'), (req, res) => {
+  esovdb.getRecord(req, res);
+});
+
 /**
  *  API endpoint for back-syncing Zotero data with the ESOVDB after adding or updating items on Zotero.
  *  @requires esovdb
  *  @callback esovdb.updateVideos
  */
 
-app.post('/esovdb/:table/update', [ middleware.validateReq, express.urlencoded({ extended: true }), express.json() ], (req, res) => {
+app.post('/esovdb/:table/update', [ middleware.validateReq('write'), ...middleware.parseBody, middleware.verifySignature ], (req, res) => {
   esovdb.updateTable(req, res);
 });
 
+/**
+ *  API endpoint for creating records in any table in the ESOVDB, returns JSON with a result for each record. All request params documented in [esovdb.createRecords]{@link esovdb.createRecords}.
+ *  @requires esovdb
+ *  @callback esovdb.createRecords
+ */
+
+app.post('/esovdb/:table', [ middleware.validateReq('write'), ...middleware.parseBody, middleware.verifySignature ], (req, res) => {
+  esovdb.createRecords(req, res);
+});
+
+/**
+ *  API endpoint for creating or updating records in any table in the ESOVDB, matched on one or more merge fields, returns JSON with a result for each record. All request params and request query params documented in [esovdb.upsertRecords]{@link esovdb.upsertRecords}.
+ *  @requires esovdb
+ *  @callback esovdb.upsertRecords
+ */
+
+app.put('/esovdb/:table', [ middleware.validateReq('write'), ...middleware.parseBody, middleware.verifySignature ], (req, res) => {
+  esovdb.upsertRecords(req, res);
+});
+
+/**
+ *  API endpoint for deleting records from any table in the ESOVDB, returns JSON with a result for each record. All request params documented in [esovdb.deleteRecords]{@link esovdb.deleteRecords}.
+ *  @requires esovdb
+ *  @callback esovdb.deleteRecords
+ */
+
+app.delete('/esovdb/:table', [ middleware.validateReq('write'), ...middleware.parseBody, middleware.verifySignature ], (req, res) => {
+  esovdb.deleteRecords(req, res);
+});
+
 /**
  *  API POST endpoint for ESOVDB video.onCreateRecord automation
  *  @requires zotero
  *  @callback zotero.syncItems
  */
 
-app.post('/zotero', [ middleware.validateReq, express.urlencoded({ extended: true }), express.json() ], (req, res) => {
+app.post('/zotero', [ middleware.validateReq('write'), ...middleware.parseBody, middleware.verifySignature ], (req, res) => {
   console.log(`Performing zotero/create API request...`);
   zotero.syncItems(req, res, 'create');
 });
@@ -89,11 +230,114 @@ app.post('/zotero', [ middleware.validateReq, express.urlencoded({ extended: tru
  *  @callback zotero.syncItems
  */
 
-app.put('/zotero', [ middleware.validateReq, express.urlencoded({ extended: true }), express.json() ], (req, res) => {
+app.put('/zotero', [ middleware.validateReq('write'), ...middleware.parseBody, middleware.verifySignature ], (req, res) => {
   console.log(`Performing zotero/update API request...`);
   zotero.syncItems(req, res, 'update');
 });
 
+/**
+ *  API DELETE endpoint for ESOVDB video.onDeleteRecord automation, or for videos whose status is no longer active
+ *  @requires zotero
+ *  @callback zotero.removeItems
+ */
+
+app.delete('/zotero', [ middleware.validateReq('write'), ...middleware.parseBody, middleware.verifySignature ], (req, res) => {
+  console.log(`Performing zotero/delete API request...`);
+  zotero.removeItems(req, res, false);
+});
+
+/**
+ *  API endpoint for removing many videos from Zotero at once
+ *  @requires zotero
+ *  @callback zotero.removeItems
+ */
+
+app.post('/zotero/delete', [ middleware.validateReq('write'), ...middleware.parseBody, middleware.verifySignature ], (req, res) => {
+  console.log(`Performing zotero/delete API request in bulk...`);
+  zotero.removeItems(req, res, true);
+});
+
+/**
+ *  API endpoint for pulling changes made on Zotero back into the ESOVDB, returns JSON with the ID of the job queued. All request query params documented in [zotero.pullItems]{@link zotero.pullItems}.
+ *  @requires zotero
+ *  @callback zotero.pullItems
+ */
+
+app.post('/zotero/pull', [ middleware.validateReq('write'), ...middleware.parseBody, middleware.verifySignature ], (req, res) => {
+  zotero.pullItems(req, res);
+});
+
+/**
+ *  API endpoint for browsing the log of videos which failed to sync with Zotero, returns JSON. All request query params documented in [zotero.listFailures]{@link zotero.listFailures}.
+ *  @requires zotero
+ *  @callback zotero.listFailures
+ */
+
+app.get('/zotero/failures', [ middleware.validateReq('write'), middleware.verifySignature ], (req, res) => {
+  zotero.listFailures(req, res);
+});
+
+/**
+ *  API endpoint for sending videos which failed to sync with Zotero again, returns JSON with the IDs of the jobs queued. All request params documented in [zotero.retryFailures]{@link zotero.retryFailures}.
+ *  @requires zotero
+ *  @callback zotero.retryFailures
+ */
+
+app.post('/zotero/failures/retry', [ middleware.validateReq('write'), ...middleware.parseBody, middleware.verifySignature ], (req, res) => {
+  zotero.retryFailures(req, res);
+});
+
+/**
+ *  API endpoint for following the progress of a background job, such as a Zotero sync queued through /zotero, returns JSON. All request params documented in [jobs.getJob]{@link jobs.getJob}.
+ *  @requires jobs
+ *  @callback jobs.getJob
+ */
+
+app.get('/jobs/:id', [ middleware.validateReq('write'), middleware.verifySignature ], (req, res) => {
+  jobs.getJob(req, res);
+});
+
+/**
+ *  API endpoint for reloading the registry of topics and series from Airtable (or the config file) and syncing it with their collections on Zotero, returns JSON.
+ *  @requires registry
+ *  @callback registry.refreshRegistry
+ */
+
+app.post('/registry/refresh', [ middleware.validateReq('write'), ...middleware.parseBody, middleware.verifySignature ], (req, res) => {
+  console.log(`Performing registry/refresh API request...`);
+  registry.refreshRegistry(req, res);
+});
+
+/**
+ *  API endpoint for purging cached responses, for all tables or a single table. All request query params documented in [esovdb.purgeCache]{@link esovdb.purgeCache}.
+ *  @requires esovdb
+ *  @callback esovdb.purgeCache
+ */
+
+app.delete('/cache', [ middleware.validateReq('write'), ...middleware.parseBody, middleware.verifySignature ], (req, res) => {
+  esovdb.purgeCache(req, res);
+});
+
+/**
+ *  API endpoint for retrieving statistics for each cache route, returns JSON. Documented in [esovdb.cacheStats]{@link esovdb.cacheStats}.
+ *  @requires esovdb
+ *  @callback esovdb.cacheStats
+ */
+
+app.get('/cache/stats', [ middleware.validateReq('write'), middleware.verifySignature ], (req, res) => {
+  esovdb.cacheStats(req, res);
+});
+
+/**
+ *  API endpoint for retrieving the results of the last warm-up of each list endpoint in WARMUP_PATHS, returns JSON. Documented in [esovdb.warmupStatus]{@link esovdb.warmupStatus}.
+ *  @requires esovdb
+ *  @callback esovdb.warmupStatus
+ */
+
+app.get('/cache/warmup', [ middleware.validateReq('write'), middleware.verifySignature ], (req, res) => {
+  esovdb.warmupStatus(req, res);
+});
+
 /**
  *  API endpoint which is the end of all other endpoints
  *  @callback - Sends an HTTP 400 Bad Request status code and an error message in JSON format
@@ -114,8 +358,51 @@ app.get('/*', (req, res) => {
 
 const listener = app.listen(3000, '0.0.0.0', () => {
   console.log('API proxy listening on port ' + listener.address().port);
+  if (!(process.env.IP_WHITELIST || '').trim()) console.error('[ERROR] IP_WHITELIST is empty, so every request to a write endpoint will be denied.');
 });
 
+/** @constant {string[]} warmupPaths - The list endpoints (with any URL query params) whose cached responses are kept warm, from the space-separated WARMUP_PATHS */
+const warmupPaths = (process.env.WARMUP_PATHS || '').split(' ').filter((path) => path);
+
+/** @constant {number} warmupInterval - The number of seconds to wait between warm-ups, which should be shorter than the ttl of the list cache route (default: 240s = 4m) */
+const warmupInterval = +process.env.WARMUP_INTERVAL || 60 * 4;
+
+/**
+ *  Warms the cached responses of every list endpoint in WARMUP_PATHS, and then schedules the next warm-up, even if this one failed, so that warm-ups never overlap or stop
+ *  @async
+ *  @requires esovdb
+ */
+
+const warmCache = async () => {
+  console.log(`Warming cache for ${warmupPaths.length} list endpoint${warmupPaths.length === 1 ? '' : 's'}...`);
+
+  try {
+    await esovdb.warmCache(warmupPaths);
+  } catch (err) {
+    console.error(`[ERROR] Couldn't warm cache: ${err.message}`);
+  } finally {
+    setTimeout(warmCache, warmupInterval * 1000).unref();
+  }
+};
+
+if (warmupPaths.length > 0) warmCache();
+
+/**
+ *  Loads the registry of topics and series from Airtable (or the config file), only syncing it with their collections on Zotero if REGISTRY_SYNC_ON_START is 'true', since syncing can create or rename collections in the public library
+ *  @requires registry
+ */
+
+registry.refresh({ sync: process.env.REGISTRY_SYNC_ON_START === 'true' }).catch((err) => {
+  console.error(`[ERROR] Couldn't load the registry: ${err.message}`);
+});
+
+/**
+ *  Starts the background job worker, which first picks up any jobs left in the queue when the server last stopped
+ *  @requires jobs
+ */
+
+jobs.start();
+
 /**
  *  Instance of node-cleanup, for graceful shutdown of server.
  *  @requires node-cleanup
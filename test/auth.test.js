@@ -0,0 +1,86 @@
+/**
+ *  @file Tests for signing and verifying requests
+ *  @author Avana Vana <dear.avana@gmail.com>
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.SIGNING_KEYS = 'k1:s3cr3t k2:0th3r:s3cr3t';
+process.env.SIGNATURE_TOLERANCE = '300';
+
+const { sign, verify } = require('../auth');
+
+let count = 0;
+
+/**
+ *  Builds a minimal stand-in for a signed Express.js request
+ *
+ *  @function request
+ *  @param {Object} [options]
+ *  @param {string} [options.keyId='k1'] - The X-Signature-Key header
+ *  @param {string} [options.secret='s3cr3t'] - The secret to sign the request with
+ *  @param {(number|string)} [options.timestamp] - The X-Signature-Timestamp header (default: now)
+ *  @param {string} [options.body] - The raw body (default: a body unique to the request, so that requests are never replays of each other by accident)
+ *  @param {function(string): string} [options.tamper] - Changes the signature before it's sent
+ *  @returns {Object} The request
+ */
+
+const request = ({ keyId = 'k1', secret = 's3cr3t', timestamp = Math.floor(Date.now() / 1000), body = JSON.stringify({ count: ++count }), tamper = (signature) => signature } = {}) => {
+  const headers = {
+    'X-Signature-Key': keyId,
+    'X-Signature-Timestamp': String(timestamp),
+    'X-Signature': tamper(sign(secret, timestamp, 'POST', '/zotero', body)),
+  };
+
+  return { method: 'POST', originalUrl: '/zotero', rawBody: Buffer.from(body), get: (header) => headers[header] };
+};
+
+describe('auth.sign', () => {
+  it('signs the timestamp, method, path, and body with HMAC-SHA256', () => {
+    const signature = sign('s3cr3t', 1609459200, 'post', '/zotero', '{}');
+    assert.match(signature, /^[0-9a-f]{64}$/);
+    assert.equal(signature, sign('s3cr3t', '1609459200', 'POST', '/zotero', Buffer.from('{}')));
+    assert.notEqual(signature, sign('s3cr3t', 1609459200, 'POST', '/zotero', '{ }'));
+  });
+});
+
+describe('auth.verify', () => {
+  it('accepts a correctly signed request, with any configured key', () => {
+    assert.deepEqual(verify(request()), { valid: true, keyId: 'k1', error: null });
+    assert.equal(verify(request({ keyId: 'k2', secret: '0th3r:s3cr3t' })).valid, true);
+  });
+
+  it('rejects missing headers and unknown keys', () => {
+    assert.equal(verify({ get: () => undefined }).error, 'Missing signature headers.');
+    assert.equal(verify(request({ keyId: 'k3' })).error, 'Unknown signing key.');
+  });
+
+  it('rejects timestamps outside of the allowed window', () => {
+    assert.equal(verify(request({ timestamp: Math.floor(Date.now() / 1000) - 301 })).error, 'Request timestamp outside of allowed window.');
+    assert.equal(verify(request({ timestamp: Math.floor(Date.now() / 1000) + 301 })).error, 'Request timestamp outside of allowed window.');
+    assert.equal(verify(request({ timestamp: 'soon' })).error, 'Request timestamp outside of allowed window.');
+  });
+
+  it('rejects signatures made with the wrong secret, or for a different body', () => {
+    assert.equal(verify(request({ secret: 'wrong' })).error, 'Invalid signature.');
+
+    const signed = request();
+    assert.equal(verify({ ...signed, rawBody: Buffer.from('{"count":0}') }).error, 'Invalid signature.');
+  });
+
+  it('rejects malformed signatures', () => {
+    assert.equal(verify(request({ tamper: (signature) => signature + 'zz' })).error, 'Invalid signature.');
+    assert.equal(verify(request({ tamper: (signature) => signature.slice(0, 62) })).error, 'Invalid signature.');
+    assert.equal(verify(request({ tamper: (signature) => signature.slice(0, 63) + 'g' })).error, 'Invalid signature.');
+  });
+
+  it('rejects replays of a request already used, however its signature is written', () => {
+    const body = JSON.stringify({ replay: true }), timestamp = Math.floor(Date.now() / 1000);
+
+    assert.equal(verify(request({ body, timestamp })).valid, true);
+    assert.equal(verify(request({ body, timestamp })).error, 'Request has already been used.');
+    assert.equal(verify(request({ body, timestamp, tamper: (signature) => signature.toUpperCase() })).error, 'Request has already been used.');
+    assert.equal(verify(request({ body, timestamp, tamper: (signature) => signature + 'zz' })).valid, false);
+  });
+});
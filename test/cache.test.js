@@ -0,0 +1,283 @@
+/**
+ *  @file Tests for cache keys, stores, and invalidation
+ *  @author Avana Vana <dear.avana@gmail.com>
+ */
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const cache = require('../cache');
+
+describe('cache.keyOf', () => {
+  it('hashes the route and params into a fixed-length key, with a readable description', () => {
+    const { key, description } = cache.keyOf('list', { table: 'Videos', pg: 2, fields: [ 'title', 'url' ] });
+    assert.match(key, /^list\/[0-9a-f]{32}$/);
+    assert.equal(description, 'list?fields=title&fields=url&pg=2&table=Videos');
+  });
+
+  it('ignores the order of params, and params that are undefined or null', () => {
+    assert.deepEqual(cache.keyOf('list', { a: 1, b: 'x', c: undefined, d: null }), cache.keyOf('list', { b: 'x', a: 1 }));
+  });
+
+  it('keeps params distinct, whatever they contain', () => {
+    assert.notEqual(cache.keyOf('list', { a: '1&b=2' }).key, cache.keyOf('list', { a: '1', b: '2' }).key);
+    assert.notEqual(cache.keyOf('list', { a: [ 'x', 'y' ] }).key, cache.keyOf('list', { a: 'x,y' }).key);
+    assert.notEqual(cache.keyOf('list', { a: 1 }).key, cache.keyOf('record', { a: 1 }).key);
+    assert.equal(cache.keyOf('list', { q: '../../etc/passwd' }).description, 'list?q=../../etc/passwd');
+  });
+
+  it('throws on invalid routes and params', () => {
+    assert.throws(() => cache.keyOf('../list'), /Invalid cache route/);
+    assert.throws(() => cache.keyOf('list', { a: { b: 1 } }), /Invalid cache param "a"/);
+    assert.throws(() => cache.keyOf('list', { a: [ 1, [ 2 ] ] }), /Invalid cache param "a"/);
+  });
+});
+
+describe('cache.invalidate', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-test-'));
+  process.env.CACHE_DIR = dir;
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  for (const store of [ 'memory', 'file' ]) {
+    describe(`with a ${store} store`, () => {
+      const route = `${store}-list`;
+      cache.configure(route, { store, ttl: 60, stale: 0 });
+
+      it('removes only the entries with any of the given tags, along with their index entries', async () => {
+        await cache.set(route, { pg: 1 }, [ 'a' ], { tags: [ 'table:Videos', 'record:recA' ] });
+        await cache.set(route, { pg: 2 }, [ 'b' ], { tags: [ 'table:Videos', 'record:recB' ] });
+        await cache.set(route, { pg: 3 }, [ 'c' ], { tags: [ 'table:Series' ] });
+
+        assert.equal(Object.keys(await cache.index(route)).length, 3);
+        assert.equal(await cache.invalidate([ 'record:recA', 'record:recX' ], [ route ]), 1);
+        assert.equal(await cache.get(route, { pg: 1 }), null);
+        assert.deepEqual(await cache.get(route, { pg: 2 }), [ 'b' ]);
+        assert.deepEqual(Object.values(await cache.index(route)).map((entry) => entry.description).sort(), [ `${route}?pg=2`, `${route}?pg=3` ]);
+
+        assert.equal(await cache.invalidate([ 'table:Videos' ], [ route ]), 1);
+        assert.deepEqual(await cache.get(route, { pg: 3 }), [ 'c' ]);
+        await cache.clear(route);
+        assert.deepEqual(await cache.index(route), {});
+      });
+
+      it('never loses index entries written concurrently', async () => {
+        await Promise.all([ ...Array(25).keys() ].map((pg) => cache.set(route, { pg }, pg, { tags: [ 'table:Videos' ] })));
+        assert.equal(Object.keys(await cache.index(route)).length, 25);
+        assert.equal(await cache.invalidate([ 'table:Videos' ], [ route ]), 25);
+        assert.deepEqual(await cache.index(route), {});
+      });
+
+      it('drops index entries once their entries expire', async () => {
+        await cache.set(route, { pg: 1 }, 'soon', { ttl: 0.05, tags: [ 'table:Videos' ] });
+        await cache.set(route, { pg: 2 }, 'later', { tags: [ 'table:Videos' ] });
+        await new Promise((resolve) => setTimeout(resolve, 100));
+        assert.deepEqual(Object.values(await cache.index(route)).map((entry) => entry.description), [ `${route}?pg=2` ]);
+        await cache.clear(route);
+      });
+    });
+  }
+
+  it('never caches data loaded before an invalidation, or shares it with requests made after it', async () => {
+    cache.configure('race', { store: 'memory', ttl: 60 });
+    let release, loads = 0;
+    const load = () => (++loads, new Promise((resolve) => (release = resolve)));
+
+    const before = cache.fetch('race', { pg: 1 }, load, { tags: [ 'table:Videos' ] });
+    while (!release) await new Promise((resolve) => setImmediate(resolve));
+    await cache.invalidate([ 'table:Videos' ], [ 'race' ]);
+    const after = cache.fetch('race', { pg: 1 }, () => (++loads, Promise.resolve('new')), { tags: [ 'table:Videos' ] });
+
+    release('old');
+    assert.equal(await before, 'old');
+    assert.equal(await after, 'new');
+    assert.equal(loads, 2);
+    assert.equal(await cache.get('race', { pg: 1 }), 'new');
+
+    release = null;
+    const during = cache.fetch('race', { pg: 2 }, load, { tags: [ 'table:Videos' ] });
+    while (!release) await new Promise((resolve) => setImmediate(resolve));
+    await cache.clear('race');
+    release('old');
+    assert.equal(await during, 'old');
+    assert.equal(await cache.get('race', { pg: 2 }), null);
+    assert.deepEqual(await cache.index('race'), {});
+  });
+
+  it('finds entries written by another instance sharing the same store', async () => {
+    delete require.cache[require.resolve('../cache')];
+    const other = require('../cache');
+    other.configure('shared', { store: 'file', ttl: 60 });
+    cache.configure('shared', { store: 'file', ttl: 60 });
+
+    await Promise.all([
+      cache.set('shared', { pg: 1 }, 'mine', { tags: [ 'record:recA' ] }),
+      other.set('shared', { pg: 2 }, 'theirs', { tags: [ 'record:recA' ] }),
+    ]);
+
+    assert.equal(await cache.invalidate([ 'record:recA' ], [ 'shared' ]), 2);
+    assert.equal(await other.get('shared', { pg: 2 }), null);
+  });
+});
+
+describe('cache.fetch', () => {
+  /**
+   *  Builds a load function which counts its calls, and resolves with each of the given values in turn, once released
+   *
+   *  @function loader
+   *  @param {...*} values - The values to resolve with
+   *  @returns {function(): Promise<*>} The load function, with the number of times it was called as its calls property, and a release() method which resolves its pending call
+   */
+
+  const loader = (...values) => {
+    let release = null;
+    const load = () => {
+      const value = values[load.calls++];
+      return new Promise((resolve) => (release = () => resolve(value)));
+    };
+    load.calls = 0;
+    load.release = async () => {
+      while (!release) await new Promise((resolve) => setImmediate(resolve));
+      release();
+      release = null;
+    };
+    return load;
+  };
+
+  it('shares a single load between concurrent misses for the same entry', async () => {
+    cache.configure('coalesce', { store: 'memory', ttl: 60, stale: 0 });
+    const load = loader('data');
+    const requests = [ 1, 2, 3 ].map(() => cache.fetch('coalesce', { pg: 1 }, load));
+
+    await load.release();
+    assert.deepEqual(await Promise.all(requests), [ 'data', 'data', 'data' ]);
+    assert.equal(await cache.fetch('coalesce', { pg: 1 }, load), 'data');
+    assert.equal(load.calls, 1);
+
+    const { coalesce } = await cache.stats([ 'coalesce' ]);
+    assert.deepEqual([ coalesce.misses, coalesce.coalesced, coalesce.hits ], [ 3, 2, 1 ]);
+  });
+
+  it('loads expired entries again, if the route has no stale window', async () => {
+    cache.configure('expired', { store: 'memory', ttl: 0.05, stale: 0 });
+    const load = loader('old', 'new');
+
+    const first = cache.fetch('expired', { pg: 1 }, load);
+    await load.release();
+    assert.equal(await first, 'old');
+
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    const second = cache.fetch('expired', { pg: 1 }, load);
+    await load.release();
+    assert.equal(await second, 'new');
+  });
+
+  it('serves expired entries within the stale window right away, while refreshing them once in the background', async () => {
+    cache.configure('swr', { store: 'memory', ttl: 0.05, stale: 60 });
+    const load = loader('old', 'new');
+
+    const first = cache.fetch('swr', { pg: 1 }, load);
+    await load.release();
+    assert.equal(await first, 'old');
+    await new Promise((resolve) => setTimeout(resolve, 100));
+
+    assert.equal(await cache.fetch('swr', { pg: 1 }, load), 'old');
+    assert.equal(await cache.fetch('swr', { pg: 1 }, load), 'old');
+    assert.equal(load.calls, 2);
+
+    await load.release();
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.equal(await cache.fetch('swr', { pg: 1 }, load), 'new');
+    assert.equal(load.calls, 2);
+    assert.equal((await cache.stats([ 'swr' ])).swr.staleHits, 2);
+  });
+
+  it('keeps serving a stale entry when refreshing it fails', async () => {
+    cache.configure('swr-fail', { store: 'memory', ttl: 0.05, stale: 60 });
+    await cache.set('swr-fail', { pg: 1 }, 'old');
+    await new Promise((resolve) => setTimeout(resolve, 100));
+
+    const failing = () => Promise.reject(new Error('Airtable is down.'));
+    assert.equal(await cache.fetch('swr-fail', { pg: 1 }, failing), 'old');
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.equal(await cache.fetch('swr-fail', { pg: 1 }, failing), 'old');
+  });
+});
+
+describe('cache.memoryStore', () => {
+  it('evicts its least recently used entries along with their index entries, and never evicts index entries on their own', async () => {
+    const store = cache.memoryStore({ max: 2 });
+
+    for (const hash of [ 'a', 'b', 'c' ]) {
+      await store.set(`list/${hash}`, hash, 60);
+      await store.set(`list-index/${hash}`, { tags: [ 'table:Videos' ] }, 60);
+      if (hash === 'b') await store.get('list/a');
+    }
+
+    assert.deepEqual(await store.keys('list/'), [ 'list/a', 'list/c' ]);
+    assert.deepEqual((await store.keys('list-index/')).sort(), [ 'list-index/a', 'list-index/c' ]);
+
+    for (let i = 0; i < 10; i++) await store.set(`record-index/${i}`, {}, 60);
+    assert.deepEqual(await store.keys('list/'), [ 'list/a', 'list/c' ]);
+    assert.equal((await store.keys('record-index/')).length, 10);
+  });
+});
+
+describe('cache.redisStore', () => {
+  /**
+   *  Starts a minimal Redis server, which keeps values in memory and never replies on its first connection, so that the client's first command times out
+   *
+   *  @function fakeRedis
+   *  @returns {Promise<net.Server>} The listening server, with a stop() method which also closes its open connections
+   */
+
+  const fakeRedis = () => new Promise((resolve) => {
+    const values = new Map(), sockets = new Set();
+    let connections = 0;
+
+    const server = net.createServer((socket) => {
+      const silent = ++connections === 1;
+      sockets.add(socket);
+      let buffer = '';
+
+      socket.on('error', () => {});
+      socket.on('data', (chunk) => {
+        buffer += chunk;
+        let match;
+
+        while ((match = buffer.match(/^\*(\d+)\r\n((?:\$\d+\r\n[^\r]*\r\n)*)/)) && match[2].split('\r\n').length - 1 >= +match[1] * 2) {
+          const args = match[2].split('\r\n').filter((part, i) => i % 2 === 1).slice(0, +match[1]);
+          buffer = buffer.slice(match[0].length);
+          if (silent) continue;
+
+          if (args[0] === 'SET') values.set(args[1], args[2]), socket.write('+OK\r\n');
+          else if (args[0] === 'GET') socket.write(values.has(args[1]) ? `$${Buffer.byteLength(values.get(args[1]))}\r\n${values.get(args[1])}\r\n` : '$-1\r\n');
+          else socket.write('-ERR unknown command\r\n');
+        }
+      });
+    });
+
+    server.stop = () => {
+      sockets.forEach((socket) => socket.destroy());
+      server.close();
+    };
+
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+
+  it('reconnects and keeps working after a command times out', async () => {
+    const server = await fakeRedis();
+    const store = cache.redisStore({ url: `redis://127.0.0.1:${server.address().port}`, timeout: 100 });
+
+    try {
+      assert.equal(await store.get('list/a'), null);
+      await store.set('list/a', { ok: true }, 60);
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      assert.deepEqual(await store.get('list/a'), { ok: true });
+    } finally {
+      server.stop();
+    }
+  });
+});
@@ -0,0 +1,572 @@
+/**
+ *  @file Tests for the ESOVDB Airtable API methods, against a fake Airtable API
+ *  @author Avana Vana <dear.avana@gmail.com>
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { fakeAirtable } = require('./helpers/airtable');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'esovdb-test-'));
+process.env.AIRTABLE_API_KEY = 'keyTest';
+process.env.AIRTABLE_BASE_ID = 'appTest';
+process.env.CACHE_STORE = 'memory';
+process.env.DATA_DIR = dir;
+process.env.CHANGES_INTERVAL = '0.001';
+process.env.CHANGES_RETENTION = '2';
+process.env.AIRTABLE_RETRIES = '1';
+
+let airtable, server, esovdb, cache;
+
+/**
+ *  Sends a request to the routes under test, with only the given headers (unlike fetch(), which adds its own to conditional requests)
+ *
+ *  @async
+ *  @function request
+ *  @param {string} path - The path of the request, with any URL query params
+ *  @param {Object} [options]
+ *  @param {string} [options.method='GET'] - The method of the request
+ *  @param {Object} [options.headers={}] - The headers of the request
+ *  @param {*} [options.body] - The body of the request, which is sent as JSON
+ *  @returns {Promise<{ status: number, headers: Object, body: * }>} The response, with its parsed body, if it has one
+ */
+
+const request = (path, { method = 'GET', headers = {}, body } = {}) => new Promise((resolve, reject) => {
+  const json = body !== undefined ? JSON.stringify(body) : undefined;
+  const req = http.request({ host: '127.0.0.1', port: server.address().port, path, method, headers: { ...headers, ...(json !== undefined && { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(json) }) } }, (res) => {
+    let text = '';
+    res.on('data', (chunk) => (text += chunk));
+    res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: text ? JSON.parse(text) : null }));
+  });
+
+  req.on('error', reject);
+  req.end(json);
+});
+
+/**
+ *  Returns the requests the fake Airtable API received while running a function
+ *
+ *  @async
+ *  @function requestsDuring
+ *  @param {function(): Promise<*>} run - The function to run
+ *  @returns {Promise<Object[]>} The requests received
+ */
+
+const requestsDuring = async (run) => {
+  const start = airtable.requests.length;
+  await run();
+  return airtable.requests.slice(start);
+};
+
+before(async () => {
+  airtable = await fakeAirtable();
+  process.env.AIRTABLE_ENDPOINT_URL = `http://127.0.0.1:${airtable.address().port}`;
+  esovdb = require('../esovdb');
+  cache = require('../cache');
+
+  const app = express();
+  app.use((req, res, next) => (res.type('json'), next()));
+  app.use(express.json());
+  app.get('/esovdb/videos/list/:pg?', (req, res) => esovdb.listVideos(req, res));
+  app.get('/esovdb/:table/list/:pg?', (req, res) => esovdb.listTable(req, res));
+  app.get('/esovdb/:table/changes', (req, res) => esovdb.listChanges(req, res));
+  app.get('/esovdb/:table/:recordId(rec[A-Za-z0-9]{14})', (req, res) => esovdb.getRecord(req, res));
+  app.post('/esovdb/:table/update', (req, res) => esovdb.updateTable(req, res));
+  app.post('/esovdb/:table', (req, res) => esovdb.createRecords(req, res));
+  app.put('/esovdb/:table', (req, res) => esovdb.upsertRecords(req, res));
+  app.delete('/esovdb/:table', (req, res) => esovdb.deleteRecords(req, res));
+  app.delete('/cache', (req, res) => esovdb.purgeCache(req, res));
+  app.get('/cache/stats', (req, res) => esovdb.cacheStats(req, res));
+  app.get('/cache/warmup', (req, res) => esovdb.warmupStatus(req, res));
+
+  await new Promise((resolve) => (server = app.listen(0, '127.0.0.1', resolve)));
+});
+
+after(() => {
+  server.close();
+  airtable.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('esovdb.listTable', () => {
+  before(() => airtable.seed('Series', [
+    { 'Name': 'Earth Science Week', 'Description': 'Lectures', 'Videos': [ 'recAAAAAAAAAAAAAb' ], 'Modified': '2021-01-02T00:00:00.000Z' },
+    { 'Name': 'Geology Today', 'Modified': '2021-01-01T00:00:00.000Z' },
+    { 'Name': 'Mars Missions', 'Modified': '2021-01-03T00:00:00.000Z' },
+  ]));
+
+  it('lists the records of any table, with its field projection, and only asks Airtable for those fields', async () => {
+    const requests = await requestsDuring(async () => {
+      const { status, body } = await request('/esovdb/series/list');
+      assert.equal(status, 200);
+      assert.equal(body.total, 3);
+      assert.deepEqual(body.cursor, { next: null, prev: null });
+      assert.deepEqual(body.records[0], { recordId: body.records[0].recordId, name: 'Earth Science Week', description: 'Lectures', zoteroKey: '', publisher: '', videos: [ 'recAAAAAAAAAAAAAb' ], created: '', modified: '2021-01-02T00:00:00.000Z' });
+    });
+
+    assert.equal(requests.length, 1);
+    assert.deepEqual(requests[0].query.getAll('fields[]'), [ 'Name', 'Description', 'Zotero Key', 'Publisher Text', 'Videos', 'Created', 'Modified' ]);
+    assert.equal(requests[0].query.get('sort[0][field]'), 'Name');
+  });
+
+  it('sends a single page of records, and a cursor to the next one', async () => {
+    const { body } = await request('/esovdb/series/list/1?pageSize=2');
+    assert.deepEqual(body.records.map((record) => record.name), [ 'Earth Science Week', 'Geology Today' ]);
+    assert.notEqual(body.cursor.next, null);
+
+    const next = await request(`/esovdb/series/list?pageSize=2&cursor=${body.cursor.next}`);
+    assert.deepEqual(next.body.records.map((record) => record.name), [ 'Mars Missions' ]);
+    assert.equal(next.body.total, 3);
+  });
+
+  it('sorts by the given props, and sends only the given props, while still asking Airtable for the Modified field', async () => {
+    const requests = await requestsDuring(async () => {
+      const { body } = await request('/esovdb/series/list?fields=name&sort=name:desc,modified');
+      assert.deepEqual(Object.keys(body.records[0]), [ 'recordId', 'name' ]);
+    });
+
+    assert.deepEqual(requests[0].query.getAll('fields[]'), [ 'Name', 'Modified' ]);
+    assert.deepEqual([ ...requests[0].query ].filter(([ name ]) => name.startsWith('sort')), [
+      [ 'sort[0][field]', 'Name' ],
+      [ 'sort[0][direction]', 'desc' ],
+      [ 'sort[1][field]', 'Modified' ],
+      [ 'sort[1][direction]', 'asc' ],
+    ]);
+  });
+
+  it('rejects unknown props without asking Airtable', async () => {
+    const requests = await requestsDuring(async () => {
+      assert.deepEqual((await request('/esovdb/series/list?fields=name,password')).body, { Error: 'Unknown field "password".' });
+      assert.deepEqual((await request('/esovdb/series/list?sort=password')).body, { Error: 'Can\'t sort by "password".' });
+    });
+
+    assert.equal(requests.length, 0);
+  });
+
+  it('sends a 404 response for tables which aren\'t in the ESOVDB', async () => {
+    const requests = await requestsDuring(async () => {
+      const { status, body } = await request('/esovdb/secrets/list');
+      assert.equal(status, 404);
+      assert.deepEqual(body, { Error: 'Table "secrets" not found.' });
+    });
+
+    assert.equal(requests.length, 0);
+  });
+});
+
+describe('esovdb.listVideos', () => {
+  before(() => airtable.seed('Videos', [
+    { 'Title': 'Plate Tectonics', 'Topic': 'Geology', 'Year': 2012, 'Modified': '2021-01-01T00:00:00.000Z' },
+    { 'Title': 'Mars', 'Topic': 'Planetary Science', 'Year': 2019, 'Modified': '2021-01-02T00:00:00.000Z' },
+  ]));
+
+  it('sends filters to Airtable as a formula, with every value escaped', async () => {
+    const requests = await requestsDuring(async () => {
+      assert.equal((await request(`/esovdb/videos/list?topic=${encodeURIComponent('") , TRUE() , ("')}&yearFrom=2010`)).status, 200);
+    });
+
+    assert.equal(requests[0].query.get('filterByFormula'), 'AND({Topic} = "\\") , TRUE() , (\\"", {Year} >= 2010)');
+  });
+
+  it('rejects invalid filters without asking Airtable', async () => {
+    const requests = await requestsDuring(async () => {
+      const { status, body } = await request('/esovdb/videos/list?yearFrom=soon');
+      assert.equal(status, 400);
+      assert.deepEqual(body, { Error: 'Invalid value for "yearFrom".' });
+    });
+
+    assert.equal(requests.length, 0);
+  });
+
+  it('never asks Airtable for more than 100 records per page, on any list endpoint', async () => {
+    const requests = await requestsDuring(async () => {
+      await request('/esovdb/videos/list?pageSize=500');
+      await request('/esovdb/series/list?pageSize=500&sort=name:desc');
+      await request('/esovdb/videos/list?pageSize=abc&yearTo=2030');
+    });
+
+    assert.deepEqual(requests.map((request) => request.query.get('pageSize')), [ '100', '100', '100' ]);
+  });
+});
+
+describe('esovdb.getRecord', () => {
+  it('retrieves a single record by its ID, and caches it', async () => {
+    const [ record ] = airtable.tables.get('Series');
+    const requests = await requestsDuring(async () => {
+      const first = await request(`/esovdb/series/${record.id}`);
+      assert.equal(first.status, 200);
+      assert.equal(first.body.recordId, record.id);
+      assert.equal(first.body.name, 'Earth Science Week');
+      assert.deepEqual((await request(`/esovdb/series/${record.id}`)).body, first.body);
+    });
+
+    assert.equal(requests.length, 1);
+  });
+
+  it('passes on Airtable\'s 404 response for records which don\'t exist', async () => {
+    const { status, body } = await request('/esovdb/series/recZZZZZZZZZZZZZZ');
+    assert.equal(status, 404);
+    assert.equal(body.error, 'NOT_FOUND');
+  });
+});
+
+describe('esovdb.purgeCache', () => {
+  it('purges cached lists and single records of a table, and nothing else', async () => {
+    const [ series ] = airtable.tables.get('Series'), [ video ] = airtable.tables.get('Videos');
+    await request(`/esovdb/series/${series.id}`);
+    await request(`/esovdb/videos/${video.id}`);
+    await request('/esovdb/series/list?fields=name');
+
+    const { status, body } = await request('/cache?table=series', { method: 'DELETE' });
+    assert.equal(status, 200);
+    assert.equal(body.table, 'series');
+    assert.ok(body.purged >= 2);
+
+    const requests = await requestsDuring(async () => {
+      await request(`/esovdb/series/${series.id}`);
+      await request(`/esovdb/videos/${video.id}`);
+      await request('/esovdb/series/list?fields=name');
+    });
+
+    assert.deepEqual(requests.map((request) => [ request.table, request.id ]), [ [ 'Series', series.id ], [ 'Series', null ] ]);
+  });
+
+  it('sends a 500 response when the cache fails, instead of leaving the request hanging', async () => {
+    const { index, stats } = cache;
+    cache.index = cache.stats = async () => {
+      throw new Error('EACCES: permission denied');
+    };
+
+    try {
+      const purged = await request('/cache', { method: 'DELETE' }), stats = await request('/cache/stats');
+      assert.equal(purged.status, 500);
+      assert.deepEqual(purged.body, { Error: 'Unable to purge cache.' });
+      assert.equal(stats.status, 500);
+      assert.deepEqual(stats.body, { Error: 'Unable to retrieve cache statistics.' });
+    } finally {
+      Object.assign(cache, { index, stats });
+    }
+  });
+});
+
+describe('conditional GETs', () => {
+  it('sends a strong ETag and the newest Modified time, and a 304 response to clients which already have the same list', async () => {
+    const { status, headers } = await request('/esovdb/series/list?fields=name,modified');
+    assert.equal(status, 200);
+    assert.match(headers.etag, /^"[\w-]{43}"$/);
+    assert.equal(headers['last-modified'], 'Sun, 03 Jan 2021 00:00:00 GMT');
+    assert.equal(headers['cache-control'], 'public, no-cache');
+
+    const byEtag = await request('/esovdb/series/list?fields=name,modified', { headers: { 'If-None-Match': headers.etag } });
+    assert.equal(byEtag.status, 304);
+    assert.equal(byEtag.body, null);
+    assert.equal(byEtag.headers.etag, headers.etag);
+
+    assert.equal((await request('/esovdb/series/list?fields=name,modified', { headers: { 'If-Modified-Since': 'Mon, 04 Jan 2021 00:00:00 GMT' } })).status, 304);
+    assert.equal((await request('/esovdb/series/list?fields=name,modified', { headers: { 'If-Modified-Since': 'Sat, 02 Jan 2021 00:00:00 GMT' } })).status, 200);
+    assert.equal((await request('/esovdb/series/list?fields=name,modified', { headers: { 'If-None-Match': '"stale"' } })).status, 200);
+  });
+
+  it('sends a new ETag once the records change', async () => {
+    const [ series ] = airtable.tables.get('Series');
+    const first = await request(`/esovdb/series/${series.id}`);
+    assert.equal((await request(`/esovdb/series/${series.id}`, { headers: { 'If-None-Match': first.headers.etag } })).status, 304);
+
+    series.fields['Description'] = 'Lectures and field trips';
+    series.fields['Modified'] = '2021-02-01T00:00:00.000Z';
+    await request('/cache?table=series', { method: 'DELETE' });
+
+    const second = await request(`/esovdb/series/${series.id}`, { headers: { 'If-None-Match': first.headers.etag } });
+    assert.equal(second.status, 200);
+    assert.notEqual(second.headers.etag, first.headers.etag);
+    assert.equal(second.headers['last-modified'], 'Mon, 01 Feb 2021 00:00:00 GMT');
+    assert.equal(second.body.description, 'Lectures and field trips');
+  });
+});
+
+describe('esovdb.warmCache', () => {
+  it('refreshes the cached responses of list endpoints, so that requests for them never wait for Airtable', async () => {
+    const path = '/esovdb/series/list?fields=name&sort=name:desc';
+    await esovdb.warmCache([ path ]);
+
+    const requests = await requestsDuring(async () => {
+      const { body } = await request(path);
+      assert.equal(body.records.length, 3);
+    });
+
+    assert.equal(requests.length, 0);
+    assert.equal((await requestsDuring(() => esovdb.warmCache([ path ]))).length, 1);
+  });
+
+  it('keeps the results of the last warm-up of each path, including any errors', async () => {
+    await esovdb.warmCache([ '/esovdb/series/list?fields=name', '/esovdb/secrets/list', '/zotero', '/esovdb/videos/list?yearFrom=soon' ]);
+    const { body } = await request('/cache/warmup');
+    const results = Object.fromEntries(body.map((result) => [ result.path, result ]));
+
+    assert.equal(results['/esovdb/series/list?fields=name'].records, 3);
+    assert.equal(results['/esovdb/series/list?fields=name'].error, null);
+    assert.ok(Date.parse(results['/esovdb/series/list?fields=name'].lastRun));
+    assert.equal(results['/esovdb/secrets/list'].error, 'Table "secrets" not found.');
+    assert.equal(results['/zotero'].error, 'Not a list endpoint.');
+    assert.equal(results['/esovdb/videos/list?yearFrom=soon'].error, 'Invalid value for "yearFrom".');
+  });
+
+  it('records an error when Airtable fails, and carries on with the other paths', async () => {
+    airtable.fail = (request) => request.table === 'Videos' ? 500 : null;
+
+    try {
+      await esovdb.warmCache([ '/esovdb/videos/list?topic=Geology', '/esovdb/series/list?fields=name,description' ]);
+    } finally {
+      airtable.fail = null;
+    }
+
+    const { body } = await request('/cache/warmup');
+    const results = Object.fromEntries(body.map((result) => [ result.path, result ]));
+    assert.equal(results['/esovdb/videos/list?topic=Geology'].records, null);
+    assert.ok(results['/esovdb/videos/list?topic=Geology'].error);
+    assert.equal(results['/esovdb/series/list?fields=name,description'].records, 3);
+  });
+});
+
+describe('esovdb.listChanges', () => {
+  let checkpoint;
+  const snapshot = async (since) => {
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    return request(`/esovdb/topics/changes${since ? '?since=' + since : ''}`);
+  };
+
+  before(() => airtable.seed('Topics', [
+    { 'Name': 'Geology', 'Modified': '2021-01-01T00:00:00.000Z' },
+    { 'Name': 'Oceanography', 'Modified': '2021-01-01T00:00:00.000Z' },
+    { 'Name': 'Volcanology', 'Modified': '2021-01-01T00:00:00.000Z' },
+  ]));
+
+  it('lists every current record as created without a checkpoint, taking snapshots of only the table\'s modified field', async () => {
+    let response;
+    const requests = await requestsDuring(async () => (response = await snapshot()));
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.created, airtable.tables.get('Topics').map((record) => record.id));
+    assert.deepEqual(response.body.updated, []);
+    assert.deepEqual(response.body.deleted, []);
+    assert.deepEqual(requests.map((request) => request.query.getAll('fields[]')), [ [ 'Modified' ] ]);
+    checkpoint = response.body.checkpoint;
+  });
+
+  it('lists the records created, updated, and deleted since a checkpoint', async () => {
+    const [ geology, oceanography, volcanology ] = airtable.tables.get('Topics');
+    airtable.seed('Topics', [ { 'Name': 'Seismology', 'Modified': '2021-02-01T00:00:00.000Z' } ]);
+    const [ seismology ] = airtable.tables.get('Topics');
+    oceanography.fields['Modified'] = '2021-02-01T00:00:00.000Z';
+    airtable.tables.set('Topics', [ geology, oceanography, seismology ]);
+
+    const { status, body } = await snapshot(checkpoint);
+    assert.equal(status, 200);
+    assert.deepEqual(body.created, [ seismology.id ]);
+    assert.deepEqual(body.updated, [ oceanography.id ]);
+    assert.deepEqual(body.deleted, [ volcanology.id ]);
+    assert.notEqual(body.checkpoint, checkpoint);
+
+    const again = await snapshot(body.checkpoint);
+    assert.deepEqual([ again.body.created, again.body.updated, again.body.deleted ], [ [], [], [] ]);
+    assert.equal(again.body.checkpoint, body.checkpoint);
+  });
+
+  it('sends a 410 for a checkpoint older than the changes kept', async () => {
+    for (const month of [ '03', '04' ]) {
+      airtable.tables.get('Topics')[0].fields['Modified'] = `2021-${month}-01T00:00:00.000Z`;
+      await snapshot();
+    }
+
+    const { status, body } = await snapshot(checkpoint);
+    assert.equal(status, 410);
+    assert.equal(body.Error, 'Checkpoint has expired.');
+  });
+
+  it('sends a 400 for a checkpoint from another table', async () => {
+    const { status } = await request(`/esovdb/series/changes?since=${checkpoint}`);
+    assert.equal(status, 400);
+  });
+});
+
+describe('esovdb.createRecords', () => {
+  it('creates records 10 at a time, with a result for each record', async () => {
+    const body = Array.from({ length: 12 }, (v, i) => ({ fields: { 'Name': `Organization ${i + 1}` } }));
+    let response;
+    const requests = await requestsDuring(async () => (response = await request('/esovdb/organizations', { method: 'POST', body })));
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.written, 12);
+    assert.equal(response.body.failed, 0);
+    assert.deepEqual(requests.map((request) => [ request.method, request.body.records.length ]), [ [ 'POST', 10 ], [ 'POST', 2 ] ]);
+    assert.deepEqual(response.body.results.map((result) => result.id), airtable.tables.get('Organizations').map((record) => record.id));
+    assert.ok(response.body.results.every((result, i) => result.index === i && result.status === 'created'));
+  });
+
+  it('reports invalid records in place with a 207, and still creates the rest', async () => {
+    const { status, body } = await request('/esovdb/organizations', { method: 'POST', body: [ { fields: { 'Name': 'NASA' } }, { name: 'USGS' }, { fields: [ 'NOAA' ] } ] });
+
+    assert.equal(status, 207);
+    assert.equal(body.written, 1);
+    assert.equal(body.failed, 2);
+    assert.equal(body.results[0].status, 'created');
+    assert.deepEqual(body.results[1], { index: 1, id: null, status: 'failed', error: { type: 'INVALID_RECORD', message: 'Record must have an object of fields.', statusCode: null } });
+    assert.equal(body.results[2].error.type, 'INVALID_RECORD');
+  });
+
+  it('sends Airtable\'s status when every record fails', async () => {
+    airtable.fail = (request) => request.method === 'POST' ? 422 : null;
+
+    try {
+      const { status, body } = await request('/esovdb/organizations', { method: 'POST', body: [ { fields: { 'Nmae': 'NASA' } } ] });
+      assert.equal(status, 422);
+      assert.equal(body.written, 0);
+      assert.deepEqual(body.results[0].error, { type: 'INVALID_REQUEST_UNKNOWN', message: 'Failed with a 422.', statusCode: 422 });
+    } finally {
+      airtable.fail = null;
+    }
+  });
+
+  it('invalidates cached lists of the table', async () => {
+    const before = await request('/esovdb/organizations/list?fields=name');
+    await request('/esovdb/organizations', { method: 'POST', body: [ { fields: { 'Name': 'ESA' } } ] });
+    const after = await request('/esovdb/organizations/list?fields=name');
+
+    assert.equal(after.body.records.length, before.body.records.length + 1);
+    assert.equal(after.body.records.at(-1).name, 'ESA');
+  });
+
+  it('rejects unknown tables and bodies which aren\'t a non-empty array', async () => {
+    assert.equal((await request('/esovdb/secrets', { method: 'POST', body: [ { fields: {} } ] })).status, 404);
+    assert.equal((await request('/esovdb/organizations', { method: 'POST', body: [] })).status, 400);
+    assert.equal((await request('/esovdb/organizations', { method: 'POST', body: { fields: {} } })).status, 400);
+  });
+});
+
+describe('esovdb.upsertRecords', () => {
+  it('merges on the table\'s default merge fields, reporting which records were created and which updated', async () => {
+    const created = await request('/esovdb/videos', { method: 'PUT', body: [ { fields: { 'URL': 'https://www.youtube.com/watch?v=first', 'Title': 'First' } } ] });
+    assert.equal(created.body.results[0].status, 'created');
+
+    let response;
+    const requests = await requestsDuring(async () => (response = await request('/esovdb/videos', { method: 'PUT', body: [
+      { fields: { 'URL': 'https://www.youtube.com/watch?v=first', 'Title': 'Renamed' } },
+      { fields: { 'URL': 'https://www.youtube.com/watch?v=second', 'Title': 'Second' } },
+    ] })));
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(requests[0].body.performUpsert, { fieldsToMergeOn: [ 'URL' ] });
+    assert.deepEqual(response.body.results.map((result) => result.status), [ 'updated', 'created' ]);
+    assert.equal(response.body.results[0].id, created.body.results[0].id);
+    assert.equal(airtable.tables.get('Videos').find((record) => record.id === created.body.results[0].id).fields['Title'], 'Renamed');
+  });
+
+  it('merges on the fields given by the mergeOn param, and fails records missing them', async () => {
+    const { status, body } = await request('/esovdb/organizations?mergeOn=Name', { method: 'PUT', body: [
+      { fields: { 'Name': 'NASA', 'URL': 'https://www.nasa.gov' } },
+      { fields: { 'URL': 'https://www.usgs.gov' } },
+    ] });
+
+    assert.equal(status, 207);
+    assert.equal(body.results[0].status, 'updated');
+    assert.equal(airtable.tables.get('Organizations').find((record) => record.fields['Name'] === 'NASA').fields['URL'], 'https://www.nasa.gov');
+    assert.deepEqual(body.results[1].error, { type: 'INVALID_RECORD', message: 'Record is missing merge field "Name".', statusCode: null });
+  });
+
+  it('requires 1-3 merge fields', async () => {
+    assert.equal((await request('/esovdb/organizations', { method: 'PUT', body: [ { fields: { 'Name': 'NASA' } } ] })).status, 400);
+    assert.equal((await request('/esovdb/organizations?mergeOn=a,b,c,d', { method: 'PUT', body: [ { fields: { 'Name': 'NASA' } } ] })).status, 400);
+  });
+});
+
+describe('esovdb.deleteRecords', () => {
+  it('deletes records given as IDs or objects with an ID, and reports invalid IDs', async () => {
+    const [ first, second ] = airtable.tables.get('Organizations');
+    const { status, body } = await request('/esovdb/organizations', { method: 'DELETE', body: [ first.id, { id: second.id }, 'NASA' ] });
+
+    assert.equal(status, 207);
+    assert.deepEqual(body.results.slice(0, 2), [ { index: 0, id: first.id, status: 'deleted' }, { index: 1, id: second.id, status: 'deleted' } ]);
+    assert.equal(body.results[2].error.message, 'Record must be an Airtable record ID.');
+    assert.ok(!airtable.tables.get('Organizations').some((record) => record.id === first.id || record.id === second.id));
+  });
+
+  it('invalidates cached copies of the records deleted', async () => {
+    const [ record ] = airtable.tables.get('Organizations');
+    assert.equal((await request(`/esovdb/organizations/${record.id}`)).status, 200);
+    await request('/esovdb/organizations', { method: 'DELETE', body: [ record.id ] });
+    assert.equal((await request(`/esovdb/organizations/${record.id}`)).status, 404);
+  });
+});
+
+describe('esovdb.updateTable', () => {
+  before(() => airtable.seed('People', Array.from({ length: 11 }, (v, i) => ({ 'First Name': `Person ${i + 1}` }))));
+
+  const updates = (fields) => airtable.tables.get('People').map((record) => ({ id: record.id, fields }));
+
+  it('waits for every update, and reports each record updated', async () => {
+    const { status, body } = await request('/esovdb/people/update', { method: 'POST', body: updates({ 'Last Name': 'Smith' }) });
+
+    assert.equal(status, 200);
+    assert.equal(body.written, 11);
+    assert.ok(body.results.every((result, i) => result.status === 'updated' && result.id === airtable.tables.get('People')[i].id));
+    assert.ok(airtable.tables.get('People').every((record) => record.fields['Last Name'] === 'Smith'));
+  });
+
+  it('reports the records of a failed batch with Airtable\'s error, and the rest as updated, with a 207', async () => {
+    const last = airtable.tables.get('People').at(-1);
+    airtable.fail = (request) => request.method === 'PATCH' && request.body.records.some((record) => record.id === last.id) ? 422 : null;
+
+    try {
+      const { status, body } = await request('/esovdb/people/update', { method: 'POST', body: updates({ 'Last Name': 'Jones' }) });
+      assert.equal(status, 207);
+      assert.equal(body.written, 10);
+      assert.equal(body.failed, 1);
+      assert.deepEqual(body.results[10], { index: 10, id: last.id, status: 'failed', error: { type: 'INVALID_REQUEST_UNKNOWN', message: 'Failed with a 422.', statusCode: 422 } });
+      assert.equal(last.fields['Last Name'], 'Smith');
+    } finally {
+      airtable.fail = null;
+    }
+  });
+
+  it('retries batches after transient errors, but not after others', async () => {
+    let failures = 1;
+    airtable.fail = (request) => request.method === 'PATCH' && failures-- > 0 ? 500 : null;
+
+    try {
+      const requests = await requestsDuring(async () => assert.equal((await request('/esovdb/people/update', { method: 'POST', body: updates({ 'Last Name': 'Brown' }).slice(0, 1) })).status, 200));
+      assert.equal(requests.length, 2);
+      assert.equal(airtable.tables.get('People')[0].fields['Last Name'], 'Brown');
+
+      airtable.fail = (request) => request.method === 'PATCH' ? 422 : null;
+      assert.equal((await requestsDuring(() => request('/esovdb/people/update', { method: 'POST', body: updates({}).slice(0, 1) }))).length, 1);
+    } finally {
+      airtable.fail = null;
+    }
+  });
+
+  it('gives up after the configured number of retries', async () => {
+    airtable.fail = (request) => request.method === 'PATCH' ? 503 : null;
+
+    try {
+      let report;
+      const requests = await requestsDuring(async () => (report = await esovdb.processUpdates(updates({}).slice(0, 2), 'People')));
+      assert.equal(requests.length, 2);
+      assert.equal(report.written, 0);
+      assert.deepEqual(report.results.map((result) => [ result.status, result.error.statusCode ]), [ [ 'failed', 503 ], [ 'failed', 503 ] ]);
+    } finally {
+      airtable.fail = null;
+    }
+  });
+
+  it('checks each update for a record ID and fields before sending it', async () => {
+    const { status, body } = await request('/esovdb/people/update', { method: 'POST', body: [ { fields: {} }, { id: airtable.tables.get('People')[0].id } ] });
+
+    assert.equal(status, 400);
+    assert.deepEqual(body.results.map((result) => result.error.message), [ 'Record must have an Airtable record ID.', 'Record must have an object of fields.' ]);
+  });
+});
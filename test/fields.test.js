@@ -0,0 +1,166 @@
+/**
+ *  @file Tests for the field mappings between Airtable, this server's API, and Zotero
+ *  @author Avana Vana <dear.avana@gmail.com>
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fields = require('../fields');
+
+/**
+ *  Builds a minimal stand-in for an Airtable record
+ *
+ *  @function record
+ *  @param {string} id - The record's ID
+ *  @param {Object} values - The record's fields, keyed by their names on Airtable
+ *  @returns {Object} The record
+ */
+
+const record = (id, values) => ({ id, get: (field) => values[field] });
+
+/** @constant {Object} video - A video as sent by an Airtable automation, with its presenters' raw first and last names */
+const video = fields.normalize('videos', {
+  recordId: 'recAAAAAAAAAAAAAb',
+  title: 'Plate <Tectonics>',
+  url: 'https://youtu.be/abcdefghijk',
+  learnMore: 'https://a.org https://b.org',
+  desc: 'First paragraph\n\nSecond paragraph',
+  series: 'Earth Science Week',
+  vol: 2,
+  no: 3,
+  seriesCount: 12,
+  presentersFirstName: [ 'Jane', 'Plato' ],
+  presentersLastName: [ 'Doe', '' ],
+  affiliations: [ 'USGS' ],
+  location: 'Reston, VA',
+  plusCode: '87C4+XX',
+  topic: 'Geology',
+  tagsList: 'plates, mantle',
+});
+
+describe('fields.definitions', () => {
+  it('returns the default projection, or the given props, including those left out of it', () => {
+    const props = fields.definitions('videos').map((definition) => definition.prop);
+    assert.ok(props.includes('title'));
+    assert.ok(!props.includes('videoId'));
+    assert.deepEqual(fields.definitions('videos', [ 'videoId' ]).map((definition) => definition.prop), [ 'videoId' ]);
+    assert.deepEqual(fields.definitions('nope'), []);
+  });
+
+  it('maps props onto Airtable fields', () => {
+    assert.equal(fields.airtableField('videos', 'desc'), 'Description');
+    assert.deepEqual(fields.airtableField('videos', 'presenters'), [ 'Presenter First Name', 'Presenter Last Name' ]);
+    assert.equal(fields.airtableField('videos', 'nope'), null);
+    assert.deepEqual(fields.airtableFields('videos', [ 'title', 'presenters', 'recordId' ]), [ 'Title', 'Presenter First Name', 'Presenter Last Name' ]);
+  });
+});
+
+describe('fields.fromRecord', () => {
+  it('transforms Airtable fields into API props, always with the record ID', () => {
+    const row = fields.fromRecord('videos', record('recAAAAAAAAAAAAAc', { 'Title': 'Rocks', 'Running Time': 3725, 'Presenter First Name': [ 'Jane' ], 'Presenter Last Name': [ 'Doe' ] }), [ 'title', 'runningTime', 'presenters', 'year' ]);
+    assert.deepEqual(row, { recordId: 'recAAAAAAAAAAAAAc', title: 'Rocks', runningTime: '1:02:05', presenters: [ { firstName: 'Jane', lastName: 'Doe' } ], year: '' });
+  });
+});
+
+describe('fields.toAirtable', () => {
+  it('maps writable props back onto Airtable fields, leaving out the rest', () => {
+    assert.deepEqual(fields.toAirtable('videos', { title: 'Rocks', runningTime: '1:02:05', year: '', topic: '', series: 'Lookup', presenters: [] }), {
+      'Title': 'Rocks',
+      'Running Time': 3725,
+      'Year': null,
+      'Topic': null,
+    });
+  });
+
+  it('only treats single, non-computed fields as writable', () => {
+    const writable = (prop) => fields.writable(fields.definitions('videos', [ prop ])[0]);
+    assert.equal(writable('title'), true);
+    assert.equal(writable('series'), false);
+    assert.equal(writable('presenters'), false);
+    assert.equal(writable('tagsList'), false);
+  });
+});
+
+describe('fields.normalize', () => {
+  it('combines aliased raw values, and leaves props already normalized unchanged', () => {
+    assert.deepEqual(video.presenters, [ { firstName: 'Jane', lastName: 'Doe' }, { firstName: 'Plato', lastName: '' } ]);
+    assert.deepEqual(fields.normalize('videos', video), video);
+  });
+});
+
+describe('fields.toZotero', () => {
+  it('maps props onto Zotero fields, with the topic as an automatic tag and tags as manual tags', () => {
+    const item = fields.toZotero(video);
+
+    assert.equal(item.title, 'Plate <Tectonics>');
+    assert.equal(item.abstractNote, 'First paragraph\n\nSecond paragraph');
+    assert.equal(item.volume, '2:3');
+    assert.equal(item.numberOfVolumes, 12);
+    assert.equal(item.archiveLocation, 'https://airtable.com/tbl3WP689vHdmg7P2/viwD9Tpr6JAAr97CW/recAAAAAAAAAAAAAb');
+    assert.deepEqual(item.creators, [ { creatorType: 'contributor', firstName: 'Jane', lastName: 'Doe' }, { creatorType: 'contributor', name: 'Plato' } ]);
+    assert.deepEqual(item.tags, [ { tag: 'Geology', type: 1 }, { tag: 'plates', type: 0 }, { tag: 'mantle', type: 0 } ]);
+    assert.equal(item.learnMore, undefined);
+  });
+
+  it('writes a single unknown creator for videos without presenters, and leaves out empty volumes', () => {
+    const item = fields.toZotero(fields.normalize('videos', { title: 'Untitled', presenters: [], seriesCount: 1 }));
+    assert.deepEqual(item.creators, [ { creatorType: 'contributor', name: 'Unknown' } ]);
+    assert.equal(item.volume, '');
+    assert.equal(item.numberOfVolumes, '');
+  });
+});
+
+describe('fields.fromZotero', () => {
+  it('is the inverse of toZotero and toZoteroChildren', () => {
+    const back = fields.fromZotero(fields.toZotero(video), fields.toZoteroChildren(video));
+
+    [ 'title', 'url', 'learnMore', 'desc', 'series', 'seriesCount', 'topic', 'tagsList', 'recordId' ].forEach((prop) => {
+      assert.equal(String(back[prop]), String(video[prop]), prop);
+    });
+
+    assert.equal(back.vol, '2');
+    assert.equal(back.no, '3');
+    assert.deepEqual(back.presenters, [ { firstName: 'Jane', lastName: 'Doe' }, { firstName: '', lastName: 'Plato' } ]);
+    assert.deepEqual(fields.fromZotero({ creators: [ { creatorType: 'contributor', name: 'Unknown' } ] }).presenters, []);
+  });
+
+  it('treats tags without a type as manual tags', () => {
+    const back = fields.fromZotero({ creators: [], tags: [ { tag: 'Geology', type: 1 }, { tag: 'plates' }, { tag: 'mantle', type: 0 } ] });
+    assert.equal(back.topic, 'Geology');
+    assert.equal(back.tagsList, 'plates, mantle');
+  });
+});
+
+describe('fields.toZoteroChildren', () => {
+  const children = fields.toZoteroChildren(video);
+  const links = children.filter((child) => child.itemType === 'attachment');
+  const [ note ] = children.filter((child) => child.itemType === 'note');
+
+  it('adds a linked URL attachment for each link', () => {
+    assert.deepEqual(links.map((child) => [ child.title, child.url, child.linkMode ]), [
+      [ 'Watch Video', 'https://youtu.be/abcdefghijk', 'linked_url' ],
+      [ 'Learn More', 'https://a.org', 'linked_url' ],
+      [ 'Learn More', 'https://b.org', 'linked_url' ],
+    ]);
+  });
+
+  it('adds an escaped note with the description, series, presenters, and location, linking back to the ESOVDB', () => {
+    assert.match(note.note, /^<h1>Plate &lt;Tectonics&gt;<\/h1>\n<p>First paragraph<\/p>\n<p>Second paragraph<\/p>/);
+    assert.match(note.note, /<tr><th>Series<\/th><td>Earth Science Week, Vol\. 2:3 \(12 videos\)<\/td><\/tr>/);
+    assert.match(note.note, /<tr><th>Presenters<\/th><td>Jane Doe \(USGS\), Plato<\/td><\/tr>/);
+    assert.match(note.note, /<tr><th>Plus Code<\/th><td><a href="https:\/\/plus\.codes\/87C4%2BXX">87C4\+XX<\/a><\/td><\/tr>/);
+    assert.match(note.note, /<a href="https:\/\/airtable\.com\/tbl3WP689vHdmg7P2\/viwD9Tpr6JAAr97CW\/recAAAAAAAAAAAAAb">/);
+  });
+
+  it('only writes a note for videos with a record ID, and leaves out empty rows', () => {
+    assert.deepEqual(fields.toZoteroChildren(fields.normalize('videos', { title: 'Untitled', presenters: [] })), []);
+    assert.doesNotMatch(fields.toZoteroChildren({ recordId: 'recAAAAAAAAAAAAAb', title: 'Rocks', presenters: [] })[0].note, /<table>/);
+  });
+
+  it('only recognizes child items written by this server as its own', () => {
+    children.forEach((child) => assert.equal(fields.isOwnChild(child), true));
+    assert.equal(fields.isOwnChild({ itemType: 'note', note: '<p>A librarian note</p>' }), false);
+    assert.equal(fields.isOwnChild({ itemType: 'attachment', linkMode: 'linked_url', title: 'Slides', url: 'https://c.org' }), false);
+    assert.equal(fields.isOwnChild({ itemType: 'attachment', linkMode: 'imported_file', title: 'Watch Video' }), false);
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ *  @file A fake Airtable API for tests, which keeps the records of each table in memory
+ *  @author Avana Vana <dear.avana@gmail.com>
+ */
+
+const http = require('http');
+
+/**
+ *  Starts a minimal Airtable API, which keeps the records of each table in memory, in the order they were created, and only understands RECORD_ID() = 'id' and {Field} = "value" in formulas
+ *
+ *  @function fakeAirtable
+ *  @returns {Promise<http.Server>} The listening server, with its tables, a log of the requests it received, and an optional fail(request) hook which returns a status code to fail a request with
+ */
+
+const fakeAirtable = () => new Promise((resolve) => {
+  const tables = new Map(), requests = [];
+  let count = 0;
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const [ , , , table, id ] = url.pathname.split('/').map(decodeURIComponent);
+      const request = { method: req.method, table, id: id || null, query: url.searchParams, body: body ? JSON.parse(body) : null };
+      const records = tables.get(table) || [];
+      const formula = url.searchParams.get('filterByFormula') || '';
+      const recordIds = [ ...formula.matchAll(/RECORD_ID\(\) = '(rec[A-Za-z0-9]{14})'/g) ].map((match) => match[1]);
+      const values = [ ...formula.matchAll(/\{([^}]+)\} = "((?:[^"\\]|\\.)*)"/g) ].map((match) => [ match[1], match[2].replace(/\\(.)/g, '$1') ]);
+      const send = (status, json) => res.writeHead(status, { 'Content-Type': 'application/json' }).end(JSON.stringify(json));
+      const fields = (record) => url.searchParams.has('fields[]') ? Object.fromEntries(url.searchParams.getAll('fields[]').filter((field) => field in record.fields).map((field) => [ field, record.fields[field] ])) : record.fields;
+      const status = server.fail && server.fail(request);
+      requests.push(request);
+
+      if (status) return send(status, { error: { type: status === 422 ? 'INVALID_REQUEST_UNKNOWN' : 'SERVER_ERROR', message: `Failed with a ${status}.` } });
+
+      if (req.method === 'GET' && request.id) {
+        const record = records.find((record) => record.id === request.id);
+        return record ? send(200, record) : send(404, { error: { type: 'NOT_FOUND', message: 'Could not find record' } });
+      }
+
+      if (req.method === 'GET') {
+        const pageSize = +url.searchParams.get('pageSize') || 100, start = +url.searchParams.get('offset') || 0;
+        const matching = recordIds.length > 0 ? records.filter((record) => recordIds.includes(record.id))
+          : values.length > 0 ? records.filter((record) => values.some(([ field, value ]) => String(record.fields[field]) === value)) : records;
+        const page = matching.slice(start, start + pageSize).map((record) => ({ ...record, fields: fields(record) }));
+        return send(200, { records: page, ...(start + pageSize < matching.length && { offset: String(start + pageSize) }) });
+      }
+
+      if (req.method === 'POST') {
+        const created = request.body.records.map(({ fields }) => ({ id: `rec${String(++count).padStart(14, '0')}`, createdTime: new Date().toISOString(), fields: { ...fields, 'Modified': new Date().toISOString() } }));
+        tables.set(table, [ ...records, ...created ]);
+        return send(200, { records: created });
+      }
+
+      if (req.method === 'PATCH') {
+        const mergeOn = request.body.performUpsert && request.body.performUpsert.fieldsToMergeOn, createdRecords = [];
+
+        const written = request.body.records.map(({ id, fields }) => {
+          let record = mergeOn ? records.find((record) => mergeOn.every((field) => record.fields[field] === fields[field])) : records.find((record) => record.id === id);
+
+          if (!record && mergeOn) {
+            record = { id: `rec${String(++count).padStart(14, '0')}`, createdTime: new Date().toISOString(), fields: {} };
+            records.push(record);
+            createdRecords.push(record.id);
+          }
+
+          Object.assign(record.fields, fields, { 'Modified': new Date().toISOString() });
+          return record;
+        });
+
+        tables.set(table, records);
+        return send(200, { records: written, ...(mergeOn && { createdRecords }) });
+      }
+
+      if (req.method === 'DELETE') {
+        const ids = url.searchParams.getAll('records[]');
+        tables.set(table, records.filter((record) => !ids.includes(record.id)));
+        return send(200, { records: ids.map((id) => ({ id, deleted: true })) });
+      }
+
+      send(404, { error: { type: 'NOT_FOUND', message: 'Not found' } });
+    });
+  });
+
+  server.tables = tables;
+  server.requests = requests;
+  server.seed = (table, rows) => tables.set(table, rows.map((fields) => ({ id: `rec${String(++count).padStart(14, '0')}`, createdTime: new Date().toISOString(), fields })));
+  server.listen(0, '127.0.0.1', () => resolve(server));
+});
+
+module.exports = { fakeAirtable };
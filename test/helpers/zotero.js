@@ -0,0 +1,161 @@
+/**
+ *  @file A fake Zotero API for tests, used as the axios adapter of every axios instance created after it's installed, which keeps a library's items and collections in memory, and also takes Discord webhooks
+ *  @author Avana Vana <dear.avana@gmail.com>
+ */
+
+/** @constant {Object} template - A Zotero new item template of type 'videoRecording' */
+const template = {
+  itemType: 'videoRecording', title: '', creators: [ { creatorType: 'director', firstName: '', lastName: '' } ], abstractNote: '', videoRecordingFormat: '', seriesTitle: '',
+  volume: '', numberOfVolumes: '', place: '', studio: '', date: '', runningTime: '', language: '', ISBN: '', shortTitle: '', url: '', accessDate: '', archive: '',
+  archiveLocation: '', libraryCatalog: '', callNumber: '', rights: '', extra: '', tags: [], collections: [], relations: {}
+};
+
+/**
+ *  Creates a fake Zotero library, whose adapter answers requests from axios as the Zotero API would, for the small part of the API used by this server
+ *
+ *  @function fakeZotero
+ *  @returns {Object} The library, with its adapter, items, collections, a log of the requests it received and the Discord messages posted, its current version, and optional hooks: fail(request), which returns a status code (or { status, headers }) to fail a request with, drop(request), which returns true to write a request but lose its response, and reject(object, index), which returns a Zotero error ({ code, message }) to fail a single object in a write
+ */
+
+const fakeZotero = () => {
+  const items = new Map(), collections = new Map(), tokens = new Set(), requests = [], discord = [];
+  let count = 0;
+
+  const library = { items, collections, requests, discord, version: 0, fail: null, drop: null, reject: null };
+  const newKey = () => `K${String(++count).padStart(7, '0')}`;
+  const json = (item) => ({ key: item.key, version: item.version, data: { ...item.data, key: item.key, version: item.version } });
+
+  const respond = (config, status, data, headers = {}) => {
+    const response = { status, statusText: String(status), data, headers: { 'last-modified-version': String(library.version), ...headers }, config, request: {} };
+    if (status < 400) return response;
+
+    const err = new Error(`Request failed with status code ${status}`);
+    Object.assign(err, { config, response, isAxiosError: true });
+    throw err;
+  };
+
+  const page = (config, list, params) => {
+    const start = +params.start || 0, limit = +params.limit || 25;
+    const slice = list.slice(start, start + limit);
+    return respond(config, 200, params.format === 'keys' ? slice.map((item) => item.key).join('\n') : slice.map(json), { 'total-results': String(list.length) });
+  };
+
+  const write = (objects, collection) => {
+    const successful = {}, success = {}, unchanged = {}, failed = {};
+    const store = collection ? collections : items;
+    const version = library.version + 1;
+    let changed = false;
+
+    objects.forEach((object, index) => {
+      const rejected = library.reject && library.reject(object, index);
+      const existing = object.key ? store.get(object.key) : null;
+
+      if (rejected) return (failed[index] = { key: object.key || null, ...rejected });
+      if (object.key && !existing) return (failed[index] = { key: object.key, code: 404, message: `Item ${object.key} doesn't exist` });
+
+      if (existing && object.version !== undefined && object.version < existing.version) {
+        return (failed[index] = { key: object.key, code: 412, message: `Item has been modified since specified version (expected ${object.version}, found ${existing.version})` });
+      }
+
+      const { key, version: sent, ...fields } = object;
+      const data = existing ? { ...existing.data, ...fields } : fields;
+
+      if (existing && JSON.stringify(data) === JSON.stringify(existing.data)) return (unchanged[index] = key);
+
+      const item = { key: key || newKey(), version, data: { ...data, dateModified: new Date().toISOString() } };
+      store.set(item.key, item);
+      successful[index] = json(item);
+      success[index] = item.key;
+      changed = true;
+    });
+
+    if (changed) library.version = version;
+    return { successful, success, unchanged, failed };
+  };
+
+  library.adapter = async (config) => {
+    const url = /^https?:/.test(config.url) ? config.url : `${config.baseURL.replace(/\/+$/, '')}/${config.url.replace(/^\/+/, '')}`;
+    const path = url.replace(/^https:\/\/api\.zotero\.org\/(groups\/[^/]+\/)?/, '');
+    const params = config.params || {};
+    const headers = config.headers || {};
+    const request = { method: config.method.toUpperCase(), url, path, params, headers, body: typeof config.data === 'string' ? JSON.parse(config.data) : config.data || null };
+    const failure = library.fail && library.fail(request);
+    requests.push(request);
+
+    if (failure) return respond(config, failure.status || failure, { message: 'Failed' }, failure.headers || {});
+
+    if (url.startsWith('https://discord.com/')) {
+      discord.push(request);
+      return respond(config, 204, '');
+    }
+
+    const [ kind, key, sub, subsub ] = path.split('/');
+    const method = request.method;
+
+    if (kind === 'items' && key === 'new') return respond(config, 200, JSON.parse(JSON.stringify(template)));
+
+    if (kind === 'items' && method === 'GET') {
+      if (key === 'top') return page(config, [ ...items.values() ].filter((item) => !item.data.parentItem), params);
+
+      if (key && sub === 'children') return respond(config, 200, [ ...items.values() ].filter((item) => item.data.parentItem === key).map(json));
+      if (key) return items.has(key) ? respond(config, 200, json(items.get(key))) : respond(config, 404, 'Not found');
+
+      let list = [ ...items.values() ];
+      if (params.itemKey) list = list.filter((item) => params.itemKey.split(',').includes(item.key));
+      if (params.since !== undefined) list = list.filter((item) => item.version > +params.since);
+      if (params.itemType) list = list.filter((item) => item.data.itemType === params.itemType);
+      return page(config, list, { limit: 100, ...params });
+    }
+
+    if (kind === 'items' && method === 'POST') {
+      const token = headers['Zotero-Write-Token'];
+      if (token && tokens.has(token)) return respond(config, 412, 'Write token already used');
+
+      const result = write(request.body, false);
+      if (token) tokens.add(token);
+      if (library.drop && library.drop(request)) throw Object.assign(new Error('socket hang up'), { code: 'ECONNRESET', config });
+      return respond(config, 200, { successful: result.successful, success: result.success, unchanged: result.unchanged, failed: result.failed });
+    }
+
+    if (kind === 'items' && method === 'DELETE') {
+      const version = headers['If-Unmodified-Since-Version'];
+      if (!items.has(key)) return respond(config, 404, 'Not found');
+      if (version === undefined) return respond(config, 428, 'If-Unmodified-Since-Version not provided');
+      if (!/^\d+$/.test(String(version))) return respond(config, 400, `Invalid If-Unmodified-Since-Version value '${version}'`);
+      if (+version !== items.get(key).version) return respond(config, 412, `Item has been modified since specified version (expected ${version}, found ${items.get(key).version})`);
+
+      items.delete(key);
+      library.version++;
+      return respond(config, 204, '');
+    }
+
+    if (kind === 'collections' && method === 'GET') {
+      if (sub === 'collections') return page(config, [ ...collections.values() ].filter((collection) => collection.data.parentCollection === key), params);
+      if (sub === 'items' && subsub === 'top') return page(config, [ ...items.values() ].filter((item) => !item.data.parentItem && !item.data.deleted && (item.data.collections || []).includes(key)), params);
+      return collections.has(key) ? respond(config, 200, json(collections.get(key))) : respond(config, 404, 'Not found');
+    }
+
+    if (kind === 'collections' && method === 'POST') {
+      const result = write(request.body, true);
+      return respond(config, 200, { successful: result.successful, success: result.success, unchanged: result.unchanged, failed: result.failed });
+    }
+
+    if (kind === 'collections' && method === 'DELETE') {
+      const version = headers['If-Unmodified-Since-Version'];
+      if (!collections.has(key)) return respond(config, 404, 'Not found');
+      if (version === undefined) return respond(config, 428, 'If-Unmodified-Since-Version not provided');
+      if (!/^\d+$/.test(String(version))) return respond(config, 400, `Invalid If-Unmodified-Since-Version value '${version}'`);
+      if (+version !== collections.get(key).version) return respond(config, 412, 'Collection has been modified since specified version');
+
+      collections.delete(key);
+      library.version++;
+      return respond(config, 204, '');
+    }
+
+    return respond(config, 404, 'Not found');
+  };
+
+  return library;
+};
+
+module.exports = { fakeZotero };
@@ -0,0 +1,113 @@
+/**
+ *  @file Tests for the background job queue
+ *  @author Avana Vana <dear.avana@gmail.com>
+ */
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobs-test-'));
+process.env.DATA_DIR = dir;
+process.env.JOB_BACKOFF = '0.05';
+process.env.JOB_RETRIES = '1';
+
+const jobs = require('../jobs');
+
+/**
+ *  Sends a request for a job's status to {@link jobs.getJob}, and returns the parsed response
+ *
+ *  @async
+ *  @function getJob
+ *  @param {string} id - The ID of the job
+ *  @returns {Promise<Object>} The response's status and body
+ */
+
+const getJob = (id) => new Promise((resolve) => {
+  const res = { status: (status) => ({ send: (body) => resolve({ status, body: JSON.parse(body) }) }) };
+  jobs.getJob({ params: { id } }, res);
+});
+
+/**
+ *  Waits for a job to finish
+ *
+ *  @async
+ *  @function finished
+ *  @param {string} id - The ID of the job
+ *  @param {number} [timeout=2000] - The number of milliseconds to wait before giving up
+ *  @returns {Promise<Object>} The finished job
+ */
+
+const finished = async (id, timeout = 2000) => {
+  const start = Date.now();
+
+  while (Date.now() - start < timeout) {
+    const { body } = await getJob(id);
+    if (body.status === 'done' || body.status === 'failed') return body;
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+
+  throw new Error(`Job ${id} didn't finish within ${timeout}ms.`);
+};
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+describe('jobs', () => {
+  it('runs a job and keeps its result', async () => {
+    jobs.register('echo', async (payload, { save }) => {
+      await save({ progress: { processed: 1 } });
+      return payload;
+    });
+
+    const job = await jobs.enqueue('echo', { hello: 'world' });
+    const done = await finished(job.id);
+
+    assert.equal(done.status, 'done');
+    assert.deepEqual(done.result, { hello: 'world' });
+    assert.deepEqual(done.progress, { processed: 1 });
+    assert.equal(done.payload, undefined);
+  });
+
+  it('runs a job queued while another job is running, as soon as that job is done', async () => {
+    let release;
+    jobs.register('slow', () => new Promise((resolve) => (release = resolve)));
+    jobs.register('fast', async () => 'fast');
+
+    const slow = await jobs.enqueue('slow', null);
+    while (!release) await new Promise((resolve) => setTimeout(resolve, 10));
+    const fast = await jobs.enqueue('fast', null);
+
+    release('slow');
+    assert.equal((await finished(slow.id)).status, 'done');
+    assert.equal((await finished(fast.id, 500)).result, 'fast');
+  });
+
+  it('retries a job which throws, with the state it saved, and fails it once it runs out of retries', async () => {
+    jobs.register('flaky', async (payload, { state, save }) => {
+      if (state) return state;
+      await save({ state: 'saved' });
+      throw new Error('Try again.');
+    });
+
+    jobs.register('broken', async () => {
+      throw new Error('Always broken.');
+    });
+
+    const flaky = await finished((await jobs.enqueue('flaky', null)).id);
+    assert.equal(flaky.status, 'done');
+    assert.equal(flaky.result, 'saved');
+    assert.equal(flaky.attempts, 2);
+
+    const broken = await finished((await jobs.enqueue('broken', null)).id);
+    assert.equal(broken.status, 'failed');
+    assert.equal(broken.error, 'Always broken.');
+    assert.equal(broken.attempts, 2);
+  });
+
+  it('sends a 404 response for unknown jobs', async () => {
+    assert.equal((await getJob('0123456789abcdef')).status, 404);
+    assert.equal((await getJob('../queue')).status, 404);
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ *  @file Tests for validating query params and compiling them into Airtable select() options
+ *  @author Avana Vana <dear.avana@gmail.com>
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const query = require('../query');
+
+describe('query.literal', () => {
+  it('escapes quotes, backslashes, and line breaks', () => {
+    assert.equal(query.literal('Say "hi"'), '"Say \\"hi\\""');
+    assert.equal(query.literal('a\\" & 1)'), '"a\\\\\\" & 1)"');
+    assert.equal(query.literal('a\nb\rc'), '"a\\nb\\rc"');
+    assert.equal(query.literal(42), '"42"');
+  });
+});
+
+describe('query.filterByFormula', () => {
+  it('returns no formula without any filters', () => {
+    assert.deepEqual(query.filterByFormula('videos', { sort: 'title' }), { formula: null, description: [], error: null });
+  });
+
+  it('combines filters with AND, and repeated values with OR', () => {
+    const { formula, error } = query.filterByFormula('videos', { topic: [ 'The Anthropocene', 'Geology' ], yearFrom: '2010' });
+    assert.equal(error, null);
+    assert.equal(formula, 'AND(OR({Topic} = "The Anthropocene", {Topic} = "Geology"), {Year} >= 2010)');
+  });
+
+  it('escapes values, so that they can never break out of the formula', () => {
+    const { formula } = query.filterByFormula('videos', { topic: '") , TRUE() , ("' });
+    assert.equal(formula, '{Topic} = "\\") , TRUE() , (\\""');
+  });
+
+  it('searches text, and requires every word of a presenter', () => {
+    assert.equal(query.filterByFormula('videos', { q: 'Mars' }).formula, 'OR(SEARCH(LOWER("Mars"), LOWER(({Title} & ""))), SEARCH(LOWER("Mars"), LOWER(({Description} & ""))))');
+    assert.equal(
+      query.filterByFormula('videos', { presenter: 'jane doe' }).formula,
+      'AND(SEARCH(LOWER("jane"), LOWER(({Presenter First Name} & "") & " " & ({Presenter Last Name} & ""))), SEARCH(LOWER("doe"), LOWER(({Presenter First Name} & "") & " " & ({Presenter Last Name} & ""))))'
+    );
+  });
+
+  it('parses durations and dates', () => {
+    assert.equal(query.filterByFormula('videos', { minRunningTime: '1:02:05', maxRunningTime: '600' }).formula, 'AND({Running Time} >= 3725, {Running Time} <= 600)');
+    assert.equal(query.filterByFormula('videos', { createdAfter: '2021-01-01T00:00:00Z' }).formula, 'IS_AFTER(CREATED_TIME(), DATETIME_PARSE("2021-01-01T00:00:00.000Z"))');
+    assert.equal(query.filterByFormula('videos', { modifiedAfter: '2021-01-01T00:00:00Z' }).formula, 'IS_AFTER({Modified}, DATETIME_PARSE("2021-01-01T00:00:00.000Z"))');
+  });
+
+  it('rejects invalid values', () => {
+    assert.equal(query.filterByFormula('videos', { yearFrom: 'last year' }).error, 'Invalid value for "yearFrom".');
+    assert.equal(query.filterByFormula('videos', { minRunningTime: '1:75' }).error, 'Invalid value for "minRunningTime".');
+    assert.equal(query.filterByFormula('videos', { createdAfter: 'someday' }).error, 'Invalid value for "createdAfter".');
+    assert.equal(query.filterByFormula('videos', { topic: '  ' }).error, 'Invalid value for "topic".');
+    assert.equal(query.filterByFormula('videos', { topic: { $ne: '' } }).error, 'Invalid value for "topic".');
+  });
+
+  it('only allows the common filters on other tables', () => {
+    assert.deepEqual(query.filterParams('series'), [ 'modifiedAfter', 'createdAfter' ]);
+    assert.equal(query.filterByFormula('series', { topic: 'Geology' }).formula, null);
+  });
+});
+
+describe('query.parseSort', () => {
+  it('compiles props and directions into Airtable fields', () => {
+    assert.deepEqual(query.parseSort('videos', 'year:desc,title'), { sort: [ { field: 'Year', direction: 'desc' }, { field: 'Title', direction: 'asc' } ], error: null });
+    assert.deepEqual(query.parseSort('videos'), { sort: null, error: null });
+  });
+
+  it('rejects unknown or combined props, and invalid directions', () => {
+    assert.equal(query.parseSort('videos', 'nope').error, 'Can\'t sort by "nope".');
+    assert.equal(query.parseSort('videos', 'presenters').error, 'Can\'t sort by "presenters".');
+    assert.equal(query.parseSort('videos', 'year:up').error, 'Invalid sort direction for "year".');
+    assert.equal(query.parseSort('videos', ',').error, 'Invalid value for "sort".');
+  });
+});
+
+describe('query.parseFields', () => {
+  it('validates and dedupes props read from Airtable', () => {
+    assert.deepEqual(query.parseFields('videos', 'title, url,title'), { props: [ 'title', 'url' ], error: null });
+    assert.deepEqual(query.parseFields('videos'), { props: null, error: null });
+    assert.equal(query.parseFields('videos', 'title,recordId').error, 'Unknown field "recordId".');
+    assert.equal(query.parseFields('videos', '').error, 'Invalid value for "fields".');
+  });
+});
+
+describe('query.parse', () => {
+  it('returns the first error of any param', () => {
+    assert.equal(query.parse('videos', { topic: 'Geology', sort: 'nope', fields: 'nope' }).error, 'Can\'t sort by "nope".');
+    assert.equal(query.parse('videos', { topic: 'Geology', fields: 'title' }).error, null);
+  });
+});
+
+describe('query.fingerprint', () => {
+  it('identifies a query by its table and options', () => {
+    const options = { pageSize: 100, filterByFormula: '{Year} >= 2010' };
+    assert.match(query.fingerprint('Videos', options), /^[0-9a-f]{16}$/);
+    assert.equal(query.fingerprint('Videos', options), query.fingerprint('Videos', { ...options }));
+    assert.notEqual(query.fingerprint('Videos', options), query.fingerprint('Series', options));
+    assert.notEqual(query.fingerprint('Videos', options), query.fingerprint('Videos', { ...options, pageSize: 50 }));
+  });
+});
+
+describe('query.encodeCursor', () => {
+  it('round-trips a cursor through an opaque, URL-safe token', () => {
+    const cursor = { q: query.fingerprint('Videos', {}), p: 3, o: 'itrXXXXXXXXXXXXXX/recXXXXXXXXXXXXXX' };
+    const token = query.encodeCursor({ ...cursor, extra: true });
+    assert.match(token, /^[\w-]+$/);
+    assert.deepEqual(query.decodeCursor(token), cursor);
+    assert.deepEqual(query.decodeCursor(query.encodeCursor({ q: 'abc', p: 0, o: null })), { q: 'abc', p: 0, o: null });
+  });
+
+  it('rejects invalid tokens', () => {
+    const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+    [ undefined, '', 'not a cursor', encode({ q: 'abc', p: -1, o: null }), encode({ q: 'abc', p: 1.5, o: null }), encode({ q: 1, p: 0, o: null }), encode({ q: 'abc', p: 0, o: 1 }), encode([]) ].forEach((token) => {
+      assert.equal(query.decodeCursor(token), null, String(token));
+    });
+  });
+});
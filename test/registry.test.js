@@ -0,0 +1,121 @@
+/**
+ *  @file Tests for the registry of topics and series, loaded from Airtable and synced with their collections on Zotero, against fake Zotero and Airtable APIs
+ *  @author Avana Vana <dear.avana@gmail.com>
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { fakeAirtable } = require('./helpers/airtable');
+const { fakeZotero } = require('./helpers/zotero');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'registry-test-'));
+process.env.AIRTABLE_API_KEY = 'keyTest';
+process.env.AIRTABLE_BASE_ID = 'appTest';
+process.env.AIRTABLE_RETRIES = '0';
+process.env.CACHE_STORE = 'memory';
+process.env.DATA_DIR = dir;
+delete process.env.REGISTRY_SOURCE;
+
+const library = fakeZotero();
+axios.defaults.adapter = library.adapter;
+
+const mantle = 'Mantle Geodynamics, Geochemistry, Convection, Rheology, & Seismic Imaging and Modeling';
+
+let airtable, registry;
+
+/**
+ *  Adds a collection to the fake Zotero library, under a parent collection
+ *
+ *  @function collection
+ *  @param {string} key - The collection's key
+ *  @param {string} name - The collection's name
+ *  @param {string} parent - The key of its parent collection
+ */
+
+const collection = (key, name, parent) => library.collections.set(key, { key, version: library.version, data: { name, parentCollection: parent } });
+
+before(async () => {
+  airtable = await fakeAirtable();
+  process.env.AIRTABLE_ENDPOINT_URL = `http://127.0.0.1:${airtable.address().port}`;
+  registry = require('../registry');
+  require('../zotero');
+
+  airtable.seed('Topics', [ { 'Name': mantle }, { 'Name': 'Planetary Science', 'Color': 'd0f0fd', 'Discord Channel': 'planetary', 'Discord Channel ID': '42' } ]);
+  airtable.seed('Series', [ { 'Name': 'Seamounts' }, { 'Name': 'Rift Valleys', 'Zotero Key': 'RIFTKEY1' } ]);
+  collection('SEAMOUNT', 'Seamounts', 'HYQEFRGR');
+  collection('ATOLLS01', 'Atolls', 'HYQEFRGR');
+});
+
+after(() => {
+  airtable.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('registry', () => {
+  it('starts out with the topics and parent collections in the config file', () => {
+    assert.equal(registry.topic(mantle).zoteroKey, '5XQD67DA');
+    assert.equal(registry.topic(mantle).recordId, null);
+    assert.equal(registry.parent('series'), 'HYQEFRGR');
+    assert.equal(registry.parent('topics'), 'EGB8TQZ8');
+  });
+
+  it('loads topics and series from Airtable, keeping the config file\'s keys, colors and channels for topics which leave them blank', async () => {
+    const summary = await registry.refresh({ sync: false });
+    assert.deepEqual({ ...summary, time: null }, { source: 'airtable', time: null, topics: 2, series: 2, synced: [] });
+
+    const [ mantleRecord, planetaryRecord ] = airtable.tables.get('Topics');
+    assert.deepEqual(registry.topic(mantle), { name: mantle, zoteroKey: '5XQD67DA', color: 'fee2d5', channel: 'mantle-and-geodynamics', channelId: '857085147672346644', recordId: mantleRecord.id });
+    assert.deepEqual(registry.topic('Planetary Science'), { name: 'Planetary Science', zoteroKey: null, color: 'd0f0fd', channel: 'planetary', channelId: '42', recordId: planetaryRecord.id });
+    assert.equal(registry.topic('Igneous & Metamorphic Petrology, Volcanism, & Hydrothermal Systems'), undefined);
+    assert.equal(registry.series('Rift Valleys').zoteroKey, 'RIFTKEY1');
+    assert.equal(registry.byKey('series', 'RIFTKEY1').name, 'Rift Valleys');
+  });
+
+  it('matches entries without a key with their collections on Zotero, creates the missing ones, and writes their keys back to the ESOVDB on refresh', async () => {
+    let sent;
+    const res = { status: (status) => ((res.statusCode = status), res), send: (body) => (sent = JSON.parse(body)) };
+    await registry.refreshRegistry({}, res);
+    assert.equal(res.statusCode, 200);
+
+    const [ { matched, created, missing } ] = sent.synced;
+    assert.deepEqual({ matched, created, missing }, { matched: [ 'Seamounts' ], created: [ 'Planetary Science' ], missing: [] });
+
+    const planetary = registry.topic('Planetary Science').zoteroKey;
+    assert.equal(library.collections.get(planetary).data.name, 'Planetary Science');
+    assert.equal(library.collections.get(planetary).data.parentCollection, 'EGB8TQZ8');
+    assert.equal(registry.series('Seamounts').zoteroKey, 'SEAMOUNT');
+    assert.equal(airtable.tables.get('Topics')[1].fields['Zotero Key'], planetary);
+    assert.equal(airtable.tables.get('Series')[0].fields['Zotero Key'], 'SEAMOUNT');
+    assert.equal(library.collections.has(registry.topic(mantle).zoteroKey), false);
+  });
+
+  it('adds series collections which are only on Zotero, so that their videos aren\'t given a second collection', () => {
+    assert.deepEqual(registry.series('Atolls'), { name: 'Atolls', zoteroKey: 'ATOLLS01', recordId: null });
+    assert.ok(registry.entries('series').some((entry) => entry.name === 'Atolls'));
+  });
+
+  it('sets and clears collection keys, keeping record IDs', async () => {
+    const { recordId } = registry.series('Seamounts');
+    await registry.setKey('series', 'Seamounts', null);
+    assert.deepEqual(registry.series('Seamounts'), { name: 'Seamounts', zoteroKey: null, recordId });
+    assert.equal(registry.byKey('series', 'SEAMOUNT'), undefined);
+  });
+
+  it('falls back to the last registry loaded if Airtable can\'t be reached', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    airtable.fail = (request) => request.table === 'Topics' ? 500 : null;
+
+    try {
+      const summary = await registry.refresh({ sync: false });
+      assert.equal(summary.source, 'saved');
+      assert.equal(registry.topic('Planetary Science').color, 'd0f0fd');
+      assert.equal(registry.series('Seamounts').zoteroKey, null);
+    } finally {
+      airtable.fail = null;
+    }
+  });
+});
@@ -0,0 +1,56 @@
+/**
+ *  @file Tests for IP address parsing and matching
+ *  @author Avana Vana <dear.avana@gmail.com>
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseIp, ipMatcher } = require('../util');
+
+describe('util.parseIp', () => {
+  it('maps IPv4 addresses onto IPv4-mapped IPv6 addresses', () => {
+    assert.deepEqual(parseIp('67.118.0.1'), [ 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 255, 255, 67, 118, 0, 1 ]);
+    assert.deepEqual(parseIp('::ffff:67.118.0.1'), parseIp('67.118.0.1'));
+  });
+
+  it('parses IPv6 addresses, with or without brackets and zone indexes', () => {
+    assert.deepEqual(parseIp('::1'), [ ...Array(15).fill(0), 1 ]);
+    assert.deepEqual(parseIp('[2001:db8::1]'), parseIp('2001:db8:0:0:0:0:0:1'));
+    assert.deepEqual(parseIp('fe80::1%eth0'), parseIp('fe80::1'));
+  });
+
+  it('rejects invalid addresses', () => {
+    [ '', '256.1.1.1', '1.2.3', '1::2::3', '12345::', 'gggg::1', '1:2:3:4:5:6:7:8:9', null, undefined, 42 ].forEach((address) => {
+      assert.equal(parseIp(address), null, `${address} should be invalid`);
+    });
+  });
+});
+
+describe('util.ipMatcher', () => {
+  it('never matches when no patterns are given', () => {
+    assert.equal(ipMatcher()('127.0.0.1'), false);
+    assert.equal(ipMatcher('')('::1'), false);
+  });
+
+  it('matches single addresses exactly, in either IPv4 form', () => {
+    const matches = ipMatcher('1.2.3.4');
+    assert.equal(matches('1.2.3.4'), true);
+    assert.equal(matches('::ffff:1.2.3.4'), true);
+    assert.equal(matches('11.2.3.45'), false);
+  });
+
+  it('matches CIDR ranges, wildcards, and IPv6', () => {
+    const matches = ipMatcher('10.0.0.0/8 255.255.*.*, 2001:db8::/32');
+    assert.deepEqual([ '10.20.30.40', '255.255.0.1', '11.2.3.45', '2001:db8::1', '2001:db9::1' ].map(matches), [ true, true, false, true, false ]);
+  });
+
+  it('never matches invalid addresses', () => {
+    assert.equal(ipMatcher('0.0.0.0/0')('not an ip'), false);
+  });
+
+  it('throws on invalid patterns', () => {
+    [ '1.2.3.4/33', '1.2.3', '2001:db8::*', '1.2.3.4/8/8', '::/129' ].forEach((pattern) => {
+      assert.throws(() => ipMatcher(pattern), /Invalid IP pattern/, pattern);
+    });
+  });
+});
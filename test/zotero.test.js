@@ -0,0 +1,543 @@
+/**
+ *  @file Tests for syncing ESOVDB videos with Zotero, against fake Zotero and Airtable APIs
+ *  @author Avana Vana <dear.avana@gmail.com>
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { fakeAirtable } = require('./helpers/airtable');
+const { fakeZotero } = require('./helpers/zotero');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zotero-test-'));
+process.env.AIRTABLE_API_KEY = 'keyTest';
+process.env.AIRTABLE_BASE_ID = 'appTest';
+process.env.AIRTABLE_RETRIES = '0';
+process.env.CACHE_STORE = 'memory';
+process.env.DATA_DIR = dir;
+process.env.REGISTRY_SOURCE = 'file';
+process.env.JOB_BACKOFF = '0.05';
+process.env.JOB_RETRIES = '2';
+process.env.WEBHOOK_DISCORD_NEWSUBMISSION = 'new-submission';
+
+const library = fakeZotero();
+axios.defaults.adapter = library.adapter;
+
+let airtable, zotero, jobs;
+
+/**
+ *  Calls one of the module's request handlers with a stand-in for an Express request and response, and returns the parsed response
+ *
+ *  @async
+ *  @function call
+ *  @param {Object} module - The module whose handler to call
+ *  @param {string} method - The name of the handler
+ *  @param {Object} [req={}] - The request's body, query params, and route params
+ *  @param {...*} args - Any further arguments of the handler
+ *  @returns {Promise<{ status: number, body: * }>} The response's status and body
+ */
+
+const call = (module, method, req = {}, ...args) => new Promise((resolve, reject) => {
+  const res = {
+    status: (status) => ((res.statusCode = status), res),
+    location: () => res,
+    send: (body) => resolve({ status: res.statusCode, body: JSON.parse(body) }),
+  };
+
+  module[method]({ query: {}, params: {}, ...req }, res, ...args).catch(reject);
+});
+
+/**
+ *  Waits for a job to finish
+ *
+ *  @async
+ *  @function finished
+ *  @param {string} id - The ID of the job
+ *  @param {number} [timeout=5000] - The number of milliseconds to wait before giving up
+ *  @returns {Promise<Object>} The finished job
+ */
+
+const finished = async (id, timeout = 5000) => {
+  const start = Date.now();
+
+  while (Date.now() - start < timeout) {
+    const { body } = await call(jobs, 'getJob', { params: { id } });
+    if (body.status === 'done' || body.status === 'failed') return body;
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+
+  throw new Error(`Job ${id} didn't finish within ${timeout}ms.`);
+};
+
+/**
+ *  Seeds videos on the fake Airtable API, and returns them as video objects, as sent to /zotero by an Airtable automation
+ *
+ *  @function videos
+ *  @param {...Object} rows - The fields of each video, keyed by their names on Airtable
+ *  @returns {Object[]} The videos, each with its record ID
+ */
+
+const videos = (...rows) => {
+  const before = airtable.tables.get('Videos') || [];
+  airtable.seed('Videos', rows);
+  const seeded = airtable.tables.get('Videos');
+  airtable.tables.set('Videos', [ ...before, ...seeded ]);
+  return seeded.map((record) => ({
+    recordId: record.id,
+    title: record.fields['Title'],
+    url: record.fields['URL'],
+    ...(record.fields['Zotero Key'] && { zoteroKey: record.fields['Zotero Key'], zoteroVersion: record.fields['Zotero Version'] })
+  }));
+};
+
+/**
+ *  Finds a video's Airtable record on the fake Airtable API
+ *
+ *  @function recordOf
+ *  @param {Object} video - The video
+ *  @returns {Object} The video's record
+ */
+
+const recordOf = (video) => airtable.tables.get('Videos').find((record) => record.id === video.recordId);
+
+/**
+ *  Finds the top-level Zotero items on the fake Zotero API posted from a video
+ *
+ *  @function itemsOf
+ *  @param {Object} video - The video
+ *  @returns {Object[]} The video's items
+ */
+
+const itemsOf = (video) => [ ...library.items.values() ].filter((item) => !item.data.parentItem && item.data.archiveLocation.endsWith(video.recordId));
+
+before(async () => {
+  airtable = await fakeAirtable();
+  process.env.AIRTABLE_ENDPOINT_URL = `http://127.0.0.1:${airtable.address().port}`;
+  zotero = require('../zotero');
+  jobs = require('../jobs');
+});
+
+after(() => {
+  airtable.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('zotero.syncItems', () => {
+  it('adds videos to Zotero in the background, announces them, and writes their keys and versions back to the ESOVDB', async () => {
+    const [ first, second ] = videos({ 'Title': 'Plate Tectonics', 'URL': 'https://youtu.be/plates' }, { 'Title': 'Mars', 'URL': 'https://youtu.be/mars' });
+    const { status, body } = await call(zotero, 'syncItems', { body: [ first, second ] }, 'create');
+    assert.equal(status, 202);
+
+    const job = await finished(body.jobId);
+    assert.equal(job.status, 'done');
+    assert.equal(job.result.successful, 2);
+    assert.equal(job.result.synced.written, 2);
+
+    [ first, second ].forEach((video) => {
+      const [ item ] = itemsOf(video);
+      assert.equal(item.data.title, video.title);
+      assert.equal(recordOf(video).fields['Zotero Key'], item.key);
+      assert.equal(recordOf(video).fields['Zotero Version'], item.version);
+    });
+
+    assert.equal(library.discord.length, 2);
+  });
+
+  it('posts each batch with a write token derived from the job and the batch', async () => {
+    const [ video ] = videos({ 'Title': 'Glaciers', 'URL': 'https://youtu.be/glaciers' });
+    const start = library.requests.length;
+    const job = await finished((await call(zotero, 'syncItems', { body: video }, 'create')).body.jobId);
+    const [ post ] = library.requests.slice(start).filter((request) => request.method === 'POST' && request.path === 'items');
+
+    assert.equal(job.status, 'done');
+    assert.match(post.headers['Zotero-Write-Token'], /^[0-9a-f]{32}$/);
+  });
+
+  it('recovers a batch which Zotero accepted before the job was interrupted, instead of posting it twice', async () => {
+    const [ video ] = videos({ 'Title': 'Volcanoes', 'URL': 'https://youtu.be/volcanoes' });
+    let dropped = false;
+    library.drop = (request) => !dropped && !request.body[0].parentItem && (dropped = true);
+
+    try {
+      const job = await finished((await call(zotero, 'syncItems', { body: [ video ] }, 'create')).body.jobId);
+      assert.equal(job.status, 'done');
+      assert.equal(job.attempts, 2);
+      assert.equal(job.result.successful, 1);
+    } finally {
+      library.drop = null;
+    }
+
+    const items = itemsOf(video);
+    assert.equal(items.length, 1);
+    assert.equal(recordOf(video).fields['Zotero Key'], items[0].key);
+    assert.equal([ ...library.items.values() ].filter((item) => item.data.parentItem === items[0].key && item.data.itemType === 'note').length, 1);
+  });
+
+  it('skips writing back items posted without a record ID, instead of failing the job', async () => {
+    const [ video ] = videos({ 'Title': 'Earthquakes', 'URL': 'https://youtu.be/earthquakes' });
+    const job = await finished((await call(zotero, 'syncItems', { body: [ video, { title: 'Untitled', url: 'https://youtu.be/untitled' } ] }, 'create')).body.jobId);
+
+    assert.equal(job.status, 'done');
+    assert.equal(job.result.successful, 2);
+    assert.equal(job.result.synced.written, 1);
+    assert.equal(recordOf(video).fields['Zotero Key'], itemsOf(video)[0].key);
+  });
+
+  it('rejects bodies which aren\'t a video or an array of videos', async () => {
+    assert.equal((await call(zotero, 'syncItems', { body: [] }, 'create')).status, 400);
+    assert.equal((await call(zotero, 'syncItems', { body: [ 'video' ] }, 'create')).status, 400);
+  });
+});
+
+describe('zotero.listFailures and zotero.retryFailures', () => {
+  let bad, good;
+
+  before(() => ([ bad, good ] = videos({ 'Title': 'Tsunamis', 'URL': 'not a url' }, { 'Title': 'Tides', 'URL': 'https://youtu.be/tides' })));
+
+  it('logs each video rejected by Zotero with the video as sent, Zotero\'s error, and when it failed', async () => {
+    library.reject = (object) => object.url === 'not a url' ? { code: 400, message: 'Invalid URL' } : null;
+
+    try {
+      const { body: { jobId } } = await call(zotero, 'syncItems', { body: [ bad, good ] }, 'create');
+      const job = await finished(jobId);
+      assert.equal(job.result.failed, 1);
+      assert.equal(job.result.successful, 1);
+
+      const { status, body } = await call(zotero, 'listFailures');
+      assert.equal(status, 200);
+      assert.equal(body.total, 1);
+      assert.deepEqual(body.failures[0].video, bad);
+      assert.equal(body.failures[0].id, bad.recordId);
+      assert.equal(body.failures[0].operation, 'create');
+      assert.equal(body.failures[0].jobId, jobId);
+      assert.equal(body.failures[0].code, 400);
+      assert.equal(body.failures[0].message, 'Invalid URL');
+      assert.equal(body.failures[0].attempts, 1);
+      assert.equal(body.failures[0].firstFailed, body.failures[0].lastFailed);
+    } finally {
+      library.reject = null;
+    }
+  });
+
+  it('keeps every failure, counting the attempts of a video which fails again, instead of overwriting the log', async () => {
+    library.reject = (object) => object.url === 'not a url' || object.title === 'Dunes' ? { code: 400, message: 'Invalid item' } : null;
+
+    try {
+      const [ dunes ] = videos({ 'Title': 'Dunes', 'URL': 'https://youtu.be/dunes' });
+      await finished((await call(zotero, 'syncItems', { body: [ bad ] }, 'create')).body.jobId);
+      await finished((await call(zotero, 'syncItems', { body: [ dunes ] }, 'update')).body.jobId);
+    } finally {
+      library.reject = null;
+    }
+
+    const { body } = await call(zotero, 'listFailures');
+    assert.equal(body.total, 2);
+    assert.equal(body.failures.find((failure) => failure.id === bad.recordId).attempts, 2);
+    assert.deepEqual((await call(zotero, 'listFailures', { query: { operation: 'update' } })).body.failures.map((failure) => failure.video.title), [ 'Dunes' ]);
+  });
+
+  it('sends failed videos again in a job for each operation, and clears them from the log once they\'re posted', async () => {
+    const { status, body } = await call(zotero, 'retryFailures', { body: {} });
+    assert.equal(status, 202);
+    assert.deepEqual(body.jobs.map((job) => [ job.operation, job.count ]), [ [ 'create', 1 ], [ 'update', 1 ] ]);
+
+    for (const job of body.jobs) assert.equal((await finished(job.jobId)).status, 'done');
+
+    assert.equal((await call(zotero, 'listFailures')).body.total, 0);
+    assert.equal(itemsOf(bad).length, 1);
+  });
+
+  it('rejects unknown failure IDs, and IDs which aren\'t an array', async () => {
+    assert.equal((await call(zotero, 'retryFailures', { body: { ids: [ 'recZZZZZZZZZZZZZZ' ] } })).status, 404);
+    assert.equal((await call(zotero, 'retryFailures', { body: { ids: 'all' } })).status, 400);
+  });
+});
+
+describe('Zotero version conflicts and rate limits', () => {
+  it('merges updates to items changed on Zotero since their last sync onto the current item, keeping librarians\' collections and manual tags', async () => {
+    const [ video ] = videos({ 'Title': 'Ice Ages', 'URL': 'https://youtu.be/ice-ages' });
+    await finished((await call(zotero, 'syncItems', { body: [ video ] }, 'create')).body.jobId);
+
+    const item = library.items.get(recordOf(video).fields['Zotero Key']);
+    const synced = item.version;
+    item.data = { ...item.data, collections: [ ...item.data.collections, 'READING1' ], tags: [ ...item.data.tags, { tag: 'classroom' } ] };
+    item.version = ++library.version;
+
+    const start = library.requests.length;
+    const job = await finished((await call(zotero, 'syncItems', { body: [ { ...video, title: 'The Ice Ages', zoteroKey: item.key, zoteroVersion: synced } ] }, 'update')).body.jobId);
+    const posts = library.requests.slice(start).filter((request) => request.method === 'POST' && request.path === 'items' && !request.body[0].parentItem);
+
+    assert.equal(job.status, 'done');
+    assert.equal(job.result.successful, 1);
+    assert.equal(job.result.failed, 0);
+    assert.deepEqual(posts.map((post) => post.body[0].version), [ synced, item.version ]);
+    assert.equal(library.items.get(item.key).data.title, 'The Ice Ages');
+    assert.ok(library.items.get(item.key).data.collections.includes('READING1'));
+    assert.ok(library.items.get(item.key).data.tags.some((tag) => tag.tag === 'classroom'));
+    assert.equal(recordOf(video).fields['Zotero Version'], library.items.get(item.key).version);
+  });
+
+  it('retries requests answered with a 429 or 503 after the number of seconds in their Retry-After header', async () => {
+    const [ video ] = videos({ 'Title': 'Aquifers', 'URL': 'https://youtu.be/aquifers' });
+    let failures = 2;
+    library.fail = (request) => request.method === 'POST' && request.path === 'items' && failures > 0 ? { status: failures-- === 2 ? 429 : 503, headers: { 'retry-after': '0.05' } } : null;
+
+    try {
+      const start = Date.now();
+      const job = await finished((await call(zotero, 'syncItems', { body: [ video ] }, 'create')).body.jobId);
+      assert.equal(job.status, 'done');
+      assert.equal(job.attempts, 1);
+      assert.ok(Date.now() - start >= 100);
+    } finally {
+      library.fail = null;
+    }
+
+    assert.equal(itemsOf(video).length, 1);
+  });
+
+  it('reports Zotero\'s reason when a series collection can\'t be created, and posts the video without it', async (t) => {
+    const [ video ] = videos({ 'Title': 'Ocean Floors', 'URL': 'https://youtu.be/ocean-floors' });
+    const errors = t.mock.method(console, 'error');
+    library.reject = (object) => object.parentCollection ? { code: 400, message: 'Collection name is invalid' } : null;
+
+    try {
+      const job = await finished((await call(zotero, 'syncItems', { body: [ { ...video, series: 'Deep Sea Lectures', seriesId: 'recSSSSSSSSSSSSSS' } ] }, 'create')).body.jobId);
+      assert.equal(job.status, 'done');
+    } finally {
+      library.reject = null;
+    }
+
+    assert.ok(errors.mock.calls.some((call) => call.arguments[0] === '[ERROR] Failed to create series collection (Collection name is invalid).'));
+    assert.equal(itemsOf(video)[0].data.collections.length, 0);
+  });
+});
+
+describe('zotero.pullItems', () => {
+  let video, item;
+
+  before(async () => {
+    [ video ] = videos({ 'Title': 'Deltas', 'URL': 'https://youtu.be/deltas' });
+    await finished((await call(zotero, 'syncItems', { body: [ video ] }, 'create')).body.jobId);
+    item = library.items.get(recordOf(video).fields['Zotero Key']);
+  });
+
+  it('writes fields edited on Zotero back to the ESOVDB if Zotero wins them, along with the item\'s version, and leaves the rest alone', async () => {
+    const since = library.version;
+    item.data = { ...item.data, title: 'River Deltas', url: 'https://youtu.be/river-deltas' };
+    item.version = ++library.version;
+
+    const { status, body } = await call(zotero, 'pullItems', { query: { since: String(since) } });
+    assert.equal(status, 202);
+
+    const job = await finished(body.jobId);
+    assert.equal(job.status, 'done');
+    assert.equal(job.result.since, since);
+    assert.equal(job.result.version, library.version);
+    assert.equal(job.result.items, 1);
+    assert.deepEqual(job.result.changes.map((change) => [ change.prop, change.zotero, change.airtable, change.winner, change.pulled ]), [ [ 'title', 'River Deltas', 'Deltas', 'zotero', true ] ]);
+    assert.equal(recordOf(video).fields['Title'], 'River Deltas');
+    assert.equal(recordOf(video).fields['URL'], 'https://youtu.be/deltas');
+    assert.equal(recordOf(video).fields['Zotero Version'], item.version);
+  });
+
+  it('pulls from the last library version pulled by default, skipping items whose version the ESOVDB already has', async () => {
+    const job = await finished((await call(zotero, 'pullItems')).body.jobId);
+    assert.equal(job.result.since, library.version);
+    assert.equal(job.result.items, 0);
+
+    const again = await finished((await call(zotero, 'pullItems', { query: { since: String(item.version - 1) } })).body.jobId);
+    assert.equal(again.result.items, 1);
+    assert.deepEqual(again.result.changes, []);
+    assert.equal(again.result.updated, null);
+  });
+
+  it('skips items without a matching record on the ESOVDB', async () => {
+    const since = library.version;
+    library.items.set('ORPHAN01', { key: 'ORPHAN01', version: ++library.version, data: { itemType: 'videoRecording', title: 'Orphan', archiveLocation: '', creators: [], tags: [] } });
+
+    const job = await finished((await call(zotero, 'pullItems', { query: { since: String(since) } })).body.jobId);
+    assert.deepEqual(job.result.skipped, [ { key: 'ORPHAN01', recordId: null, reason: 'No matching record on the ESOVDB.' } ]);
+    library.items.delete('ORPHAN01');
+  });
+
+  it('rejects since values which aren\'t a library version', async () => {
+    assert.equal((await call(zotero, 'pullItems', { query: { since: 'yesterday' } })).status, 400);
+  });
+});
+
+describe('zotero.removeItems', () => {
+  it('moves items to the trash by default, and clears their Zotero keys and versions on the ESOVDB', async () => {
+    const [ video ] = videos({ 'Title': 'Glaciers', 'URL': 'https://youtu.be/glaciers' });
+    await finished((await call(zotero, 'syncItems', { body: [ video ] }, 'create')).body.jobId);
+    const key = recordOf(video).fields['Zotero Key'];
+
+    const { status, body } = await call(zotero, 'removeItems', { body: { ...video, zoteroKey: key, zoteroVersion: recordOf(video).fields['Zotero Version'] } }, false);
+    assert.equal(status, 202);
+
+    const job = await finished(body.jobId);
+    assert.deepEqual(job.result.removed, [ { key, recordId: video.recordId } ]);
+    assert.equal(library.items.get(key).data.deleted, 1);
+    assert.equal(recordOf(video).fields['Zotero Key'], null);
+    assert.equal(recordOf(video).fields['Zotero Version'], null);
+  });
+
+  it('deletes items permanently as of their current version if the ESOVDB has no version for them, instead of sending an invalid version', async () => {
+    const [ video ] = videos({ 'Title': 'Moraines', 'URL': 'https://youtu.be/moraines' });
+    await finished((await call(zotero, 'syncItems', { body: [ video ] }, 'create')).body.jobId);
+    const key = recordOf(video).fields['Zotero Key'];
+
+    const job = await finished((await call(zotero, 'removeItems', { query: { permanent: 'true' }, body: [ { ...video, zoteroKey: key } ] }, true)).body.jobId);
+    assert.deepEqual(job.result.removed, [ { key, recordId: video.recordId } ]);
+    assert.deepEqual(job.result.failed, []);
+    assert.equal(library.items.has(key), false);
+
+    const deletes = library.requests.filter((request) => request.method === 'DELETE' && request.path === `items/${key}`);
+    assert.equal(deletes.length, 1);
+    assert.match(String(deletes[0].headers['If-Unmodified-Since-Version']), /^\d+$/);
+  });
+
+  it('removes series collections left empty, and clears their keys on the ESOVDB', async () => {
+    airtable.seed('Series', [ { 'Name': 'Ice Age Lectures' } ]);
+    const [ series ] = airtable.tables.get('Series');
+    const [ video ] = videos({ 'Title': 'Eskers', 'URL': 'https://youtu.be/eskers' });
+    await finished((await call(zotero, 'syncItems', { body: [ { ...video, series: 'Ice Age Lectures', seriesId: series.id } ] }, 'create')).body.jobId);
+
+    const collection = series.fields['Zotero Key'];
+    assert.equal(library.collections.get(collection).data.parentCollection, 'HYQEFRGR');
+
+    const job = await finished((await call(zotero, 'removeItems', { query: { permanent: 'true' }, body: [ { ...video, zoteroKey: recordOf(video).fields['Zotero Key'], zoteroSeries: collection } ] }, true)).body.jobId);
+    assert.deepEqual(job.result.collections, [ collection ]);
+    assert.equal(library.collections.has(collection), false);
+    assert.equal(airtable.tables.get('Series')[0].fields['Zotero Key'], null);
+  });
+
+  it('skips videos without a Zotero key', async () => {
+    const [ video ] = videos({ 'Title': 'Drumlins', 'URL': 'https://youtu.be/drumlins' });
+    const job = await finished((await call(zotero, 'removeItems', { body: video }, false)).body.jobId);
+    assert.deepEqual(job.result.skipped, [ { recordId: video.recordId, reason: 'No Zotero key.' } ]);
+    assert.deepEqual(job.result.removed, []);
+  });
+});
+
+describe('Zotero tags and locations', () => {
+  const mantle = 'Mantle Geodynamics, Geochemistry, Convection, Rheology, & Seismic Imaging and Modeling';
+
+  it('posts the topic as an automatic tag and collection and the video\'s tags as manual tags, without packing anything into extra', async () => {
+    const [ video ] = videos({ 'Title': 'Plumes', 'URL': 'https://youtu.be/plumes' });
+    await finished((await call(zotero, 'syncItems', { body: [ { ...video, topic: mantle, tagsList: 'hotspots, Hawaii', location: 'Hawaii, USA', plusCode: '73G8+2C' } ] }, 'create')).body.jobId);
+
+    const [ item ] = itemsOf(video);
+    assert.deepEqual(item.data.tags, [ { tag: mantle, type: 1 }, { tag: 'hotspots', type: 0 }, { tag: 'Hawaii', type: 0 } ]);
+    assert.ok(item.data.collections.includes('5XQD67DA'));
+    assert.equal(item.data.extra, '');
+
+    const [ note ] = [ ...library.items.values() ].filter((child) => child.data.parentItem === item.key && child.data.itemType === 'note');
+    assert.match(note.data.note, /<tr><th>Location<\/th><td>Hawaii, USA<\/td><\/tr>/);
+    assert.match(note.data.note, /<tr><th>Plus Code<\/th><td><a href="https:\/\/plus\.codes\/73G8%2B2C">73G8\+2C<\/a><\/td><\/tr>/);
+  });
+
+  it('announces videos in their topic\'s Discord channel, reading the topic and tags from the item\'s tags', () => {
+    const message = library.discord.map((request) => request.body).find((body) => body.embeds && body.embeds[0].title.startsWith('Plumes'));
+    assert.match(message.content, /<#857085147672346644>$/);
+    assert.equal(message.embeds[0].color, 0xfee2d5);
+    assert.deepEqual(message.embeds[0].fields.filter((field) => [ 'Topic', 'Tags' ].includes(field.name)), [ { name: 'Topic', value: mantle }, { name: 'Tags', value: 'hotspots, Hawaii' } ]);
+  });
+});
+
+describe('Zotero child items', () => {
+  let video;
+
+  const synced = () => ({ ...video, zoteroKey: recordOf(video).fields['Zotero Key'], zoteroVersion: recordOf(video).fields['Zotero Version'] });
+  const childrenOf = () => [ ...library.items.values() ].filter((child) => child.data.parentItem === recordOf(video).fields['Zotero Key']);
+  const childRequests = (start) => library.requests.slice(start).filter((request) => (request.method === 'POST' && request.path === 'items' && request.body.some((child) => child.parentItem)) || request.method === 'DELETE');
+
+  before(async () => {
+    [ video ] = videos({ 'Title': 'Ophiolites', 'URL': 'https://youtu.be/ophiolites' });
+    video = { ...video, desc: 'Oceanic crust on land.', learnMore: 'https://example.com/ophiolites' };
+  });
+
+  it('adds a link to watch the video, a link for each Learn More link, and a note to each new item', async () => {
+    await finished((await call(zotero, 'syncItems', { body: [ video ] }, 'create')).body.jobId);
+
+    const children = childrenOf();
+    assert.deepEqual(children.filter((child) => child.data.itemType === 'attachment').map((child) => [ child.data.title, child.data.url ]), [ [ 'Watch Video', video.url ], [ 'Learn More', video.learnMore ] ]);
+
+    const notes = children.filter((child) => child.data.itemType === 'note');
+    assert.equal(notes.length, 1);
+    assert.match(notes[0].data.note, /<p>Oceanic crust on land\.<\/p>/);
+    assert.match(notes[0].data.note, new RegExp(`<a href="[^"]+${video.recordId}">`));
+  });
+
+  it('skips child items which haven\'t changed since they were last synced, without any requests to Zotero', async () => {
+    const start = library.requests.length;
+    await finished((await call(zotero, 'syncItems', { body: [ synced() ] }, 'update')).body.jobId);
+
+    assert.equal(childrenOf().length, 3);
+    assert.deepEqual(childRequests(start), []);
+    assert.equal(library.requests.slice(start).some((request) => request.path.endsWith('/children')), false);
+  });
+
+  it('updates changed child items in place on PUT, deletes the ones left over, and keeps child items added on Zotero', async () => {
+    const [ note ] = childrenOf().filter((child) => child.data.itemType === 'note');
+    const parentItem = recordOf(video).fields['Zotero Key'];
+    library.items.set('HANDNOTE', { key: 'HANDNOTE', version: ++library.version, data: { itemType: 'note', parentItem, note: '<p>A librarian\'s note</p>', tags: [], relations: {} } });
+
+    video = { ...video, desc: 'Slices of oceanic crust on land.', learnMore: '' };
+    const job = await finished((await call(zotero, 'syncItems', { body: [ synced() ] }, 'update')).body.jobId);
+    assert.equal(job.status, 'done');
+
+    const children = childrenOf();
+    assert.deepEqual(children.map((child) => child.data.title || child.key).sort(), [ 'HANDNOTE', 'Watch Video', note.key ].sort());
+    assert.match(library.items.get(note.key).data.note, /<p>Slices of oceanic crust on land\.<\/p>/);
+    assert.equal(library.items.get('HANDNOTE').data.note, '<p>A librarian\'s note</p>');
+  });
+});
+
+describe('zotero.syncItems dry runs', () => {
+  let existing, unchanged;
+
+  before(async () => {
+    [ existing, unchanged ] = videos({ 'Title': 'Tsunamis', 'URL': 'https://youtu.be/tsunamis' }, { 'Title': 'Lahars', 'URL': 'https://youtu.be/lahars' });
+    await finished((await call(zotero, 'syncItems', { body: [ existing, unchanged ] }, 'create')).body.jobId);
+    [ existing, unchanged ] = [ existing, unchanged ].map((video) => ({ ...video, zoteroKey: recordOf(video).fields['Zotero Key'], zoteroVersion: recordOf(video).fields['Zotero Version'] }));
+  });
+
+  it('previews the items which would be created and updated, field by field, without writing anything to Zotero, Discord or the ESOVDB', async () => {
+    const [ created ] = videos({ 'Title': 'Landslides', 'URL': 'https://youtu.be/landslides' });
+    const items = library.items.size, collections = library.collections.size, messages = library.discord.length;
+    const start = { zotero: library.requests.length, airtable: airtable.requests.length };
+
+    const body = [ { ...created, series: 'Hazard Lectures' }, { ...existing, title: 'Tsunami Hazards' }, unchanged, { ...unchanged, recordId: 'recMMMMMMMMMMMMMM', zoteroKey: 'MISSING1' } ];
+    const { status, body: preview } = await call(zotero, 'syncItems', { query: { dryRun: 'true' }, body }, 'update');
+    assert.equal(status, 200);
+    assert.deepEqual([ preview.dryRun, preview.operation, preview.total, preview.create, preview.update, preview.unchanged, preview.missing ], [ true, 'update', 4, 1, 1, 1, 1 ]);
+
+    const [ create, update, same, missing ] = preview.items;
+    assert.equal(create.action, 'create');
+    assert.equal(create.newCollection, 'Hazard Lectures');
+    assert.deepEqual(create.changes.title, { from: null, to: 'Landslides' });
+    assert.deepEqual(create.children.map((child) => child.title), [ 'Watch Video', null ]);
+    assert.deepEqual([ update.action, update.key, update.conflict, update.changes ], [ 'update', existing.zoteroKey, false, { title: { from: 'Tsunamis', to: 'Tsunami Hazards' } } ]);
+    assert.deepEqual([ same.action, same.changes ], [ 'unchanged', {} ]);
+    assert.deepEqual([ missing.action, missing.key ], [ 'missing', 'MISSING1' ]);
+
+    assert.deepEqual(library.requests.slice(start.zotero).filter((request) => request.method !== 'GET'), []);
+    assert.deepEqual(airtable.requests.slice(start.airtable).filter((request) => request.method !== 'GET'), []);
+    assert.deepEqual([ library.items.size, library.collections.size, library.discord.length ], [ items, collections, messages ]);
+    assert.equal(itemsOf(existing)[0].data.title, 'Tsunamis');
+  });
+
+  it('previews updates to items changed on Zotero since their last sync as merged onto the current item', async () => {
+    const item = library.items.get(existing.zoteroKey);
+    item.data = { ...item.data, tags: [ ...item.data.tags, { tag: 'coastal', type: 0 } ] };
+    item.version = ++library.version;
+
+    const { body: preview } = await call(zotero, 'syncItems', { query: { dryRun: 'true' }, body: [ { ...existing, title: 'Tsunami Hazards' } ] }, 'update');
+    const [ update ] = preview.items;
+    assert.deepEqual([ update.action, update.conflict, update.currentVersion ], [ 'update', true, item.version ]);
+    assert.deepEqual(Object.keys(update.changes), [ 'title' ]);
+  });
+});
@@ -261,6 +261,8 @@ module.exports = {
   /**
    *  Returns a regular expression from a string of space-separated IP patterns, with wildcard characters (*)
    *
+   *  @deprecated Superseded by {@link ipMatcher}, since the resulting regular expression is unanchored (e.g. '1.2.3.4' also matches '11.2.3.45') and supports neither CIDR ranges nor IPv6
+   *
    *  @method patternsToRegEx
    *  @param {string} patterns - List of ip addresses, space-separated, with optional wildcards (*)
    *  @returns {RegExp} Regular expression equivalent to {@link patterns}
@@ -284,4 +286,91 @@ module.exports = {
         .replace(/\*/g, '\\b(?:1\\d{2}|2[0-4]\\d|[1-9]?\\d|25[0-5])\\b'))
       .join('|')})`),
   
+  /**
+   *  Parses an IPv4 or IPv6 address into an array of 16 bytes, representing IPv4 addresses as IPv4-mapped IPv6 addresses (i.e. ::ffff:a.b.c.d), so that both forms of the same address compare equally
+   *
+   *  @method parseIp
+   *  @param {string} address - An IPv4 address, an IPv6 address (optionally bracketed or with a zone index), or an IPv6 address with an embedded IPv4 address
+   *  @returns {?number[]} An array of 16 integers from 0-255, or null if {@link address} is not a valid IP address
+   *
+   *  @example <caption>IPv4</caption>
+   *  // returns [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 255, 255, 67, 118, 0, 1]
+   *  parseIp('67.118.0.1');
+   *
+   *  @example <caption>IPv4-mapped IPv6</caption>
+   *  // returns [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 255, 255, 67, 118, 0, 1]
+   *  parseIp('::ffff:67.118.0.1');
+   */
+  
+  parseIp: (address) => {
+    const ipv4 = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/;
+    
+    if (typeof address !== 'string') return null;
+    address = address.trim().replace(/^\[(.*)\]$/, '$1').replace(/%.*$/, '');
+    
+    if (ipv4.test(address)) {
+      const octets = address.match(ipv4).slice(1).map(Number);
+      return octets.some((octet) => octet > 255) ? null : [ ...Array(10).fill(0), 0xff, 0xff, ...octets ];
+    }
+    
+    if (!/^[0-9a-f:.]+$/i.test(address) || address.split('::').length > 2) return null;
+    
+    const [ head, tail ] = address.split('::').map((part) => part ? part.split(':') : []);
+    const last = tail ? tail : head;
+    
+    if (last.length && ipv4.test(last[last.length - 1])) {
+      const embedded = module.exports.parseIp(last.pop());
+      if (!embedded) return null;
+      last.push(((embedded[12] << 8) | embedded[13]).toString(16), ((embedded[14] << 8) | embedded[15]).toString(16));
+    }
+    
+    if (!tail && head.length !== 8 || tail && head.length + tail.length > 7) return null;
+    if ([ ...head, ...(tail || []) ].some((group) => !/^[0-9a-f]{1,4}$/i.test(group))) return null;
+    
+    return [ ...head, ...Array(8 - head.length - (tail || []).length).fill('0'), ...(tail || []) ]
+      .flatMap((group) => [ parseInt(group, 16) >> 8, parseInt(group, 16) & 0xff ]);
+  },
+  
+  /**
+   *  Compiles a string of space- or comma-separated IP patterns into a function that tests whether a given IP address matches any of them. Patterns may be single IPv4 or IPv6 addresses, CIDR ranges of either, or IPv4 addresses with wildcard octets (*), and IPv4 patterns also match their IPv4-mapped IPv6 equivalents.
+   *
+   *  @method ipMatcher
+   *  @requires util.parseIp
+   *  @param {string} [patterns=''] - List of IP addresses and/or ranges, space- or comma-separated, with optional wildcards (*) or CIDR prefix lengths (/n)
+   *  @returns {function(string): boolean} A function that returns true if the IP address passed to it matches any of the given {@link patterns}, always false if no patterns were given
+   *  @throws {Error} Will throw if any of the given {@link patterns} is not a valid IP address, wildcard pattern, or CIDR range
+   *
+   *  @example <caption>CIDR ranges, wildcards, and IPv6</caption>
+   *  // returns [true, true, false, true]
+   *  const whitelist = ipMatcher('10.0.0.0/8 255.255.*.* 2001:db8::/32');
+   *  ['10.20.30.40', '255.255.0.1', '11.2.3.45', '2001:db8::1'].map(whitelist);
+   */
+  
+  ipMatcher: (patterns = '') => {
+    const ranges = patterns
+      .split(/[\s,]+/)
+      .filter((pattern) => pattern)
+      .map((pattern) => {
+        const [ address, prefix, ...rest ] = pattern.split('/');
+        const wildcards = address.split('.').map((part) => part === '*');
+        const bytes = module.exports.parseIp(address.replace(/\*/g, '0'));
+        const isIpv4 = /^[\d*]+(?:\.[\d*]+){3}$/.test(address);
+        const bits = prefix === undefined ? 128 : +prefix + (isIpv4 ? 96 : 0);
+        
+        if (!bytes || rest.length || prefix !== undefined && (!/^\d{1,3}$/.test(prefix) || bits > 128) || !isIpv4 && address.includes('*')) {
+          throw new Error(`[ERROR] Invalid IP pattern "${pattern}".`);
+        }
+        
+        const mask = bytes.map((byte, i) => (0xff << (8 - Math.min(Math.max(bits - i * 8, 0), 8))) & 0xff);
+        if (isIpv4) wildcards.forEach((wildcard, i) => { if (wildcard) mask[12 + i] = 0; });
+        
+        return { bytes: bytes.map((byte, i) => byte & mask[i]), mask };
+      });
+    
+    return (ip) => {
+      const bytes = module.exports.parseIp(ip);
+      return !!bytes && ranges.some((range) => range.bytes.every((byte, i) => (bytes[i] & range.mask[i]) === byte));
+    };
+  },
+  
 }
\ No newline at end of file
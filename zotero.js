@@ -6,11 +6,15 @@
  */
 
 const dotenv = require('dotenv').config();
-const fs = require('fs');
+const crypto = require('crypto');
 const axios = require('axios');
+const cache = require('./cache');
 const webhook = require('./webhook');
-const { processUpdates } = require('./esovdb');
-const { sleep, queueAsync, formatDuration, formatDate, packageAuthors } = require('./util');
+const fields = require('./fields');
+const jobs = require('./jobs');
+const registry = require('./registry');
+const { processUpdates, findRecords } = require('./esovdb');
+const { sleep, queueAsync } = require('./util');
 
 const zoteroHeaders = {
   Authorization: 'Bearer ' + process.env.ZOTERO_API_KEY,
@@ -32,56 +36,119 @@ const zotero = axios.create({
 
 zoteroLibrary.defaults.headers.post['Content-Type'] = 'application/json';
 
-/** @constant {Map} collections - Maps parent collections names from the ESOVDB to parent collection IDs in the Zotero library */
-const collections = new Map([
-  ['series', 'HYQEFRGR'],
-  ['topics', 'EGB8TQZ8']
-]);
+/** @constant {number} zoteroRetries - The number of times to retry a request which Zotero answers with a 429 or 503 response (default: 3) */
+const zoteroRetries = process.env.ZOTERO_RETRIES !== undefined ? +process.env.ZOTERO_RETRIES : 3;
 
-/** @constant {Map} topics - Maps ESOVDB topics to their collection keys in Zotero */
-// prettier-ignore
-const topics = new Map([
-  ['Mantle Geodynamics, Geochemistry, Convection, Rheology, & Seismic Imaging and Modeling', '5XQD67DA'],
-  ['Igneous & Metamorphic Petrology, Volcanism, & Hydrothermal Systems', 'L6JMIGTE'],
-  ['Alluvial, Pluvial & Terrestrial Sedimentology, Erosion & Weathering, Geomorphology, Karst, Groundwater & Provenance', 'BV7G3CIC'],
-  ['Early Earth, Life\'s Origins, Deep Biosphere, and the Formation of the Planet', '9DK53U7F'],
-  ['Geological Stories, News, Tours, & Field Trips', 'XDFHQTC3'],
-  ['History, Education, Careers, Field Work, Economic Geology, & Technology', 'M4NKIHBK'],
-  ['Glaciation, Atmospheric Science, Carbon Cycle, & Climate', 'AD997U4T'],
-  ['The Anthropocene', 'P2WNJD9N'],
-  ['Geo-Archaeology', 'UJDCHPB5'],
-  ['Paleoclimatology, Isotope Geochemistry, Radiometric Dating, Deep Time, & Snowball Earth', 'L4PLXHN8'],
-  ['Seafloor Spreading, Oceanography, Paleomagnetism, & Geodesy', 'NPDV3BHH'],
-  ['Tectonics, Terranes, Structural Geology, & Dynamic Topography', 'U3JYUDHI'],
-  ['Seismology, Mass Wasting, Tsunamis, & Natural Disasters', '63TE3Y26'],
-  ['Minerals, Mining & Resources, Crystallography, & Solid-state Chemistry', 'YY5W7DB8'],
-  ['Marine & Littoral Sedimentology, Sequence Stratigraphy, Carbonates, Evaporites, Coal, Petroleum, and Mud Volcanism', '37J3LYFL'],
-  ['Planetary Geology, Impact Events, Astronomy, & the Search for Extraterrestrial Life', 'HLV7WMZQ'],
-  ['Paleobiology, Mass Extinctions, Fossils, & Evolution', 'VYWX6R2B']
-]);
+let backoffUntil = 0;
+
+/**
+ *  Holds off every request to the Zotero API until at least a given number of seconds from now, as asked for by Zotero's Backoff and Retry-After headers
+ *
+ *  @function backOff
+ *  @param {number} seconds - The number of seconds to hold off for
+ */
 
-/** @constant {number} zoteroRateLimit - Time in seconds to wait between requests to the Zotero API to avoid rate-limiting */
-const zoteroRateLimit = 10;
+const backOff = (seconds) => {
+  if (seconds > 0) backoffUntil = Math.max(backoffUntil, Date.now() + seconds * 1000);
+};
 
 /**
- *  Updates specified fields for given items in a specified ESOVDB table via {@link esovdb.processUpdates} and then returns the result for logging
+ *  Waits out any backoff asked for by Zotero before sending a request, used as an axios request interceptor
+ *
+ *  @async
+ *  @function waitForBackoff
+ *  @param {Object} config - The axios request config
+ *  @returns {Object} The same request config, once it's safe to send
+ */
+
+const waitForBackoff = async (config) => {
+  const wait = backoffUntil - Date.now();
+
+  if (wait > 0) {
+    console.log(`› Backing off from Zotero for ${Math.ceil(wait / 1000)}s...`);
+    await sleep(wait / 1000);
+  }
+
+  return config;
+};
+
+/**
+ *  Adds interceptors to an axios instance for the Zotero API, which honor the Backoff header on any response, and retry requests answered with a 429 or 503 response after the number of seconds in their Retry-After header (or 5s, 10s, 20s, etc., if there is none), up to {@link zoteroRetries} times
+ *
+ *  @function honorBackoff
+ *  @requires axios
+ *  @param {Object} instance - An axios instance for the Zotero API
+ *
+ *  @see [Zotero Web API 3.0 › Basics › Rate Limiting]{@link https://www.zotero.org/support/dev/web_api/v3/basics#rate_limiting}
+ */
+
+const honorBackoff = (instance) => {
+  instance.interceptors.request.use(waitForBackoff);
+  instance.interceptors.response.use(
+    (response) => {
+      backOff(+response.headers['backoff']);
+      return response;
+    },
+    async (err) => {
+      if (!err.response || !err.config) throw err;
+
+      const { config, response } = err;
+      const retries = config.retries || 0;
+      backOff(+response.headers['backoff']);
+
+      if ((response.status === 429 || response.status === 503) && retries < zoteroRetries) {
+        const retryAfter = +response.headers['retry-after'] || 5 * 2 ** retries;
+        console.error(`[ERROR] Zotero responded with ${response.status}, retrying in ${retryAfter}s...`);
+        backOff(retryAfter);
+        return instance.request({ ...config, retries: retries + 1 });
+      }
+
+      throw err;
+    }
+  );
+};
+
+honorBackoff(zoteroLibrary);
+honorBackoff(zotero);
+
+/** @constant {CacheStore} dataStore - A file store for data which has to outlive restarts, i.e. the log of videos which failed to sync with Zotero, and the fingerprints of the child items last synced (see {@link cache.fileStore}) */
+const dataStore = cache.fileStore({ dir: process.env.DATA_DIR || '.data' });
+
+let failures = null, savingFailures = Promise.resolve(), fingerprints = null, savingFingerprints = Promise.resolve();
+
+/** @constant {string} pullDefault - Which side wins by default when a field differs between Zotero and the ESOVDB during a pull, from ZOTERO_PULL_DEFAULT: 'zotero', 'airtable', or 'newer' (default: 'airtable', i.e. fields aren't pulled from Zotero) */
+const pullDefault = process.env.ZOTERO_PULL_DEFAULT || 'airtable';
+
+/** @constant {Map} pullPolicy - Maps ESOVDB video properties to which side wins when they differ between Zotero and the ESOVDB during a pull: 'zotero', 'airtable', or 'newer' (i.e. whichever side was modified more recently), with Zotero winning for the titles and descriptions edited by librarians on Zotero, unless overridden (presenters aren't pulled by default, since creators on Zotero can't be written back to the linked presenter records on the ESOVDB) by space-separated prop=policy pairs in ZOTERO_PULL_POLICY */
+const pullPolicy = new Map([
+  [ 'title', 'zotero' ],
+  [ 'desc', 'zotero' ],
+  ...(process.env.ZOTERO_PULL_POLICY || '').split(' ').map((pair) => pair.split('=')).filter(([ prop, policy ]) => [ 'zotero', 'airtable', 'newer' ].includes(policy))
+]);
+
+/**
+ *  Updates specified fields for given items in a specified ESOVDB table via {@link esovdb.processUpdates}, logs any records which failed to update, and then returns the report of which records were updated
  *
  *  @async
  *  @function updateTable
  *  @requires esovdb.processUpdates
  *  @param {Object[]} items - An array of objects formatted as updates for Airtable (i.e. [ { id: 'recordId', fields: { 'Airtable Field': 'value', ... } }, ... ])
  *  @param {string} table - The name of a table in the ESOVDB (e.g., 'Videos', 'Series', etc)
- *  @returns {Object[]} The original array of Zotero items, {@link items}, passed through {@link esovdb.processUpdates}
+ *  @returns {?esovdb.WriteReport} Which records were updated and which failed, or undefined if none were updated
  */
 
 const updateTable = async (items, table) => {
   console.log(`Updating ${Object.keys(items[0].fields).map((field) => `"${field}"`).join(', ')} in "${table}" for ${items.length} item${items.length === 1 ? '' : 's'} on the ESOVDB...`);
 
   try {
-    const response = await processUpdates(items, table);
+    const report = await processUpdates(items, table);
     
-    if (response.length > 0) {
-      return response;
+    report.results
+      .filter((result) => result.status === 'failed')
+      .forEach((result) => console.error(`[ERROR] Couldn't update ${items[result.index].id} in "${table}": ${result.error.message}`));
+    
+    if (report.written > 0) {
+      return report;
     } else {
       throw new Error(`[ERROR] Couldn't update ${items.length} item${items.length === 1 ? '' : 's'}.`);
     }
@@ -121,28 +188,50 @@ const getTemplate = async () => {
  * @typedef {Object} ZoteroResponse
  * @property {?Object[]} successful - An array of succesfully added or updated Zotero item objects
  * @property {?string[]} unchanged - An array of Zotero item keys of Zotero items which remained unchanged after the POST request either because no changes were sent or the version sent was outdated
- * @property {?Object[]} failed - An array of Zotero item objects which failed in their attempts to be added or updated, perhaps due to format/syntactical or structural errors
+ * @property {?Object[]} failed - An array of Zotero errors for items which failed in their attempts to be added or updated, perhaps due to format/syntactical or structural errors, each with the index of its item in the request, its key (if any), and Zotero's error code and message
+ * @property {?number} version - The library version after the write, from Zotero's Last-Modified-Version header
+ * @property {boolean} [duplicate] - Set if Zotero refused the write because its write token had already been used, i.e. the same items were already posted
  */
 
 /**
- *  Adds or updates one or more items in a Zotero Library depending on whether a given item object is passed with Zotero key and version properties and returns a {@link ZoteroResponse} object from the Zotero API.  Failed items are also written to failed.json for forensic/debugging purposes.
+ *  Adds or updates one or more items in a Zotero Library depending on whether a given item object is passed with Zotero key and version properties and returns a {@link ZoteroResponse} object from the Zotero API.  Updates which fail because the item has changed on Zotero since the version sent (412) are merged onto the current version of the item with {@link mergeConflicts} and posted again once.  If a write token is given, Zotero only accepts the write once, so that a request sent again after an interruption can't create the same items twice.
  *
  *  @async
  *  @function postItems
- *  @requires fs
  *  @requires axios
  *  @param {Object[]} items - An array of objects formatted as Zotero items according to the Zotero Web API 3.0 docs
+ *  @param {boolean} [resolveConflicts=true] - Whether to merge and post again any items which fail with a version conflict
+ *  @param {?string} [writeToken=null] - A 32-character token sent as the Zotero-Write-Token header (see {@link writeTokenOf})
  *  @returns {ZoteroResponse} An object containing an array of successfully added or updated Zotero item objects, an array of Zotero item keys of unchanged Zotero items, and an array of Zotero item objects of Zotero items which failed to be added or updated
  *
  *  @see [Zotero Web API 3.0 › Write Requests › Creating Multiple Objects]{@link https://www.zotero.org/support/dev/web_api/v3/write_requests#creating_multiple_objects}
+ *  @see [Zotero Web API 3.0 › Write Requests › Zotero-Write-Token]{@link https://www.zotero.org/support/dev/web_api/v3/write_requests#zotero-write-token}
  */
 
-const postItems = async (items) => {
+const postItems = async (items, resolveConflicts = true, writeToken = null) => {
   try {
-    const response = await zoteroLibrary.post('items', items);
-    const successful = Object.values(response.data.successful);
-    const unchanged = Object.values(response.data.unchanged);
-    const failed = Object.values(response.data.failed);
+    const response = await zoteroLibrary.post('items', items, writeToken ? { headers: { 'Zotero-Write-Token': writeToken } } : undefined);
+    let version = +response.headers['last-modified-version'] || null;
+    let successful = Object.values(response.data.successful);
+    let unchanged = Object.values(response.data.unchanged);
+    let failed = Object.entries(response.data.failed).map(([ index, failure ]) => ({ ...failure, index: +index }));
+    const conflicts = resolveConflicts ? failed.filter((failure) => failure.code === 412 && items[failure.index].key) : [];
+
+    if (conflicts.length > 0) {
+      console.log(`› ${conflicts.length} item${conflicts.length === 1 ? ' has' : 's have'} changed on Zotero since ${conflicts.length === 1 ? 'its' : 'their'} last sync, merging...`);
+      const merged = await mergeConflicts(conflicts.map((failure) => items[failure.index]));
+      const retried = merged ? await postItems(merged, false) : null;
+
+      if (retried) {
+        version = retried.version || version;
+        successful = [ ...successful, ...retried.successful ];
+        unchanged = [ ...unchanged, ...retried.unchanged ];
+        failed = [
+          ...failed.filter((failure) => !conflicts.includes(failure)),
+          ...retried.failed.map((failure) => ({ ...failure, index: conflicts[failure.index].index }))
+        ];
+      }
+    }
 
     if (successful.length > 0) {
       console.log(`› Successfully posted ${successful.length} item${successful.length === 1 ? '' : 's'}.`);
@@ -154,19 +243,260 @@ const postItems = async (items) => {
 
     if (failed.length > 0) {
       console.error(`› Failed to post ${failed.length} video${failed.length === 1 ? '' : 's'}.`);
-      const failedItems = JSON.stringify(response.data.failed);
-
-      fs.writeFile('failed.json', failedItems, 'utf8', (err) => {
-        if (err) throw new Error('[ERROR] An error occured while writing JSON Object to File.');
-      });
     }
     
-    return { successful: successful, unchanged: unchanged, failed: failed };
+    return { successful: successful, unchanged: unchanged, failed: failed, version: version };
   } catch (err) {
+    if (writeToken && err.response && err.response.status === 412) {
+      console.log('› Zotero has already accepted these items with the same write token.');
+      return { successful: [], unchanged: [], failed: [], version: null, duplicate: true };
+    }
+
     console.error(err.message);
   }
 };
 
+/**
+ *  Derives the Zotero write token for a batch of a sync job from the job's ID and the batch's offset, so that the batch is sent with the same token however many times the job is retried
+ *
+ *  @function writeTokenOf
+ *  @requires crypto
+ *  @param {string} jobId - The ID of the job
+ *  @param {number} offset - The offset of the batch in the job's videos
+ *  @returns {string} A 32-character write token
+ */
+
+const writeTokenOf = (jobId, offset) => crypto.createHash('sha256').update(`${jobId}:${offset}`).digest('hex').slice(0, 32);
+
+/**
+ *  Returns the Airtable record ID of the ESOVDB video a Zotero item was posted from, which is kept at the end of its archiveLocation
+ *
+ *  @function recordIdOf
+ *  @param {Object} item - A Zotero item, as returned by the Zotero API (i.e. with its data)
+ *  @returns {?string} The record ID, or null if the item's archiveLocation doesn't end with one
+ */
+
+const recordIdOf = (item) => (String(item.data && item.data.archiveLocation).match(/rec[\w]{14}$/) || [ null ])[0];
+
+/**
+ *  Retrieves the current version of the Zotero library
+ *
+ *  @async
+ *  @function libraryVersion
+ *  @requires axios
+ *  @returns {Promise<number>} The library version, from Zotero's Last-Modified-Version header
+ */
+
+const libraryVersion = async () => {
+  const response = await zoteroLibrary.get('items/top', { params: { limit: 1, format: 'keys' } });
+  return +response.headers['last-modified-version'] || 0;
+};
+
+/**
+ *  Retrieves every video item added or modified on Zotero since a given library version, 100 at a time
+ *
+ *  @async
+ *  @function itemsSince
+ *  @requires axios
+ *  @param {number} since - The library version to retrieve items since
+ *  @returns {Promise<Object>} The items, and the library version they were retrieved as of
+ *
+ *  @see [Zotero Web API 3.0 › Syncing › Retrieving Updated Data]{@link https://www.zotero.org/support/dev/web_api/v3/syncing#retrieving_updated_data}
+ */
+
+const itemsSince = async (since) => {
+  let version = since, start = 0, total = 0;
+  const items = [];
+
+  do {
+    const response = await zoteroLibrary.get('items', { params: { since, format: 'json', itemType: 'videoRecording', limit: 100, start } });
+    total = +response.headers['total-results'] || 0;
+    version = +response.headers['last-modified-version'] || version;
+    items.push(...response.data);
+    start += 100;
+    if (response.data.length === 0) break;
+  } while (start < total);
+
+  return { items, version };
+};
+
+/**
+ *  Rebuilds the {@link ZoteroResponse} of a batch which Zotero had already accepted before its job was interrupted, by retrieving the items modified since the batch was posted and matching them to its videos by record ID.  Videos without a matching item count as unchanged if they already have a Zotero key, or as failed if they don't.
+ *
+ *  @async
+ *  @function recoverBatch
+ *  @requires fields
+ *  @param {Object[]} videos - The batch's video objects, in the order they were posted
+ *  @param {number} since - The library version before the batch was posted
+ *  @returns {Promise<ZoteroResponse>} The items of the batch which were added or updated, and the videos left unchanged or which failed
+ */
+
+const recoverBatch = async (videos, since) => {
+  console.log('› Retrieving items posted before the job was interrupted from Zotero...');
+  const { items, version } = await itemsSince(since);
+  const found = new Map(items.filter((item) => recordIdOf(item)).map((item) => [ recordIdOf(item), item ]));
+  const successful = [], unchanged = [], failed = [];
+
+  videos.map((video) => fields.normalize('videos', video)).forEach((video, index) => {
+    if (found.has(video.recordId)) {
+      successful.push(found.get(video.recordId));
+    } else if (video.zoteroKey) {
+      unchanged.push(video.zoteroKey);
+    } else {
+      failed.push({ index, key: null, code: null, message: 'Not found on Zotero after the job was interrupted.' });
+    }
+  });
+
+  return { successful, unchanged, failed, version };
+};
+
+/**
+ *  Merges the fields of an updated item onto the current version of the item on Zotero, keeping any collections, manual tags, and relations added on Zotero, but replacing its automatic tags (i.e. its topic)
+ *
+ *  @function mergeItem
+ *  @param {Object} item - A Zotero item with a key and an out-of-date version
+ *  @param {Object} current - The current version of the item on Zotero, as returned by the Zotero API (i.e. with its data and version)
+ *  @returns {Object} The merged item, with the current version of the item on Zotero
+ */
+
+const mergeItem = (item, { data, version }) => {
+  const tags = item.tags || (data.tags || []).filter((tag) => tag.type === 1);
+
+  return {
+    ...data,
+    ...item,
+    collections: [ ...new Set([ ...(data.collections || []), ...(item.collections || []) ]) ],
+    tags: [ ...tags, ...(data.tags || []).filter((tag) => tag.type !== 1 && !tags.some((existing) => existing.tag === tag.tag)) ],
+    relations: { ...data.relations, ...item.relations },
+    version
+  };
+};
+
+/**
+ *  Fetches the current version of items which have changed on Zotero since the version being updated, and merges the fields of each updated item onto it with {@link mergeItem}
+ *
+ *  @async
+ *  @function mergeConflicts
+ *  @requires axios
+ *  @param {Object[]} items - An array of Zotero items, each with a key and an out-of-date version
+ *  @returns {?Object[]} The merged items, in the same order, each with the current version of the item on Zotero, or undefined if the current items couldn't be fetched
+ *
+ *  @see [Zotero Web API 3.0 › Syncing › Version Numbers]{@link https://www.zotero.org/support/dev/web_api/v3/syncing#version_numbers}
+ */
+
+const mergeConflicts = async (items) => {
+  try {
+    const response = await zoteroLibrary.get('items', { params: { itemKey: items.map((item) => item.key).join(','), format: 'json' } });
+    const current = new Map(response.data.map((item) => [ item.key, item ]));
+
+    return items.map((item) => current.has(item.key) ? mergeItem(item, current.get(item.key)) : item);
+  } catch (err) {
+    console.error(`[ERROR] Couldn't fetch current versions of conflicting items from Zotero: ${err.message}`);
+  }
+};
+
+/**
+ * @typedef {Object} SyncFailure
+ * @property {string} id - The Airtable record ID of the video which failed, or a random ID if it has none
+ * @property {('create'|'update')} operation - Whether the video was being added to Zotero or updated
+ * @property {Object} video - The video object exactly as it was sent to /zotero, so that it can be sent again
+ * @property {?string} jobId - The ID of the last job in which the video failed
+ * @property {?string} key - The Zotero key of the item, if it has one
+ * @property {?number} code - Zotero's error code for the item
+ * @property {string} message - Zotero's error message for the item
+ * @property {number} attempts - The number of times the video has failed
+ * @property {string} firstFailed - When the video first failed
+ * @property {string} lastFailed - When the video last failed
+ * @property {?string} retriedBy - The ID of the job the video was last queued to be retried in, if any
+ */
+
+/**
+ *  Loads the log of {@link SyncFailure|sync failures}, keyed by ID, the first time it's needed
+ *
+ *  @async
+ *  @function loadFailures
+ *  @returns {Promise<Object>} The log of sync failures
+ */
+
+const loadFailures = async () => failures || (failures = (await dataStore.get('zotero/failures')) || {});
+
+/**
+ *  Saves the log of sync failures, one save at a time, so that an older copy of the log can never overwrite a newer one
+ *
+ *  @function saveFailures
+ *  @returns {Promise} Resolves once the log has been saved
+ */
+
+const saveFailures = () => (savingFailures = savingFailures.then(() => dataStore.set('zotero/failures', failures, 0)));
+
+/**
+ *  Returns the ID of a video in the log of sync failures, which is its Airtable record ID, or for a video without one, a hash of its URL and title, so that the same video always has the same ID, however many times it fails
+ *
+ *  @function failureId
+ *  @requires crypto
+ *  @param {Object} video - A video object, as sent to /zotero
+ *  @returns {string} The video's ID in the log of sync failures
+ */
+
+const failureId = (video) =>
+  /^rec[\w]{14}$/.test(video.recordId) ? video.recordId : crypto.createHash('sha256').update(`${video.url || ''}|${video.title || ''}`).digest('hex').slice(0, 16);
+
+/**
+ *  Records videos rejected by Zotero in the log of sync failures, along with Zotero's error code and message for each, counting the attempts of any video which has failed before
+ *
+ *  @async
+ *  @function recordFailures
+ *  @param {Object[]} rejected - The videos which failed, each as { video, failure }, where failure is Zotero's error for the video's item (see {@link ZoteroResponse})
+ *  @param {('create'|'update')} operation - Whether the videos were being added to Zotero or updated
+ *  @param {?string} jobId - The ID of the job in which the videos failed
+ */
+
+const recordFailures = async (rejected, operation, jobId) => {
+  await loadFailures();
+  const now = new Date().toISOString();
+
+  rejected.forEach(({ video, failure }) => {
+    const id = failureId(video);
+    const previous = failures[id];
+
+    failures[id] = {
+      id,
+      operation,
+      video,
+      jobId,
+      key: failure.key || null,
+      code: failure.code || null,
+      message: failure.message || 'Unknown error',
+      attempts: previous ? previous.attempts + 1 : 1,
+      firstFailed: previous ? previous.firstFailed : now,
+      lastFailed: now,
+      retriedBy: null
+    };
+  });
+
+  console.error(`› Logged ${rejected.length} failed video${rejected.length === 1 ? '' : 's'} to retry later.`);
+  await saveFailures();
+};
+
+/**
+ *  Removes videos which have since been posted successfully from the log of sync failures
+ *
+ *  @async
+ *  @function clearFailures
+ *  @param {Object[]} videos - The videos which were posted, as sent to /zotero
+ */
+
+const clearFailures = async (videos) => {
+  await loadFailures();
+  const cleared = [ ...new Set(videos.map(failureId)) ].filter((id) => failures[id]);
+  
+  if (cleared.length > 0) {
+    cleared.forEach((id) => delete failures[id]);
+    console.log(`› Cleared ${cleared.length} previously failed video${cleared.length === 1 ? '' : 's'} from the failure log.`);
+    await saveFailures();
+  }
+};
+
 /**
  *  Posts a new collection to the ESOVDB public Zotero library.
  *  
@@ -182,9 +512,9 @@ const postItems = async (items) => {
 
 const createCollection = async (name, parent) => {
   try {
-    if (collections.get(parent)) {
+    if (registry.parent(parent)) {
       console.log(`No ${parent} collection named "${name}", creating new collection...`);
-      return await zoteroLibrary.post('collections', [{ name: name, parentCollection: collections.get(parent) }]);
+      return await zoteroLibrary.post('collections', [{ name: name, parentCollection: registry.parent(parent) }]);
     } else {
       throw new Error('[ERROR] Unrecognized parent collection.');
     }
@@ -198,71 +528,28 @@ const createCollection = async (name, parent) => {
  *
  *  @async
  *  @function formatItems
- *  @requires fs
- *  @requires util.packageAuthors
- *  @requires util.formatDuration
- *  @requires util.formatDate
+ *  @requires fields
  *  @param {Object} video - An object representing a video from the ESOVDB, retrieved from the ESOVDB either through the API or through Airtable's automation feature
  *  @param {Object} template - A valid Zotero item template, retrieved from Zotero using {@link getTemplate}
+ *  @param {boolean} [dryRun=false] - Whether to leave out the series collection instead of creating it on Zotero (and syncing its key with the ESOVDB) if it doesn't exist yet, so that nothing is written
  *  @returns {Object} A properly-formatted and populated object for use in either a single-item or multiple-item Zotero write request
  *
  *  @see [Zotero Web API 3.0 › Write Requests › Item Requests]{@link https://www.zotero.org/support/dev/web_api/v3/write_requests#item_requests}
  */
 
-const formatItems = async (video, template) => {
-  let extras = [];
-  video.presenters = packageAuthors(video.presentersFirstName, video.presentersLastName);
-  if (video.topic) extras.push({ title: 'Topic', value: video.topic });
-  if (video.tagsList) extras.push({ title: 'Tags', value: video.tagsList });
-  if (video.location) extras.push({ title: 'Location', value: video.location });
-  if (video.plusCode) extras.push({ title: 'Plus Code', value: video.plusCode });
-  if (video.learnMore) extras.push({ title: 'Learn More', value: video.learnMore });
-  
-  const presenters = video.presenters.length > 0
-      ? video.presenters.map((presenter) => !presenter.firstName || !presenter.lastName
-        ? {
-            creatorType: 'contributor',
-            name: presenter.firstName || '' + presenter.lastName || '',
-          }
-        : {
-            creatorType: 'contributor',
-            firstName: presenter.firstName,
-            lastName: presenter.lastName,
-          })
-      : {
-          creatorType: 'contributor',
-          name: 'Unknown',
-        };
+const formatItems = async (video, template, dryRun = false) => {
+  video = fields.normalize('videos', video);
 
   const payload = {
     ...template,
+    ...fields.toZotero(video),
     itemType: 'videoRecording',
-    title: video.title || '',
-    creators: presenters,
-    abstractNote: video.desc || '',
-    videoRecordingFormat: video.format || '',
-    seriesTitle: video.series || '',
-    volume: video.vol ? `${video.vol || ''}:${video.no || ''}` : video.no || '',
-    numberOfVolumes: video.seriesCount > 1 ? video.seriesCount : '',
-    place: video.provider || '',
-    studio: video.publisher || '',
-    date: video.year || '',
-    runningTime: formatDuration(video.runningTime) || '',
-    language: video.language || '',
     ISBN: '',
     shortTitle: '',
-    url: video.url || '',
-    accessDate: formatDate(video.accessDate) || '',
     archive: 'Earth Science Online Video Database',
-    archiveLocation:
-      'https://airtable.com/tbl3WP689vHdmg7P2/viwD9Tpr6JAAr97CW/' +
-      video.recordId,
     libraryCatalog: '',
-    callNumber: video.esovdbId || '',
     rights: '',
-    extra: extras.map((item) => item.title + ': ' + item.value).join('\n'),
-    tags: [],
-    collections: topics.get(video.topic) ? [ topics.get(video.topic) ] : [],
+    collections: registry.topic(video.topic) && registry.topic(video.topic).zoteroKey ? [ registry.topic(video.topic).zoteroKey ] : [],
     relations: {},
   };
   
@@ -274,22 +561,26 @@ const formatItems = async (video, template) => {
   if (video.series) {
     if (video.zoteroSeries) {
       payload.collections.push(video.zoteroSeries);
-    } else {
+    } else if (registry.series(video.series) && registry.series(video.series).zoteroKey) {
+      payload.collections.push(registry.series(video.series).zoteroKey);
+    } else if (!dryRun) {
       try {
         const { data } = await createCollection(video.series, 'series');
 
         if (data.success && Object.values(data.success).length > 0) {
           console.log(`› Successfully created collection "${video.series}" under "Series".`)
           payload.collections.push(data.success[0]);
+          await registry.setKey('series', video.series, data.success[0], video.seriesId);
           const updateSeriesResponse = await updateTable([{ id: video.seriesId, fields: { 'Zotero Key': data.success[0] } }], 'Series');
           
-          if (updateSeriesResponse && updateSeriesResponse.length > 0) {
+          if (updateSeriesResponse && updateSeriesResponse.written > 0) {
             console.log('› Successfully synced series collection key with the ESOVDB.');
           } else {
             throw new Error('[ERROR] Failed to sync series collection key with the ESOVDB');
          } 
         } else {
-          const message = data.failed.length > 1 && data.failed[0].message ? data.failed[0].message : '';
+          const [ failure ] = Object.values(data.failed || {});
+          const message = failure && failure.message ? failure.message : '';
           throw new Error(`[ERROR] Failed to create series collection${message ? ' (' + message + ')' : ''}.`);
         }
       } catch (err) {
@@ -301,95 +592,853 @@ const formatItems = async (video, template) => {
   return payload;
 };
 
+/**
+ *  Retrieves the child items of a Zotero item
+ *
+ *  @async
+ *  @function getChildren
+ *  @requires axios
+ *  @param {string} key - The parent item's Zotero key
+ *  @returns {Promise<Object[]>} The data of each of the item's child items, including its key and version
+ *
+ *  @see [Zotero Web API 3.0 › Basics › Items]{@link https://www.zotero.org/support/dev/web_api/v3/basics#items}
+ */
+
+const getChildren = async (key) => {
+  const { data } = await zoteroLibrary.get(`items/${key}/children`, { params: { format: 'json', limit: 100 } });
+  return data.map((child) => child.data);
+};
+
+/**
+ *  Loads the fingerprints of the child items last synced for each Zotero item, keyed by the item's key, the first time they're needed
+ *
+ *  @async
+ *  @function loadFingerprints
+ *  @returns {Promise<Object>} Maps the key of each Zotero item to a hash of the child items it was last synced with
+ */
+
+const loadFingerprints = async () => fingerprints || (fingerprints = (await dataStore.get('zotero/children')) || {});
+
+/**
+ *  Saves the fingerprints of the child items last synced, one save at a time, so that an older copy can never overwrite a newer one
+ *
+ *  @function saveFingerprints
+ *  @returns {Promise} Resolves once the fingerprints have been saved
+ */
+
+const saveFingerprints = () => (savingFingerprints = savingFingerprints.then(() => dataStore.set('zotero/children', fingerprints, 0)));
+
+/**
+ *  Hashes the child items a video should have, so that items whose links and note haven't changed since they were last synced can be skipped
+ *
+ *  @function fingerprintOf
+ *  @requires crypto
+ *  @param {Object[]} children - The child items the video should have, built with {@link fields.toZoteroChildren}
+ *  @returns {string} A hex-encoded hash of the child items
+ */
+
+const fingerprintOf = (children) => crypto.createHash('sha256').update(JSON.stringify(children)).digest('hex').slice(0, 32);
+
+/**
+ *  Compares the child items a video should have, built with {@link fields.toZoteroChildren}, with the child items its Zotero item already has, and works out which to create, update, or delete.  Only child items written by this server (see {@link fields.isOwnChild}) are ever updated or deleted, so notes and attachments added on Zotero by hand are left alone.  Link attachments are matched by title and URL, and the note is updated in place if its HTML has changed.
+ *
+ *  @function planChildren
+ *  @param {string} key - The parent item's Zotero key
+ *  @param {Object[]} desired - The child items the video should have
+ *  @param {Object[]} existing - The data of the item's current child items
+ *  @returns {Object} The child items to create (each with its parentItem), to update (each with its key and version), to keep as they are, and to delete
+ */
+
+const planChildren = (key, desired, existing) => {
+  const unmatched = existing.filter((child) => fields.isOwnChild(child));
+  const plan = { create: [], update: [], keep: [], remove: [] };
+
+  desired.forEach((child) => {
+    const match = unmatched.find((current) => current.itemType === child.itemType && (child.itemType === 'note' || (current.title === child.title && current.url === child.url)));
+
+    if (!match) {
+      plan.create.push({ ...child, parentItem: key });
+    } else {
+      unmatched.splice(unmatched.indexOf(match), 1);
+      if (child.itemType === 'note' && match.note !== child.note) plan.update.push({ key: match.key, version: match.version, note: child.note });
+      else plan.keep.push(match);
+    }
+  });
+
+  plan.remove = unmatched;
+  return plan;
+};
+
+/**
+ *  Brings the child items of Zotero items in line with the videos they were posted from, so that syncing the same video again never duplicates them: each item gets a linked URL attachment to watch the video, one for each Learn More link, and a note with the video's description, presenters, series, and location (see {@link fields.toZoteroChildren}).  Items whose child items haven't changed since they were last synced in full (see {@link fingerprintOf}) are skipped without any requests to Zotero.  The current child items of other items which already existed are retrieved and compared with {@link planChildren}, then child items are created and updated 50 at a time with {@link postItems}, and any left over are deleted with {@link deleteItem}.
+ *
+ *  @async
+ *  @function syncChildren
+ *  @requires fields.toZoteroChildren
+ *  @param {Object[]} videos - The video objects the items were posted from
+ *  @param {Object[]} posted - The Zotero items posted successfully, as returned by {@link postItems}
+ *  @param {string[]} [unchanged=[]] - The keys of Zotero items left unchanged, whose child items might still have changed
+ *  @returns {Promise<Object>} The data of each item's child items, keyed by the key of the item, and the number of child items created, updated, deleted, and failed
+ */
+
+const syncChildren = async (videos, posted, unchanged = []) => {
+  const normalized = videos.map((video) => fields.normalize('videos', video));
+  const byRecordId = new Map(normalized.filter((video) => video.recordId).map((video) => [ video.recordId, video ]));
+  const byKey = new Map(normalized.filter((video) => video.zoteroKey).map((video) => [ video.zoteroKey, video ]));
+  const parents = [
+    ...posted.map((item) => ({ key: item.key, video: byRecordId.get(recordIdOf(item)) })),
+    ...unchanged.map((key) => ({ key, video: byKey.get(key) }))
+  ].filter((parent) => parent.video);
+  const result = { children: {}, created: 0, updated: 0, deleted: 0, failed: 0 };
+  const writes = [], synced = new Map(), incomplete = new Set();
+
+  await loadFingerprints();
+
+  for (const { key, video } of parents) {
+    const desired = fields.toZoteroChildren(video);
+    const fingerprint = fingerprintOf(desired);
+    let existing = [];
+
+    if (video.zoteroKey && fingerprints[key] === fingerprint) {
+      result.children[key] = [];
+      continue;
+    }
+
+    if (video.zoteroKey) {
+      try {
+        existing = await getChildren(key);
+      } catch (err) {
+        console.error(`[ERROR] Couldn't retrieve child items of ${key} from Zotero: ${err.message}`);
+        result.failed++;
+        continue;
+      }
+    }
+
+    const plan = planChildren(key, desired, existing);
+    result.children[key] = plan.keep;
+    synced.set(key, fingerprint);
+    writes.push(...plan.create, ...plan.update.map((child) => ({ ...child, parentItem: key })));
+
+    for (const child of plan.remove) {
+      try {
+        await deleteItem(child.key, child.version);
+        result.deleted++;
+      } catch (err) {
+        console.error(`[ERROR] Couldn't delete child item ${child.key} from Zotero: ${err.message}`);
+        result.failed++;
+        incomplete.add(key);
+      }
+    }
+  }
+
+  for (let i = 0; i < writes.length; i += 50) {
+    const batch = writes.slice(i, i + 50);
+    console.log(`Posting ${batch.length} child item${batch.length === 1 ? '' : 's'} (links and notes) to Zotero...`);
+    const response = await postItems(batch, false);
+
+    if (!response) {
+      result.failed += batch.length;
+      batch.forEach((write) => incomplete.add(write.parentItem));
+      continue;
+    }
+
+    response.failed.forEach((failure) => incomplete.add(batch[failure.index].parentItem));
+
+    response.successful.forEach((child) => {
+      const parent = child.data.parentItem || batch.find((write) => write.key === child.key).parentItem;
+      if (result.children[parent]) result.children[parent].push(child.data);
+    });
+
+    result.created += response.successful.filter((child) => !batch.some((write) => write.key === child.key)).length;
+    result.updated += response.successful.filter((child) => batch.some((write) => write.key === child.key)).length;
+    result.failed += response.failed.length;
+  }
+
+  synced.forEach((fingerprint, key) => {
+    if (!incomplete.has(key)) fingerprints[key] = fingerprint;
+  });
+
+  if (synced.size > 0) await saveFingerprints();
+  return result;
+};
+
+/**
+ *  Performs a Zotero sync job queued by {@link syncItems}: retrieves a new item template from the Zotero API using {@link getTemplate}, maps the job's video objects to valid new or updated Zotero items (depending on whether a Zotero key and version are passed) using {@link formatItems}, posts them to a Zotero library 50 at a time using {@link postItems}, creates or updates their child items using {@link syncChildren}, posts new items to Discord, and then syncs the updated Zotero version (if updated) or newly acquired Zotero key and version (if created) back with the ESOVDB for each item successfully posted to the Zotero library, using {@link updateTable}.  Progress is saved after every batch, so that a job which is retried after an error picks up after the last batch it posted, without posting to Discord twice, and each batch is posted with a write token derived from the job's ID and the batch's offset, so that a batch which Zotero accepted just before the job was interrupted isn't posted twice, but recovered with {@link recoverBatch}.  Items posted without an ESOVDB record ID at the end of their archiveLocation can't be synced back, and are skipped.  Videos rejected by Zotero are recorded in the log of sync failures with {@link recordFailures}, and videos which are posted are cleared from it.
+ *
+ *  @async
+ *  @function syncVideos
+ *  @param {Object} payload - The job's payload
+ *  @param {Object[]} payload.videos - An array of objects representing records from the ESOVDB videos table in Airtable
+ *  @param {('create'|'update')} payload.operation - Whether the videos are being added to Zotero or updated
+ *  @param {Object} context - The job's context (see {@link jobs.register})
+ *  @param {?Object} context.state - What the job saved before it was last interrupted, if it's being retried
+ *  @param {Function} context.save - Saves the job's progress and state
+ *  @param {string} context.id - The ID of the job
+ *  @returns {Object} The number of items added or updated, left unchanged, and failed in Zotero, the number of child items created, updated, deleted, and failed, and the {@link esovdb.WriteReport} of Zotero keys and versions synced with the ESOVDB
+ */
+
+const syncVideos = async ({ videos, operation }, { state, save, id }) => {
+  const progress = state || { offset: 0, successful: 0, unchanged: 0, failed: 0, children: { created: 0, updated: 0, deleted: 0, failed: 0 }, posted: [], announced: false };
+  const summary = () => ({ total: videos.length, processed: progress.offset, successful: progress.successful, unchanged: progress.unchanged, failed: progress.failed, children: progress.children });
+  const template = await getTemplate();
+
+  if (!template) throw new Error(`[ERROR] Couldn't retrieve template from Zotero.`);
+
+  if (progress.version === undefined) {
+    progress.version = await libraryVersion();
+    await save({ state: progress });
+  }
+
+  while (progress.offset < videos.length) {
+    const batch = videos.slice(progress.offset, progress.offset + 50);
+    const items = await queueAsync(batch.map((video) => () => formatItems(video, template)));
+
+    console.log(`Posting item${batch.length === 1 ? '' : 's'} ${progress.offset + 1}${batch.length > 1 ? '-' + (progress.offset + batch.length) : ''} of ${videos.length} total to Zotero...`);
+    let response = await postItems(items, true, writeTokenOf(id, progress.offset));
+
+    if (response && response.duplicate) response = await recoverBatch(batch, progress.version);
+    if (!response) throw new Error(`[ERROR] Couldn't post item${batch.length === 1 ? '' : 's'} ${progress.offset + 1}${batch.length > 1 ? '-' + (progress.offset + batch.length) : ''} to Zotero.`);
+
+    if (response.failed.length > 0) await recordFailures(response.failed.map((failure) => ({ video: batch[failure.index], failure })), operation, id);
+    await clearFailures(batch.filter((video, index) => !response.failed.some((failure) => failure.index === index)));
+
+    const children = await syncChildren(batch, response.successful, response.unchanged);
+    if (children.failed > 0) console.error(`[ERROR] Couldn't sync ${children.failed} child item${children.failed === 1 ? '' : 's'} on Zotero.`);
+
+    progress.offset += batch.length;
+    progress.version = response.version || progress.version;
+    progress.successful += response.successful.length;
+    progress.unchanged += response.unchanged.length;
+    progress.failed += response.failed.length;
+    [ 'created', 'updated', 'deleted', 'failed' ].forEach((count) => (progress.children[count] += children[count]));
+    progress.posted = [ ...progress.posted, ...response.successful.map((item) => ({ ...item, children: children.children[item.key] || [] })) ];
+    await save({ progress: summary(), state: progress });
+  }
+
+  console.log('Zotero response summary:');
+  if (progress.successful > 0) console.log(`› [${progress.successful}] item${progress.successful === 1 ? '' : 's'} total added or updated.`);
+  if (progress.unchanged > 0) console.log(`› [${progress.unchanged}] item${progress.unchanged === 1 ? '' : 's'} total left unchanged.`);
+  if (progress.failed > 0) console.log(`› [${progress.failed}] item${progress.failed === 1 ? '' : 's'} total failed to add or update.`);
+
+  if (progress.posted.length === 0) {
+    console.log('No items were posted to Zotero.');
+    return { ...summary(), synced: null };
+  }
+
+  const posted = progress.posted;
+  const unlinked = posted.filter((item) => !recordIdOf(item));
+  const itemsToSync = posted.filter((item) => recordIdOf(item)).map((item) => ({
+    id: recordIdOf(item),
+    fields: {
+      'Zotero Key': item.key,
+      'Zotero Version': item.version,
+    }
+  }));
+
+  if (unlinked.length > 0) {
+    console.error(`[ERROR] Skipped syncing ${unlinked.length} item${unlinked.length === 1 ? '' : 's'} with the ESOVDB, with no record ID in ${unlinked.length === 1 ? 'its' : 'their'} archive location: ${unlinked.map((item) => item.key).join(', ')}.`);
+  }
+
+  if (operation === 'create' && !progress.announced) {
+    console.log('Posting new items to Discord in the #whats-new channel...');
+    let announced = 0;
+
+    for (const item of posted) {
+      try {
+        await webhook.execute(item, 'discord', 'newSubmission');
+        announced++;
+      } catch (err) {
+        console.error(`[ERROR] Couldn't post item ${item.key} to Discord: ${err.message}`);
+      }
+
+      if (posted.length > 30) await sleep(2);
+    }
+
+    if (announced > 0) {
+      console.log(`› [${announced}] item${announced === 1 ? '' : 's'} successfully posted to Discord in #whats-new.`);
+    }
+
+    progress.announced = true;
+    await save({ state: progress });
+  }
+
+  if (itemsToSync.length === 0) return { ...summary(), synced: null };
+
+  const updated = await updateTable(itemsToSync, 'Videos');
+
+  if (updated && updated.written > 0) {
+    console.log(`› [${updated.written}] item${updated.written === 1 ? '\'s' : 's\''} Zotero key and version synced with the ESOVDB.`);
+    if (updated.failed > 0) console.log(`› [${updated.failed}] item${updated.failed === 1 ? '\'s' : 's\''} Zotero key and version failed to sync with the ESOVDB.`);
+    return { ...summary(), synced: updated };
+  } else {
+    throw new Error('[ERROR] Error syncing items with the ESOVBD.');
+  }
+};
+
+/**
+ *  Compares a property's value from Zotero with its value from the ESOVDB, ignoring the differences in type between them (e.g. '3' and 3)
+ *
+ *  @function sameValue
+ *  @param {*} a - A property's value from one side
+ *  @param {*} b - The property's value from the other side
+ *  @returns {boolean} Whether the values are the same
+ */
+
+const sameValue = (a, b) =>
+  typeof a === 'object' || typeof b === 'object' ? JSON.stringify(a) === JSON.stringify(b) : String(a === undefined || a === null ? '' : a) === String(b === undefined || b === null ? '' : b);
+
+/**
+ *  Puts a Zotero item field's value into a form which can be compared, ignoring differences which Zotero doesn't preserve, such as the order of collections and tags, and the type of manual tags, which Zotero leaves out
+ *
+ *  @function comparable
+ *  @param {string} field - The name of the Zotero item field
+ *  @param {*} value - The field's value
+ *  @returns {*} The field's value, in a comparable form
+ */
+
+const comparable = (field, value) =>
+  field === 'tags' ? (value || []).map((tag) => `${tag.tag}|${tag.type || 0}`).sort()
+    : field === 'collections' ? [ ...(value || []) ].sort()
+    : value;
+
+/**
+ *  Checks whether a Zotero item field's value is empty, i.e. an empty string, array, or object, or missing altogether
+ *
+ *  @function isEmpty
+ *  @param {*} value - The field's value
+ *  @returns {boolean} Whether the value is empty
+ */
+
+const isEmpty = (value) =>
+  value === undefined || value === null || value === '' || (typeof value === 'object' && Object.keys(value).length === 0);
+
+/**
+ *  Previews what syncing videos with Zotero would do, without writing anything: formats each video as {@link syncVideos} would with {@link formatItems} (but without creating series collections), retrieves the current version of each item which already exists on Zotero, 50 at a time, merges updates onto items which have changed on Zotero since the version sent with {@link mergeItem}, just as {@link postItems} would, and then compares each field sent with the field's current value on Zotero.  Nothing is written to Zotero or the ESOVDB, and nothing is posted to Discord.
+ *
+ *  @async
+ *  @function previewVideos
+ *  @requires axios
+ *  @param {Object[]} videos - An array of objects representing records from the ESOVDB videos table in Airtable
+ *  @returns {Promise<Object>} The number of items which would be created, updated, left unchanged, or couldn't be found on Zotero, and for each video, what would happen to its item, and the fields which would change, each with its current value on Zotero and the value which would be sent
+ */
+
+const previewVideos = async (videos) => {
+  const template = await getTemplate();
+  if (!template) throw new Error(`[ERROR] Couldn't retrieve template from Zotero.`);
+
+  const normalized = videos.map((video) => fields.normalize('videos', video));
+  const items = await queueAsync(videos.map((video) => () => formatItems(video, template, true)));
+  const keys = items.filter((item) => item.key).map((item) => item.key);
+  const current = new Map();
+
+  for (let i = 0; i < keys.length; i += 50) {
+    const response = await zoteroLibrary.get('items', { params: { itemKey: keys.slice(i, i + 50).join(','), format: 'json' } });
+    response.data.forEach((item) => current.set(item.key, item));
+  }
+
+  const preview = items.map((item, index) => {
+    const video = normalized[index];
+    const newCollection = video.series && !video.zoteroSeries && !(registry.series(video.series) && registry.series(video.series).zoteroKey) ? video.series : null;
+    const { key, version, ...data } = item;
+    const result = { index, recordId: video.recordId || null };
+
+    if (newCollection) result.newCollection = newCollection;
+
+    if (!key) {
+      return {
+        ...result,
+        action: 'create',
+        changes: Object.fromEntries(Object.entries(data).filter(([ , value ]) => !isEmpty(value)).map(([ field, value ]) => [ field, { from: null, to: value } ])),
+        children: fields.toZoteroChildren(video).map((child) => ({ itemType: child.itemType, title: child.title || null, url: child.url || null }))
+      };
+    }
+
+    if (!current.has(key)) {
+      return { ...result, action: 'missing', key, version, message: 'Item not found on Zotero.' };
+    }
+
+    const existing = current.get(key);
+    const conflict = existing.version > version;
+    const outgoing = conflict ? mergeItem(item, existing) : item;
+    const changes = Object.fromEntries(
+      Object.keys(outgoing)
+        .filter((field) => field !== 'key' && field !== 'version' && !sameValue(comparable(field, outgoing[field]), comparable(field, existing.data[field])))
+        .map((field) => [ field, { from: existing.data[field] === undefined ? null : existing.data[field], to: outgoing[field] } ])
+    );
+
+    return { ...result, action: Object.keys(changes).length > 0 ? 'update' : 'unchanged', key, version, currentVersion: existing.version, conflict, changes };
+  });
+
+  const count = (action) => preview.filter((item) => item.action === action).length;
+  console.log(`› Dry run: ${count('create')} to create, ${count('update')} to update, ${count('unchanged')} unchanged, ${count('missing')} missing on Zotero.`);
+
+  return { total: videos.length, create: count('create'), update: count('update'), unchanged: count('unchanged'), missing: count('missing'), items: preview };
+};
+
+/**
+ *  Performs a Zotero pull job queued by {@link pullItems}: retrieves every video recording changed in the Zotero library since the last library version pulled (or a given version), maps each back onto ESOVDB video properties with {@link fields.fromZotero}, compares them with the video's current record on the ESOVDB, decides which side wins for each property that differs using {@link pullPolicy}, and writes the properties Zotero wins back to the ESOVDB with {@link esovdb.processUpdates}, along with the item's new Zotero version.  Items whose Zotero version is already on the ESOVDB were synced from the ESOVDB in the first place, and are skipped.  The library version pulled is saved for the next pull.
+ *
+ *  @async
+ *  @function pullVideos
+ *  @requires axios
+ *  @requires fields
+ *  @param {Object} payload - The job's payload
+ *  @param {?number} [payload.since] - The library version to pull changes since, instead of the last version pulled
+ *  @returns {Object} The library versions pulled since and up to, the number of items changed on Zotero, each property which differed and which side won, any items skipped, and the {@link esovdb.WriteReport} of records updated
+ *
+ *  @see [Zotero Web API 3.0 › Syncing › Retrieving Updated Data]{@link https://www.zotero.org/support/dev/web_api/v3/syncing#retrieving_updated_data}
+ */
+
+const pullVideos = async ({ since }) => {
+  const last = (await dataStore.get('zotero/pull')) || { version: 0, time: null };
+  const from = since !== undefined && since !== null ? since : last.version;
+  const props = fields.definitions('videos').filter((definition) => definition.zotero && definition.prop !== 'recordId' && (pullPolicy.get(definition.prop) || pullDefault) !== 'airtable').map((definition) => definition.prop);
+
+  console.log(`Pulling changes from Zotero since library version ${from}...`);
+  const { items, version } = await itemsSince(from);
+
+  console.log(`› ${items.length} item${items.length === 1 ? '' : 's'} changed on Zotero.`);
+
+  const pulled = items.map((item) => ({ item, video: fields.fromZotero(item.data) }));
+  const records = await findRecords('Videos', pulled.map(({ video }) => video.recordId).filter((id) => id), fields.airtableFields('videos', [ ...props, 'zoteroVersion', 'modified' ]));
+  const recordsById = new Map(records.map((record) => [ record.id, record ]));
+  const updates = [], changes = [], skipped = [];
+
+  pulled.forEach(({ item, video }) => {
+    if (!recordsById.has(video.recordId)) {
+      return skipped.push({ key: item.key, recordId: video.recordId || null, reason: 'No matching record on the ESOVDB.' });
+    }
+
+    const current = fields.fromRecord('videos', recordsById.get(video.recordId), [ ...props, 'zoteroVersion', 'modified' ]);
+    if (+current.zoteroVersion >= item.version) return;
+
+    const zoteroIsNewer = Date.parse(item.data.dateModified) > Date.parse(current.modified);
+    const pull = {};
+
+    props.filter((prop) => !sameValue(video[prop], current[prop])).forEach((prop) => {
+      const policy = pullPolicy.get(prop) || pullDefault;
+      const winner = policy === 'newer' ? (zoteroIsNewer ? 'zotero' : 'airtable') : policy;
+      const writable = fields.definitions('videos', [ prop ]).every((definition) => fields.writable(definition));
+
+      if (winner === 'zotero' && writable) pull[prop] = video[prop];
+      changes.push({ key: item.key, recordId: video.recordId, prop, zotero: video[prop], airtable: current[prop], winner, pulled: winner === 'zotero' && writable });
+    });
+
+    if (Object.keys(pull).length > 0) {
+      updates.push({ id: video.recordId, fields: { ...fields.toAirtable('videos', pull), 'Zotero Version': item.version } });
+    }
+  });
+
+  const unwritable = changes.filter((change) => change.winner === 'zotero' && !change.pulled);
+  if (unwritable.length > 0) console.log(`› ${unwritable.length} change${unwritable.length === 1 ? '' : 's'} on Zotero can't be written to the ESOVDB (e.g. to linked records), and must be made on the ESOVDB by hand.`);
+
+  let updated = null;
+
+  if (updates.length > 0) {
+    updated = await updateTable(updates, 'Videos');
+    if (!updated) throw new Error(`[ERROR] Couldn't write changes from Zotero to the ESOVDB.`);
+  }
+
+  await dataStore.set('zotero/pull', { version, time: new Date().toISOString() }, 0);
+  console.log(`› Pulled Zotero library up to version ${version}.`);
+  return { since: from, version, items: items.length, changes, skipped, updated };
+};
+
+/**
+ *  Permanently deletes a single item from a Zotero library, as of a given version, fetching the item's current version first if no version is given, and trying once more if it has changed since then
+ *
+ *  @async
+ *  @function deleteItem
+ *  @requires axios
+ *  @param {string} key - The item's Zotero key
+ *  @param {?number} version - The item's last known Zotero version, if any
+ *  @param {boolean} [retry=true] - Whether to try again with the current version if the item has changed
+ *  @returns {Promise<boolean>} Resolves true once the item is gone, including if it was already gone
+ *
+ *  @see [Zotero Web API 3.0 › Write Requests › Deleting an Item]{@link https://www.zotero.org/support/dev/web_api/v3/write_requests#deleting_an_item}
+ */
+
+const deleteItem = async (key, version, retry = true) => {
+  try {
+    if (version === undefined || version === null) {
+      console.log(`› No version of item ${key} is known, retrieving its current version...`);
+      ({ data: { version } } = await zoteroLibrary.get(`items/${key}`));
+    }
+
+    await zoteroLibrary.delete(`items/${key}`, { headers: { 'If-Unmodified-Since-Version': version } });
+    return true;
+  } catch (err) {
+    if (err.response && err.response.status === 404) return true;
+    if (!err.response || err.response.status !== 412 || !retry) throw err;
+
+    console.log(`› Item ${key} has changed on Zotero since version ${version}, deleting current version...`);
+    const { data } = await zoteroLibrary.get(`items/${key}`);
+    return deleteItem(key, data.version, false);
+  }
+};
+
+/**
+ *  Permanently deletes a series collection from the Zotero library if it no longer has any items outside of the trash, as long as it's a subcollection of the Series collection, i.e. one created by {@link createCollection}
+ *
+ *  @async
+ *  @function removeEmptyCollection
+ *  @requires axios
+ *  @param {string} key - The series collection's Zotero key
+ *  @returns {Promise<boolean>} Whether the collection was removed
+ */
+
+const removeEmptyCollection = async (key) => {
+  const { data: collection } = await zoteroLibrary.get(`collections/${key}`);
+  if (collection.data.parentCollection !== registry.parent('series')) return false;
+
+  const items = await zoteroLibrary.get(`collections/${key}/items/top`, { params: { limit: 1, format: 'keys' } });
+  if (+items.headers['total-results'] > 0) return false;
+
+  const version = collection.version !== undefined ? collection.version : collection.data.version;
+  if (version === undefined) throw new Error(`[ERROR] Zotero didn't return a version for series collection ${key}.`);
+
+  console.log(`› Series collection "${collection.data.name}" is empty, removing...`);
+  await zoteroLibrary.delete(`collections/${key}`, { headers: { 'If-Unmodified-Since-Version': version } });
+  return true;
+};
+
+/**
+ *  Performs a Zotero removal job queued by {@link removeItems}: moves each video's Zotero item to the trash, or deletes it permanently, 50 at a time, then removes any series collections left empty with {@link removeEmptyCollection} and clears their Zotero keys on the ESOVDB, and finally clears the Zotero key and version of each removed video on the ESOVDB with {@link updateTable}, for any videos whose records haven't themselves been deleted.  Progress is saved after every batch, so that a job which is retried after an error picks up after the last batch it removed.
+ *
+ *  @async
+ *  @function removeVideos
+ *  @param {Object} payload - The job's payload
+ *  @param {Object[]} payload.videos - An array of objects representing records from the ESOVDB videos table in Airtable, each with at least a recordId, zoteroKey, and zoteroVersion
+ *  @param {boolean} payload.permanent - Whether to delete the items permanently, instead of moving them to the trash
+ *  @param {Object} context - The job's context (see {@link jobs.register})
+ *  @param {?Object} context.state - What the job saved before it was last interrupted, if it's being retried
+ *  @param {Function} context.save - Saves the job's progress and state
+ *  @returns {Object} The keys of the items removed, the videos skipped and why, the series collections removed, and the {@link esovdb.WriteReport} of Zotero keys cleared on the ESOVDB, or null if none were cleared
+ */
+
+const removeVideos = async ({ videos, permanent }, { state, save }) => {
+  const normalized = videos.map((video) => fields.normalize('videos', video));
+  const removable = normalized.filter((video) => video.zoteroKey);
+  const progress = state || { offset: 0, removed: [], failed: [], cleared: false };
+  const summary = () => ({ total: removable.length, processed: progress.offset, removed: progress.removed.length, failed: progress.failed.length });
+
+  while (progress.offset < removable.length) {
+    const batch = removable.slice(progress.offset, progress.offset + 50);
+    console.log(`${permanent ? 'Deleting' : 'Trashing'} item${batch.length === 1 ? '' : 's'} ${progress.offset + 1}${batch.length > 1 ? '-' + (progress.offset + batch.length) : ''} of ${removable.length} total on Zotero...`);
+
+    if (permanent) {
+      for (const video of batch) {
+        try {
+          await deleteItem(video.zoteroKey, video.zoteroVersion);
+          progress.removed.push({ key: video.zoteroKey, recordId: video.recordId });
+        } catch (err) {
+          if (!err.response) throw err;
+          progress.failed.push({ key: video.zoteroKey, recordId: video.recordId, code: err.response.status, message: err.message });
+        }
+      }
+    } else {
+      const response = await postItems(batch.map((video) => ({ key: video.zoteroKey, version: video.zoteroVersion, deleted: 1 })));
+      if (!response) throw new Error(`[ERROR] Couldn't trash item${batch.length === 1 ? '' : 's'} ${progress.offset + 1}${batch.length > 1 ? '-' + (progress.offset + batch.length) : ''} on Zotero.`);
+
+      const failedKeys = new Set(response.failed.map((failure) => batch[failure.index].zoteroKey));
+      progress.removed.push(...batch.filter((video) => !failedKeys.has(video.zoteroKey)).map((video) => ({ key: video.zoteroKey, recordId: video.recordId })));
+      progress.failed.push(...response.failed.map((failure) => ({ key: batch[failure.index].zoteroKey, recordId: batch[failure.index].recordId, code: failure.code, message: failure.message })));
+    }
+
+    progress.offset += batch.length;
+    await save({ progress: summary(), state: progress });
+  }
+
+  await loadFingerprints();
+  progress.removed.forEach((item) => delete fingerprints[item.key]);
+  if (progress.removed.length > 0) await saveFingerprints();
+
+  const removedIds = new Set(progress.removed.map((item) => item.recordId));
+  const seriesKeys = [ ...new Set(normalized.filter((video) => removedIds.has(video.recordId) && video.zoteroSeries).map((video) => video.zoteroSeries)) ];
+  const removedCollections = [];
+
+  for (const key of seriesKeys) {
+    try {
+      if (await removeEmptyCollection(key)) {
+        removedCollections.push(key);
+        if (registry.byKey('series', key)) await registry.setKey('series', registry.byKey('series', key).name, null);
+      }
+    } catch (err) {
+      console.error(`[ERROR] Couldn't remove series collection ${key}: ${err.message}`);
+    }
+  }
+
+  if (removedCollections.length > 0) {
+    const series = await findRecords('Series', removedCollections, [ 'Zotero Key' ], 'Zotero Key');
+    if (series.length > 0) await updateTable(series.map((record) => ({ id: record.id, fields: { 'Zotero Key': null } })), 'Series');
+  }
+
+  let updated = null;
+  const existing = await findRecords('Videos', progress.removed.map((item) => item.recordId), [ 'Zotero Key' ]);
+
+  if (existing.length > 0) {
+    updated = (await updateTable(existing.map((record) => ({ id: record.id, fields: { 'Zotero Key': null, 'Zotero Version': null } })), 'Videos')) || null;
+  }
+
+  console.log(`› ${progress.removed.length} item${progress.removed.length === 1 ? '' : 's'} ${permanent ? 'deleted' : 'moved to the trash'} on Zotero, ${progress.failed.length} failed.`);
+
+  return {
+    ...summary(),
+    removed: progress.removed,
+    failed: progress.failed,
+    skipped: normalized.filter((video) => !video.zoteroKey).map((video) => ({ recordId: video.recordId || null, reason: 'No Zotero key.' })),
+    collections: removedCollections,
+    updated
+  };
+};
+
+/**
+ *  Lists every subcollection of a parent collection in the Zotero library, 100 at a time
+ *
+ *  @async
+ *  @function listCollections
+ *  @requires axios
+ *  @param {string} parent - The key of the parent collection
+ *  @returns {Promise<Object[]>} Every Zotero collection object directly under the parent collection
+ *
+ *  @see [Zotero Web API 3.0 › Basics › Collections]{@link https://www.zotero.org/support/dev/web_api/v3/basics#collections}
+ */
+
+const listCollections = async (parent) => {
+  const found = [];
+  let start = 0, total = 0;
+
+  do {
+    const response = await zoteroLibrary.get(`collections/${parent}/collections`, { params: { limit: 100, start } });
+    found.push(...response.data);
+    total = +response.headers['total-results'] || 0;
+    start += 100;
+  } while (start < total);
+
+  return found;
+};
+
+/**
+ *  Syncs the topics and series in a newly loaded {@link registry.Registry} with their collections on Zotero: any topic or series without a collection key is matched with the subcollection of the same name under its parent collection, or has one created with {@link createCollection}, and its new key is written back to its record on the ESOVDB with {@link updateTable}.  Series collections on Zotero which aren't in the registry yet are added to it, so that videos in those series aren't given a second collection.  Keys which are already set are left alone.
+ *
+ *  @async
+ *  @function syncCollections
+ *  @param {registry.Registry} current - The newly loaded registry, whose entries are updated in place
+ *  @returns {Promise<Object>} The names of the topics and series matched with existing collections, created on Zotero, or which couldn't be created, and the {@link esovdb.WriteReport} of keys written back to each table on the ESOVDB
+ */
+
+const syncCollections = async (current) => {
+  const summary = { matched: [], created: [], missing: [], updated: {} };
+
+  for (const [ kind, table ] of [ [ 'topics', 'Topics' ], [ 'series', 'Series' ] ]) {
+    if (!current.parents.get(kind)) continue;
+
+    console.log(`Syncing ${kind} with collections on Zotero...`);
+    const existing = new Map((await listCollections(current.parents.get(kind))).map((collection) => [ collection.data.name, collection.key ]));
+    const keys = [];
+
+    for (const entry of current[kind].values()) {
+      if (entry.zoteroKey) continue;
+
+      if (existing.has(entry.name)) {
+        entry.zoteroKey = existing.get(entry.name);
+        summary.matched.push(entry.name);
+      } else {
+        const response = await createCollection(entry.name, kind);
+
+        if (!response || !response.data.success || !response.data.success[0]) {
+          summary.missing.push(entry.name);
+          continue;
+        }
+
+        entry.zoteroKey = response.data.success[0];
+        summary.created.push(entry.name);
+      }
+
+      if (entry.recordId) keys.push({ id: entry.recordId, fields: { 'Zotero Key': entry.zoteroKey } });
+    }
+
+    if (kind === 'series') {
+      existing.forEach((key, name) => current.series.has(name) || current.series.set(name, { name, zoteroKey: key, recordId: null }));
+    }
+
+    if (keys.length > 0) summary.updated[table] = (await updateTable(keys, table)) || null;
+  }
+
+  console.log(`› ${summary.matched.length} collection${summary.matched.length === 1 ? '' : 's'} matched and ${summary.created.length} created on Zotero, ${summary.missing.length} missing.`);
+  return summary;
+};
+
+registry.onRefresh(syncCollections);
+
+jobs.register('zotero', syncVideos);
+jobs.register('zotero-pull', pullVideos);
+jobs.register('zotero-remove', removeVideos);
+
 module.exports = {
   
   /**
-   *  Takes a single ESOVDB video object or an array of ESOVDB video objects from Airtable sent through either POST or PUT [requests]{@link req} to this server's /zotero API endpoint, retrieves a new item template from the Zotero API using {@link getTemplate}, maps those requested video objects to an array valid new or updated Zotero items (depending on whether a Zotero key and version are passed) using {@link formatItems}, attempts to POST that array of formatted items to a Zotero library using {@link postItems}, and then syncs the updated Zotero version (if updated) or newly acquired Zotero key and version (if created) back with the ESOVDB for each item successfully posted to the Zotero library, using {@link updateTable}, sending a server response of 200 with the JSON of any successfully updated/added items.
+   *  Takes a single ESOVDB video object or an array of ESOVDB video objects from Airtable sent through either POST or PUT [requests]{@link req} to this server's /zotero API endpoint and queues them to be synced with Zotero in the background by {@link syncVideos}, sending a server response of 202 with the ID of the queued job, which can be followed at /jobs/:id, or previews the sync without writing anything if the dryRun URL query param is 'true'.
    *
    *  @async
    *  @method syncItems
+   *  @requires jobs
    *  @param {!express:Request} req - Express.js HTTP request context, an enhanced version of Node's http.IncomingMessage class
    *  @param {(Object|Object[])} req.body - A single object or array of objects representing records from the ESOVDB videos table in Airtable, either originally retrieved through this server's esovdb/videos/list endpoint, or sent through an ESOVDB Airtable automation
+   *  @param {string} [req.query.dryRun] - An optional URL query param, which previews the sync with {@link previewVideos} when 'true', sending a server response of 200 with a field-level diff of the items which would be created and updated, instead of queueing a job
    *  @param {!express:Response} res - Express.js HTTP response context, an enhanced version of Node's http.ServerResponse class
+   *  @param {('create'|'update')} operation - Whether the videos are being added to Zotero or updated
    */
   
   syncItems: async (req, res, operation) => {
-    try {
-      const videos = Array.isArray(req.body) ? req.body : Array.of(req.body);
-      const template = await getTemplate();
-      let items = await queueAsync(videos.map((video) => () => formatItems(video, template)));
-
-      let i = 0,
-        totalSuccessful = 0,
-        totalUnchanged = 0,
-        totalFailed = 0,
-        posted = [],
-        queue = items.length;
-
-      while (items.length) {
-        console.log(
-          `Posting item${items.length === 1 ? '' : 's'} ${
-            i * 50 + 1
-          }${items.length > 1 ? '-' : ''}${
-            items.length > 1
-              ? i * 50 +
-                (items.length < 50
-                  ? items.length
-                  : 50)
-              : ''
-          } of ${queue} total to Zotero...`
-        );
-
-        let { successful, unchanged, failed } = await postItems(items.splice(0, 50));
-        if (successful.length > 0) posted = [ ...posted, ...successful ];
-        totalSuccessful += successful.length;
-        totalUnchanged += unchanged.length;
-        totalFailed += failed.length;
-        if (items.length > 50) await sleep(zoteroRateLimit);
-        i++;
-      }
+    const videos = Array.isArray(req.body) ? req.body : Object.keys(req.body || {}).length > 0 ? Array.of(req.body) : [];
 
-      console.log('Zotero response summary:');
-      if (totalSuccessful > 0) console.log(`› [${totalSuccessful}] item${totalSuccessful === 1 ? '' : 's'} total added or updated.`);
-      if (totalUnchanged > 0) console.log(`› [${totalUnchanged}] item${totalUnchanged === 1 ? '' : 's'} total left unchanged.`);
-      if (totalFailed > 0) console.log(`› [${totalFailed}] item${totalFailed === 1 ? '' : 's'} total failed to add or update.`);
-
-      if (posted.length > 0) {
-        const itemsToSync = posted.map((item) => ({
-          id: item.data.archiveLocation.match(/rec[\w]{14}$/)[0],
-          fields: {
-            'Zotero Key': item.key,
-            'Zotero Version': item.version,
-          }
-        }));
-        
-        if (operation === 'create') {
-          console.log('Posting new items to Discord in the #whats-new channel...');
-          const discord = await queueAsync(posted.map((item) => async () => { 
-            const res = webhook.execute(item.data, 'discord', 'newSubmission')
-            if (posted.length > 30) sleep(2);
-            return res;
-          }));
-          
-          if (discord && discord.length > 0) {
-            console.log(`› [${discord.length}] item${discord.length === 1 ? '' : 's'} successfully posted to Discord in #whats-new.`);
-          }
-        }
+    if (videos.length === 0 || videos.some((video) => !video || typeof video !== 'object' || Array.isArray(video))) {
+      return res.status(400).send(JSON.stringify({ Error: 'Request body must be a video object or a non-empty array of video objects.' }));
+    }
 
-        const updated = await updateTable(itemsToSync, 'Videos');
+    if (req.query.dryRun === 'true') {
+      try {
+        const preview = await previewVideos(videos);
+        return res.status(200).send(JSON.stringify({ dryRun: true, operation, ...preview }));
+      } catch (err) {
+        console.error(err.message);
+        return res.status(500).send(JSON.stringify({ Error: 'Unable to preview syncing items with Zotero.' }));
+      }
+    }
 
-        if (updated && updated.length > 0) {
-          console.log(`› [${updated.length}] item${updated.length === 1 ? '\'s' : 's\''} Zotero key and version synced with the ESOVDB.`);
-          res.status(200).send(JSON.stringify(updated));
-        } else {
-          res.status(404).send('Unable to sync Zotero updates with the ESOVDB.');
-          throw new Error('[ERROR] Error syncing items with the ESOVBD.');
-        }
-      } else {
-        res.status(404).send('No items were posted to Zotero.');
+    try {
+      const job = await jobs.enqueue('zotero', { videos, operation });
+      res.status(202).location(`/jobs/${job.id}`).send(JSON.stringify({ jobId: job.id, status: job.status, url: `/jobs/${job.id}` }));
+    } catch (err) {
+      console.error(err.message);
+      res.status(500).send(JSON.stringify({ Error: 'Unable to queue items for syncing with Zotero.' }));
+    }
+  },
+  
+  /**
+   *  Takes a single ESOVDB video object, or an array of them for bulk removals, in the same shape sent to this server's /zotero API endpoint, and queues their Zotero items to be moved to the trash (or deleted permanently) in the background by {@link removeVideos}, sending a server response of 202 with the ID of the queued job, which can be followed at /jobs/:id.
+   *
+   *  @async
+   *  @method removeItems
+   *  @requires jobs
+   *  @param {!express:Request} req - Express.js HTTP request context, an enhanced version of Node's http.IncomingMessage class
+   *  @param {(Object|Object[])} req.body - A single object, or for bulk removals an array of objects, representing records from the ESOVDB videos table in Airtable, each with a Zotero key and version
+   *  @param {string} [req.query.permanent] - An optional URL query param, which deletes the items permanently instead of moving them to the trash when 'true'
+   *  @param {!express:Response} res - Express.js HTTP response context, an enhanced version of Node's http.ServerResponse class
+   *  @param {boolean} bulk - Whether the request is for bulk removals, and so takes an array of video objects
+   */
+  
+  removeItems: async (req, res, bulk) => {
+    const videos = bulk ? req.body : Object.keys(req.body || {}).length > 0 && !Array.isArray(req.body) ? Array.of(req.body) : [];
+    
+    if (!Array.isArray(videos) || videos.length === 0 || videos.some((video) => !video || typeof video !== 'object' || Array.isArray(video))) {
+      return res.status(400).send(JSON.stringify({ Error: bulk ? 'Request body must be a non-empty array of video objects.' : 'Request body must be a video object.' }));
+    }
+    
+    try {
+      const job = await jobs.enqueue('zotero-remove', { videos, permanent: req.query.permanent === 'true' });
+      res.status(202).location(`/jobs/${job.id}`).send(JSON.stringify({ jobId: job.id, status: job.status, url: `/jobs/${job.id}` }));
+    } catch (err) {
+      console.error(err.message);
+      res.status(500).send(JSON.stringify({ Error: 'Unable to queue items for removal from Zotero.' }));
+    }
+  },
+  
+  /**
+   *  Queues a pull of changes made on Zotero back into the ESOVDB, performed in the background by {@link pullVideos}, and sends a server response of 202 with the ID of the queued job, which can be followed at /jobs/:id.
+   *
+   *  @async
+   *  @method pullItems
+   *  @requires jobs
+   *  @param {!express:Request} req - Express.js HTTP request context, an enhanced version of Node's http.IncomingMessage class
+   *  @param {?string} [req.query.since] - An optional URL query param, the Zotero library version to pull changes since, instead of the last version pulled (e.g. 0, to compare every item)
+   *  @param {!express:Response} res - Express.js HTTP response context, an enhanced version of Node's http.ServerResponse class
+   */
+  
+  pullItems: async (req, res) => {
+    if (req.query.since !== undefined && !/^\d+$/.test(req.query.since)) {
+      return res.status(400).send(JSON.stringify({ Error: 'since must be a Zotero library version number.' }));
+    }
+    
+    try {
+      const job = await jobs.enqueue('zotero-pull', { since: req.query.since !== undefined ? +req.query.since : null });
+      res.status(202).location(`/jobs/${job.id}`).send(JSON.stringify({ jobId: job.id, status: job.status, url: `/jobs/${job.id}` }));
+    } catch (err) {
+      console.error(err.message);
+      res.status(500).send(JSON.stringify({ Error: 'Unable to queue a pull from Zotero.' }));
+    }
+  },
+  
+  /**
+   *  Sends the log of videos which failed to sync with Zotero, most recent failures first, optionally only those of one operation
+   *
+   *  @async
+   *  @method listFailures
+   *  @param {!express:Request} req - Express.js HTTP request context, an enhanced version of Node's http.IncomingMessage class
+   *  @param {('create'|'update')} [req.query.operation] - An optional URL query param, which only lists failures from adding items to Zotero ('create') or from updating them ('update')
+   *  @param {!express:Response} res - Express.js HTTP response context, an enhanced version of Node's http.ServerResponse class
+   */
+  
+  listFailures: async (req, res) => {
+    await loadFailures();
+    
+    const data = Object.values(failures)
+      .filter((failure) => !req.query.operation || failure.operation === req.query.operation)
+      .sort((a, b) => b.lastFailed.localeCompare(a.lastFailed));
+    
+    res.status(200).send(JSON.stringify({ total: data.length, failures: data }));
+  },
+  
+  /**
+   *  Sends videos from the log of sync failures to Zotero again, by queueing a Zotero sync job for each operation using {@link syncVideos}, and sends a server response of 202 with the ID of each job queued.  Videos stay in the log until they're posted successfully.
+   *
+   *  @async
+   *  @method retryFailures
+   *  @requires jobs
+   *  @param {!express:Request} req - Express.js HTTP request context, an enhanced version of Node's http.IncomingMessage class
+   *  @param {string[]} [req.body.ids] - The IDs of the failures to retry, which defaults to every failure in the log
+   *  @param {!express:Response} res - Express.js HTTP response context, an enhanced version of Node's http.ServerResponse class
+   */
+  
+  retryFailures: async (req, res) => {
+    await loadFailures();
+    
+    const ids = req.body && req.body.ids !== undefined ? req.body.ids : Object.keys(failures);
+    
+    if (!Array.isArray(ids)) {
+      return res.status(400).send(JSON.stringify({ Error: 'ids must be an array of failure IDs.' }));
+    }
+    
+    const missing = ids.filter((id) => !failures[id]);
+    
+    if (missing.length > 0) {
+      return res.status(404).send(JSON.stringify({ Error: `Failure${missing.length === 1 ? '' : 's'} ${missing.map((id) => `"${id}"`).join(', ')} not found.` }));
+    }
+    
+    if (ids.length === 0) {
+      return res.status(200).send(JSON.stringify({ jobs: [] }));
+    }
+    
+    console.log(`Retrying ${ids.length} failed video${ids.length === 1 ? '' : 's'}...`);
+    
+    try {
+      const queued = [];
+      
+      for (const operation of [ 'create', 'update' ]) {
+        const retrying = ids.map((id) => failures[id]).filter((failure) => failure.operation === operation);
+        if (retrying.length === 0) continue;
+        
+        const job = await jobs.enqueue('zotero', { videos: retrying.map((failure) => failure.video), operation });
+        retrying.forEach((failure) => failure.retriedBy = job.id);
+        queued.push({ jobId: job.id, operation, count: retrying.length, url: `/jobs/${job.id}` });
       }
+      
+      await saveFailures();
+      res.status(202).send(JSON.stringify({ jobs: queued }));
     } catch (err) {
       console.error(err.message);
+      res.status(500).send(JSON.stringify({ Error: 'Unable to queue failed items for syncing with Zotero.' }));
     }
   }
-}
\ No newline at end of file
+}